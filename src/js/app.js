@@ -7,28 +7,108 @@
 import authService from './services/auth.service.js';
 import cartService from './services/cart.service.js';
 import apiService from './services/api.service.js';
+import searchService from './services/search.service.js';
+import searchHistoryService from './services/search-history.service.js';
+import savedSearchService from './services/saved-search.service.js';
+import messageService from './services/message.service.js';
+import meetupService from './services/meetup.service.js';
+import orderService from './services/order.service.js';
+import listingService from './services/listing.service.js';
+import listingImportService from './services/listing-import.service.js';
+import bookMetadataService from './services/book-metadata.service.js';
+import courseService from './services/course.service.js';
+import wishlistService from './services/wishlist.service.js';
+import notificationService, { NOTIFICATION_TYPES } from './services/notification.service.js';
+import paymentService from './services/payment.service.js';
+import router, { buildPath } from './router.js';
+import { config } from './config.js';
+import store, {
+    actions,
+    selectProducts,
+    selectPagination,
+    selectFilters,
+    selectProductById,
+    selectCartItems,
+    selectCartCount,
+    selectCurrentUser,
+    selectSavedSearches,
+    selectNewMatchCount,
+    selectConversations,
+    selectUnreadMessageCount,
+    selectSales,
+    selectPendingSalesCount,
+    selectWishlist,
+    selectWishlistAlertCount,
+    selectNotifications,
+    selectUnreadNotificationCount,
+    selectWatches,
+    shallowEqual
+} from './store.js';
 import { ProductComponent } from './components/ProductComponent.js';
 import { CartComponent } from './components/CartComponent.js';
 import { AuthComponent } from './components/AuthComponent.js';
 import { AdminComponent } from './components/AdminComponent.js';
 import { PaymentComponent } from './components/PaymentComponent.js';
-import { showNotification, debounce, getCategoryEmoji, formatCurrency } from './utils/helpers.js';
+import { PaginationComponent } from './components/PaginationComponent.js';
+import { SearchAutocompleteComponent } from './components/SearchAutocompleteComponent.js';
+import { SavedSearchesComponent } from './components/SavedSearchesComponent.js';
+import { ProductDetailComponent } from './components/ProductDetailComponent.js';
+import { MessagesComponent } from './components/MessagesComponent.js';
+import { MeetupComponent } from './components/MeetupComponent.js';
+import { OrderComponent } from './components/OrderComponent.js';
+import { SalesComponent } from './components/SalesComponent.js';
+import { ListingsComponent } from './components/ListingsComponent.js';
+import { PurchasesComponent } from './components/PurchasesComponent.js';
+import { SellFormComponent } from './components/SellFormComponent.js';
+import { ListingImportComponent } from './components/ListingImportComponent.js';
+import { CoursesComponent } from './components/CoursesComponent.js';
+import { MyCoursesComponent } from './components/MyCoursesComponent.js';
+import { WishlistComponent } from './components/WishlistComponent.js';
+import { NotificationCenterComponent } from './components/NotificationCenterComponent.js';
+import { ToastHistoryComponent } from './components/ToastHistoryComponent.js';
+import { ReceiptComponent } from './components/ReceiptComponent.js';
+import { showNotification, debounce } from './utils/helpers.js';
+import { getToastHistory, clearToastHistory, subscribeToastHistory } from './utils/toast.js';
+import { groupCartBySeller, getItemSeller } from './utils/cart.js';
+import { PAYMENT_STATUS } from './utils/payment.js';
+import { filtersToQuery, queryToFilters } from './utils/catalog-query.js';
+import { ORDER_STATUSES, getStatusInfo } from './utils/order-status.js';
 
 class AppController {
     constructor() {
-        // State
-        this.products = [];
-        this.currentCategory = 'all';
-        this.searchTerm = '';
-        this.sortBy = '';
-        this.sortOrder = '';
+        // Application state lives in the store (see store.js)
+        this.productsRequestId = 0;
+        this.productDetailRequestId = 0;
+        this.materialsRequestId = 0;
+        this.activeThread = null;
+        this.activePayment = null;
+        this.salesFilter = 'all';
+        this.courseFilters = { faculty: '', term: '', q: '' };
 
         // Components
         this.productComponent = null;
+        this.paginationComponent = null;
+        this.searchAutocomplete = null;
+        this.notificationCenter = null;
         this.cartComponent = new CartComponent();
         this.authComponent = new AuthComponent();
         this.adminComponent = new AdminComponent();
         this.paymentComponent = new PaymentComponent();
+        this.savedSearchesComponent = new SavedSearchesComponent();
+        this.productDetailComponent = new ProductDetailComponent();
+        this.messagesComponent = new MessagesComponent();
+        this.meetupComponent = new MeetupComponent();
+        this.orderComponent = new OrderComponent();
+        this.salesComponent = new SalesComponent();
+        this.listingsComponent = new ListingsComponent();
+        this.purchasesComponent = new PurchasesComponent();
+        this.sellFormComponent = new SellFormComponent();
+        this.listingImportComponent = new ListingImportComponent();
+        this.coursesComponent = new CoursesComponent();
+        this.myCoursesComponent = new MyCoursesComponent();
+        this.wishlistComponent = new WishlistComponent();
+        this.toastHistoryComponent = new ToastHistoryComponent();
+        this.receiptComponent = new ReceiptComponent();
     }
 
     /**
@@ -40,19 +120,33 @@ class AppController {
         // Initialize components
         this.initializeComponents();
 
+        // Restore catalogue filters from a shared link before the first load
+        this.restoreCatalogFilters();
+
+        // Re-render components when their state slice changes
+        this.setupSubscriptions();
+
         // Setup event listeners
         this.setupEventListeners();
 
         // Load user if authenticated
         await this.loadUser();
 
+        // Trending searches for the autocomplete (not awaited)
+        searchHistoryService.loadTrending();
+
+        // Course registry for browsing and course-code autocomplete (not awaited)
+        courseService.load().catch(error => console.warn('Course list unavailable:', error));
+
         // Load products
         await this.loadProducts();
 
-        // Load cart if authenticated
-        if (authService.isAuthenticated()) {
-            await this.loadCart();
-        }
+        // Account cart when signed in, this device's cart for guests
+        await this.loadCart();
+
+        // Resolve the current URL once data is available
+        this.setupRoutes();
+        router.start();
 
         console.log('✅ CampusSwap ready!');
     }
@@ -65,6 +159,260 @@ class AppController {
         if (productGrid) {
             this.productComponent = new ProductComponent(productGrid);
         }
+
+        const pagination = document.querySelector('.pagination');
+        if (pagination) {
+            this.paginationComponent = new PaginationComponent(pagination);
+        }
+
+        const notificationsButton = document.querySelector('.notifications-button');
+        if (notificationsButton) {
+            this.notificationCenter = new NotificationCenterComponent(notificationsButton);
+            this.notificationCenter.attach({
+                onOpen: () => this.renderNotifications(),
+                onSelect: (notificationId) => this.openNotification(notificationId),
+                onMarkAllRead: () => notificationService.markRead()
+            });
+        }
+    }
+
+    /**
+     * Apply filters from the current URL (home route only)
+     */
+    restoreCatalogFilters() {
+        if (!router.isCurrent('/')) return;
+
+        const { query } = router.parse(router.getCurrentPath());
+        const filters = queryToFilters(query);
+        store.dispatch(actions.setFilters(filters));
+        this.syncFilterControls(filters);
+    }
+
+    /**
+     * Build the catalogue URL for the current filters
+     */
+    catalogPath(overrides = {}) {
+        const filters = { ...selectFilters(store.getState()), ...overrides };
+        return buildPath('/', filtersToQuery(filters));
+    }
+
+    /**
+     * Navigate back to the catalogue, keeping the current filters
+     */
+    showCatalog({ replace = false } = {}) {
+        router.navigate(this.catalogPath(), { replace });
+    }
+
+    /**
+     * Subscribe components to the store
+     */
+    setupSubscriptions() {
+        // Product grid: a new page of products arrived
+        store.subscribe(selectProducts, () => this.displayProducts());
+
+        // Filters changed: query the server and keep the URL in sync
+        store.subscribe(selectFilters, (filters) => {
+            this.loadProducts();
+            this.syncFilterControls(filters);
+            if (router.isCurrent('/')) {
+                router.replace(this.catalogPath());
+            }
+        }, { equals: shallowEqual });
+
+        // Cart badge and open cart modal
+        store.subscribe(selectCartCount, (count) => this.cartComponent.updateBadge(count));
+        store.subscribe(selectCartItems, () => {
+            if (this.cartComponent.isOpen()) this.showCart();
+        });
+
+        // Navbar auth state
+        store.subscribe(selectCurrentUser, (user) => this.renderAuthUI(user));
+
+        // Messaging runs only while signed in
+        store.subscribe(selectCurrentUser, (user) => {
+            if (user) messageService.start();
+            else messageService.stop();
+        });
+        store.subscribe(selectUnreadMessageCount, (count) => this.messagesComponent.updateBadge(count));
+        store.subscribe(selectConversations, () => this.refreshMessagesView());
+
+        // Incoming orders for sellers
+        store.subscribe(selectCurrentUser, (user) => {
+            if (user) orderService.start();
+            else orderService.stop();
+        });
+        store.subscribe(selectPendingSalesCount, (count) => this.salesComponent.updateBadge(count));
+        store.subscribe(selectSales, () => {
+            if (this.salesComponent.isOpen()) this.renderSales();
+        });
+
+        // Saved searches are stored per user; loaded before products so new matches are caught
+        store.subscribe(selectCurrentUser, () => savedSearchService.load(), { immediate: true });
+
+        // Wishlist: the account's list when signed in, this device's likes otherwise
+        store.subscribe(selectCurrentUser, () => {
+            wishlistService.load().catch(error => console.error('Error loading wishlist:', error));
+        }, { immediate: true });
+        store.subscribe(selectWishlistAlertCount, (count) => this.wishlistComponent.updateBadge(count));
+        store.subscribe(selectWishlist, () => {
+            // Hearts on the grid; skipped before the first page arrives so "Loading..." stays
+            if (selectProducts(store.getState()).length > 0) this.displayProducts();
+            if (this.wishlistComponent.isOpen()) this.renderWishlist();
+        });
+
+        // Price-drop and back-in-stock notifications for signed-in users
+        store.subscribe(selectCurrentUser, (user) => {
+            if (user) notificationService.start();
+            else notificationService.stop();
+        });
+        store.subscribe(selectUnreadNotificationCount, (count) => this.notificationCenter?.updateBadge(count));
+        store.subscribe(selectNotifications, () => {
+            if (this.notificationCenter?.isOpen()) this.renderNotifications();
+        });
+        store.subscribe(selectWatches, () => {
+            if (selectProducts(store.getState()).length > 0) this.displayProducts();
+        });
+
+        // Toasts are not in the store; keep an open history panel current
+        subscribeToastHistory(() => {
+            if (this.toastHistoryComponent.isOpen()) this.renderToastHistory();
+        });
+
+        // Saved search alerts badge and "Save search" button
+        store.subscribe(selectNewMatchCount, (count) => this.savedSearchesComponent.updateBadge(count));
+        store.subscribe(selectSavedSearches, () => this.updateSaveSearchButton());
+    }
+
+    /**
+     * Map URLs to controller actions
+     */
+    setupRoutes() {
+        router
+            .on('/', ({ query }) => {
+                this.closeViews();
+                store.dispatch(actions.setFilters(queryToFilters(query)));
+            })
+            .on('/product/:id', ({ params }) => {
+                this.closeViews();
+                this.viewProductDetails(params.id);
+            })
+            .on('/cart', () => {
+                this.closeViews();
+                this.showCart();
+            })
+            .on('/saved-searches', () => {
+                this.closeViews();
+                this.showSavedSearches();
+            })
+            .on('/messages', ({ query }) => {
+                this.closeViews();
+                this.showMessages({ productId: query.product });
+            })
+            .on('/messages/:conversationId', ({ params }) => {
+                this.closeViews();
+                this.showMessages({ conversationId: params.conversationId });
+            })
+            .on('/sell', () => {
+                this.closeViews();
+                this.showSellModal();
+            })
+            .on('/my-listings', () => {
+                this.closeViews();
+                this.showMyListings();
+            })
+            .on('/my-listings/import', () => {
+                this.closeViews();
+                this.showListingImport();
+            })
+            .on('/my-listings/:id/edit', ({ params }) => {
+                this.closeViews();
+                this.showSellModal(params.id);
+            })
+            .on('/purchases', () => {
+                this.closeViews();
+                this.showPurchases();
+            })
+            .on('/sales', ({ query }) => {
+                this.closeViews();
+                this.showSales(query.status);
+            })
+            .on('/orders/:id', ({ params }) => {
+                this.closeViews();
+                this.showOrder(params.id);
+            })
+            .on('/orders/:id/meetup', ({ params }) => {
+                this.closeViews();
+                this.showOrderMeetup(params.id);
+            })
+            .on('/wishlist', () => {
+                this.closeViews();
+                this.showWishlist();
+            })
+            .on('/courses', ({ query }) => {
+                this.closeViews();
+                this.showCourses(query);
+            })
+            .on('/my-courses', () => {
+                this.closeViews();
+                this.showMyCourses();
+            })
+            .on('/notifications/history', () => {
+                this.closeViews();
+                this.showToastHistory();
+            })
+            .on('/availability', () => {
+                this.closeViews();
+                this.showAvailability();
+            })
+            .on('/admin', ({ query }) => this.showAdminDashboard('overview', query))
+            .on('/admin/:tab', ({ params, query }) => this.showAdminDashboard(params.tab, query))
+            .notFound(() => this.showCatalog({ replace: true }));
+
+        this.cartComponent.onClose = () => this.showCatalog();
+        this.adminComponent.onClose = () => this.showCatalog();
+        this.savedSearchesComponent.onClose = () => this.showCatalog();
+        this.productDetailComponent.onClose = () => this.showCatalog();
+        this.messagesComponent.onClose = () => this.showCatalog();
+        this.orderComponent.onClose = () => this.showCatalog();
+        this.salesComponent.onClose = () => this.showCatalog();
+        this.listingsComponent.onClose = () => this.showCatalog();
+        this.purchasesComponent.onClose = () => this.showCatalog();
+        this.listingImportComponent.onClose = () => router.navigate('/my-listings');
+        this.coursesComponent.onClose = () => this.showCatalog();
+        this.wishlistComponent.onClose = () => this.showCatalog();
+        this.myCoursesComponent.onClose = () => this.showCatalog();
+        this.toastHistoryComponent.onClose = () => this.showCatalog();
+        this.adminComponent.onTabChange = (tab) => router.replace(`/admin/${tab}`);
+    }
+
+    /**
+     * Close every routed view (product details, cart, admin)
+     */
+    closeViews() {
+        this.closeProductDetails();
+        this.cartComponent.closeModal();
+        this.adminComponent.closeModal();
+        if (this.paymentComponent.isOpen()) {
+            // Left checkout by navigating: let go of the held stock and any started payment
+            this.voidActivePayment();
+            cartService.releaseReservation();
+            this.paymentComponent.closeModal();
+        }
+        this.savedSearchesComponent.closeModal();
+        this.messagesComponent.closeModal();
+        this.meetupComponent.closeModal();
+        this.orderComponent.closeModal();
+        this.salesComponent.closeModal();
+        this.listingsComponent.closeModal();
+        this.purchasesComponent.closeModal();
+        this.sellFormComponent.closeModal();
+        this.listingImportComponent.closeModal();
+        this.coursesComponent.closeModal();
+        this.myCoursesComponent.closeModal();
+        this.wishlistComponent.closeModal();
+        this.toastHistoryComponent.closeModal();
+        this.receiptComponent.closeModal();
+        this.activeThread = null;
     }
 
     /**
@@ -74,6 +422,7 @@ class AppController {
         this.setupSearchListeners();
         this.setupCategoryListeners();
         this.setupSortListeners();
+        this.setupFilterListeners();
         this.setupCartListeners();
         this.setupAuthListeners();
         this.setupMobileMenu();
@@ -102,22 +451,81 @@ class AppController {
         const searchButton = document.querySelector('.search-button');
 
         if (searchInput) {
+            // Attach first so the dropdown can claim Enter for a highlighted option
+            this.searchAutocomplete = new SearchAutocompleteComponent(searchInput, {
+                getSuggestions: (query) => this.getSearchSuggestions(query),
+                onSelect: (item) => this.applySearchSuggestion(item)
+            });
+            this.searchAutocomplete.attach();
+
             const debouncedSearch = debounce(() => {
-                this.searchTerm = searchInput.value.toLowerCase();
-                this.filterAndDisplayProducts();
+                store.dispatch(actions.setSearchTerm(searchInput.value.toLowerCase()));
             }, 300);
 
             searchInput.addEventListener('input', debouncedSearch);
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.commitSearch(searchInput.value);
+            });
         }
 
         if (searchButton) {
             searchButton.addEventListener('click', () => {
-                this.searchTerm = searchInput.value.toLowerCase();
-                this.filterAndDisplayProducts();
+                this.commitSearch(searchInput.value);
             });
         }
     }
 
+    /**
+     * Run a search the user confirmed and remember it
+     */
+    commitSearch(query) {
+        searchHistoryService.addRecent(query);
+        if (this.searchAutocomplete) this.searchAutocomplete.close();
+        store.dispatch(actions.setSearchTerm(query.trim().toLowerCase()));
+    }
+
+    /**
+     * Autocomplete groups: recent and trending when empty, matches while typing
+     */
+    getSearchSuggestions(query) {
+        const trimmed = query.trim().toLowerCase();
+        const recent = searchHistoryService.getRecent();
+        const toItems = (queries, type) => queries.map(q => ({ type, label: q, value: q }));
+
+        if (!trimmed) {
+            return [
+                { title: 'Recent searches', items: toItems(recent.slice(0, 5), 'recent') },
+                { title: 'Trending', items: toItems(searchHistoryService.getTrending(), 'trending') }
+            ];
+        }
+
+        const matchingRecent = recent
+            .filter(q => q.toLowerCase().startsWith(trimmed) && q.toLowerCase() !== trimmed)
+            .slice(0, 3);
+
+        return [
+            { title: 'Recent searches', items: toItems(matchingRecent, 'recent') },
+            { title: 'Suggestions', items: searchService.autocomplete(trimmed) }
+        ];
+    }
+
+    /**
+     * Apply a chosen autocomplete suggestion
+     */
+    applySearchSuggestion(item) {
+        const searchInput = document.querySelector('.search-input');
+
+        // Categories filter the catalogue instead of searching text
+        if (item.type === 'category') {
+            if (searchInput) searchInput.value = '';
+            store.dispatch(actions.setFilters({ searchTerm: '', category: item.value }));
+            return;
+        }
+
+        if (searchInput) searchInput.value = item.value;
+        this.commitSearch(item.value);
+    }
+
     /**
      * Setup category listeners
      */
@@ -135,14 +543,14 @@ class AppController {
                     'stationery': 'stationery'
                 };
 
-                this.currentCategory = categoryMap[categoryText] || 'all';
-                this.searchTerm = '';
-
                 const searchInput = document.querySelector('.search-input');
                 if (searchInput) searchInput.value = '';
 
                 this.highlightCategory(card);
-                this.filterAndDisplayProducts();
+                store.dispatch(actions.setFilters({
+                    searchTerm: '',
+                    category: categoryMap[categoryText] || 'all'
+                }));
             });
         });
     }
@@ -155,23 +563,69 @@ class AppController {
         const categoryFilter = document.querySelector('.category-filter');
 
         if (sortDropdown) {
-            sortDropdown.addEventListener('change', async (e) => {
-                const value = e.target.value;
-                if (value) {
-                    const [sortBy, sortOrder] = value.split('-');
-                    this.sortBy = sortBy;
-                    this.sortOrder = sortOrder;
-                    await this.loadProducts();
-                }
+            sortDropdown.addEventListener('change', (e) => {
+                const [sortBy = '', sortOrder = ''] = e.target.value.split('-');
+                store.dispatch(actions.setSort(sortBy, sortOrder));
             });
         }
         
         if (categoryFilter) {
-            categoryFilter.addEventListener('change', async (e) => {
-                this.currentCategory = e.target.value;
-                await this.loadProducts();
+            categoryFilter.addEventListener('change', (e) => {
+                store.dispatch(actions.setCategory(e.target.value));
+            });
+        }
+    }
+
+    /**
+     * Setup condition, price range and course code filters
+     */
+    setupFilterListeners() {
+        const conditionFilter = document.querySelector('.condition-filter');
+        const minPriceInput = document.querySelector('.min-price-filter');
+        const maxPriceInput = document.querySelector('.max-price-filter');
+        const courseInput = document.querySelector('.course-filter');
+
+        if (conditionFilter) {
+            conditionFilter.addEventListener('change', (e) => {
+                store.dispatch(actions.setFilters({ condition: e.target.value }));
             });
         }
+
+        const debouncedPrice = debounce(() => {
+            store.dispatch(actions.setFilters({
+                minPrice: minPriceInput?.value || '',
+                maxPrice: maxPriceInput?.value || ''
+            }));
+        }, 500);
+
+        if (minPriceInput) minPriceInput.addEventListener('input', debouncedPrice);
+        if (maxPriceInput) maxPriceInput.addEventListener('input', debouncedPrice);
+
+        if (courseInput) {
+            courseInput.addEventListener('input', debounce(() => {
+                store.dispatch(actions.setFilters({ courseCode: courseInput.value.trim() }));
+            }, 300));
+        }
+    }
+
+    /**
+     * Reflect filters in the form controls (e.g. after restoring from the URL)
+     */
+    syncFilterControls(filters) {
+        const setValue = (selector, value) => {
+            const el = document.querySelector(selector);
+            if (el && document.activeElement !== el && el.value !== String(value ?? '')) {
+                el.value = value ?? '';
+            }
+        };
+
+        setValue('.search-input', filters.searchTerm);
+        setValue('.category-filter', filters.category);
+        setValue('.sort-dropdown', filters.sortBy ? `${filters.sortBy}-${filters.sortOrder}` : '');
+        setValue('.condition-filter', filters.condition);
+        setValue('.min-price-filter', filters.minPrice);
+        setValue('.max-price-filter', filters.maxPrice);
+        setValue('.course-filter', filters.courseCode);
     }
 
     /**
@@ -181,39 +635,68 @@ class AppController {
         const cartButton = document.querySelector('.cart-button');
 
         if (cartButton) {
-            cartButton.addEventListener('click', () => this.showCart());
+            cartButton.addEventListener('click', () => router.navigate('/cart'));
+        }
+
+        const alertsButton = document.querySelector('.alerts-button');
+        if (alertsButton) {
+            alertsButton.addEventListener('click', () => router.navigate('/saved-searches'));
+        }
+
+        const messagesButton = document.querySelector('.messages-button');
+        if (messagesButton) {
+            messagesButton.addEventListener('click', () => router.navigate('/messages'));
+        }
+
+        const salesButton = document.querySelector('.sales-button');
+        if (salesButton) {
+            salesButton.addEventListener('click', () => router.navigate('/sales'));
+        }
+
+        const sellButton = document.querySelector('.sell-button');
+        if (sellButton) {
+            sellButton.addEventListener('click', () => router.navigate('/sell'));
+        }
+
+        const listingsButton = document.querySelector('.listings-button');
+        if (listingsButton) {
+            listingsButton.addEventListener('click', () => router.navigate('/my-listings'));
+        }
+
+        const purchasesButton = document.querySelector('.purchases-button');
+        if (purchasesButton) {
+            purchasesButton.addEventListener('click', () => router.navigate('/purchases'));
+        }
+
+        const wishlistButton = document.querySelector('.wishlist-button');
+        if (wishlistButton) {
+            wishlistButton.addEventListener('click', () => router.navigate('/wishlist'));
+        }
+
+        const toastHistoryButton = document.querySelector('.toast-history-button');
+        if (toastHistoryButton) {
+            toastHistoryButton.addEventListener('click', () => router.navigate('/notifications/history'));
         }
     }
 
     /**
      * Setup auth listeners
      */
-    async setupAuthListeners() {
+    setupAuthListeners() {
         // Get all auth buttons
         const loginButton = document.querySelector('.login-button');
         const registerButton = document.querySelector('.register-button');
         const logoutButton = document.querySelector('.logout-button');
         const adminButton = document.querySelector('.admin-button');
+        const availabilityButton = document.querySelector('.availability-button');
         
         // Attach click handlers
         if (loginButton) {
-            loginButton.addEventListener('click', () => {
-                this.authComponent.showLoginModal(async (email, password) => {
-                    await authService.login(email, password);
-                    await this.updateAuthenticatedUI();
-                    await this.loadProducts();
-                });
-            });
+            loginButton.addEventListener('click', () => this.showLogin());
         }
         
         if (registerButton) {
-            registerButton.addEventListener('click', () => {
-                this.authComponent.showRegisterModal(async (userData) => {
-                    await authService.register(userData);
-                    await this.updateAuthenticatedUI();
-                    await this.loadProducts();
-                });
-            });
+            registerButton.addEventListener('click', () => this.showRegister());
         }
         
         if (logoutButton) {
@@ -224,62 +707,104 @@ class AppController {
         
         if (adminButton) {
             adminButton.addEventListener('click', () => {
-                this.showAdminDashboard();
+                router.navigate('/admin');
             });
         }
-        
-        // Update UI based on auth state
-        if (authService.isAuthenticated()) {
-            await this.updateAuthenticatedUI();
+
+        if (availabilityButton) {
+            availabilityButton.addEventListener('click', () => router.navigate('/availability'));
         }
     }
 
     /**
-     * Update UI for authenticated users
+     * Show the sign-in form; the guest cart moves into the account afterwards
      */
-    async updateAuthenticatedUI() {
-        const user = await authService.getCurrentUser();
-        if (!user) return;
+    showLogin(onSignedIn = null) {
+        this.authComponent.showLoginModal(async (email, password) => {
+            await authService.login(email, password);
+            await this.mergeGuestCart();
+            await this.loadProducts();
+            if (onSignedIn) onSignedIn();
+        });
+    }
 
-        // Hide auth buttons, show user menu
-        const authButtons = document.querySelector('.auth-buttons');
-        const userMenu = document.querySelector('.user-menu');
-        const userName = document.querySelector('.user-name');
-        const cartButton = document.querySelector('.cart-button');
-        const adminButton = document.querySelector('.admin-button');
+    /**
+     * Show the sign-up form; the guest cart moves into the new account afterwards
+     */
+    showRegister() {
+        this.authComponent.showRegisterModal(async (userData) => {
+            await authService.register(userData);
+            await this.mergeGuestCart();
+            await this.loadProducts();
+        });
+    }
 
-        if (authButtons) authButtons.style.display = 'none';
-        if (userMenu) {
-            userMenu.style.display = 'flex';
-            if (userName) userName.textContent = user.firstName;
+    /**
+     * Move the guest cart into the account cart and say what changed
+     */
+    async mergeGuestCart() {
+        try {
+            const summary = await cartService.mergeGuestCart();
+            if (summary) this.showCartMergeSummary(summary);
+        } catch (error) {
+            console.error('Error merging cart:', error);
+            showNotification('Could not move your cart to your account. We\'ll try again next time you sign in.', 'error');
         }
-        if (cartButton) cartButton.style.display = 'flex';
-        
-        // Show admin button if user is admin
-        if (adminButton && user.isAdmin) {
-            adminButton.style.display = 'block';
+    }
+
+    /**
+     * Toasts for a guest cart merge: what moved, and what was cut back or left out
+     */
+    showCartMergeSummary({ merged, reduced, skipped, failed }) {
+        const viewCart = { label: 'View cart', onClick: () => router.navigate('/cart') };
+
+        const moved = merged.length + reduced.length;
+        if (moved > 0) {
+            showNotification(`Moved ${moved} item${moved === 1 ? '' : 's'} from this device into your cart`, 'success', {
+                actions: [viewCart]
+            });
+        }
+
+        const changes = [
+            ...reduced.map(({ title, requested, quantity }) => `"${title}" reduced from ${requested} to ${quantity} (only ${quantity} in stock)`),
+            ...skipped.map(({ title, reason }) => `"${title}" not added (${reason})`)
+        ];
+        if (changes.length > 0) {
+            showNotification(`Some cart items changed: ${changes.join('; ')}`, 'warning', { actions: [viewCart] });
+        }
+
+        if (failed.length > 0) {
+            showNotification(
+                `${failed.length} item${failed.length === 1 ? '' : 's'} couldn't be moved to your account. We'll try again next time you sign in.`,
+                'error'
+            );
         }
     }
 
     /**
-     * Logout user
+     * Render navbar for the current user (null when signed out)
      */
-    async logout() {
-        authService.logout();
-        
-        // Reset UI
+    renderAuthUI(user) {
         const authButtons = document.querySelector('.auth-buttons');
         const userMenu = document.querySelector('.user-menu');
-        const cartButton = document.querySelector('.cart-button');
+        const userName = document.querySelector('.user-name');
+        const messagesButton = document.querySelector('.messages-button');
+        const notificationsButton = document.querySelector('.notifications-button');
         const adminButton = document.querySelector('.admin-button');
+
+        if (authButtons) authButtons.style.display = user ? 'none' : 'flex';
+        if (userMenu) {
+            userMenu.style.display = user ? 'flex' : 'none';
+            if (userName) userName.textContent = user?.firstName || '';
+        }
+        if (messagesButton) messagesButton.style.display = user ? 'flex' : 'none';
+        if (notificationsButton) notificationsButton.style.display = user ? 'flex' : 'none';
+        if (!user) this.notificationCenter?.close();
         
-        if (authButtons) authButtons.style.display = 'flex';
-        if (userMenu) userMenu.style.display = 'none';
-        if (cartButton) cartButton.style.display = 'none';
-        if (adminButton) adminButton.style.display = 'none';
-        
-        showNotification('Logged out successfully', 'success');
-        await this.loadProducts();
+        // Show admin button if user is admin
+        if (adminButton) {
+            adminButton.style.display = user?.isAdmin ? 'block' : 'none';
+        }
     }
 
     /**
@@ -297,54 +822,106 @@ class AppController {
     }
 
     /**
-     * Load products from API
+     * Load the current page of products for the active filters
      */
     async loadProducts() {
+        const requestId = ++this.productsRequestId;
+        const filters = selectFilters(store.getState());
+
         try {
-            const response = await apiService.getProducts(this.sortBy, this.sortOrder);
-            this.products = response.data || [];
-            this.filterAndDisplayProducts();
+            const response = await apiService.getProducts(filters);
+
+            // Ignore responses for queries that have since been replaced
+            if (requestId !== this.productsRequestId) return;
+
+            const products = response.data || [];
+            searchService.addProducts(products);
+
+            if (savedSearchService.checkProducts(products) > 0) {
+                showNotification('New listings match your saved searches 🔔', 'success');
+            }
+
+            const pagination = response.pagination || {
+                page: filters.page,
+                pageSize: filters.pageSize,
+                total: products.length,
+                totalPages: 1
+            };
+
+            store.dispatch(actions.setProducts(products, pagination));
         } catch (error) {
             console.error('Error loading products:', error);
-            showNotification('Failed to load products', 'error');
+            showNotification('Failed to load products', 'error', {
+                actions: [{ label: 'Retry', onClick: () => this.loadProducts() }]
+            });
         }
     }
 
     /**
-     * Filter and display products
+     * Display the current page of products
      */
-    filterAndDisplayProducts() {
-        const filtered = this.getFilteredProducts();
+    displayProducts() {
+        const state = store.getState();
+        const pagination = selectPagination(state);
+        const { searchTerm } = selectFilters(state);
+        let products = selectProducts(state);
+        let total = pagination.total ?? products.length;
+        let highlights = {};
+        let suggestions = [];
+
+        if (searchTerm.trim()) {
+            let results = searchService.rank(products, searchTerm);
+
+            // The server found nothing (typo, "math1013" spacing): fall back to
+            // every listing we have already indexed
+            if (products.length === 0) {
+                results = searchService.search(searchTerm);
+                total = results.length;
+            }
+
+            products = results.map(result => result.product);
+            highlights = Object.fromEntries(results.map(result => [result.product.id, result.terms]));
+
+            if (products.length === 0) {
+                suggestions = searchService.suggest(searchTerm);
+            }
+        }
         
         if (this.productComponent) {
-            this.productComponent.renderProducts(filtered, (productId) => this.addToCart(productId));
+            this.productComponent.renderProducts(products, (productId) => this.addToCart(productId), {
+                highlights,
+                suggestions,
+                onSuggestion: (query) => store.dispatch(actions.setSearchTerm(query.toLowerCase())),
+                likedIds: selectWishlist(state).map(item => item.productId),
+                watchedIds: selectWatches(state).map(watch => watch.productId)
+            });
             this.productComponent.attachEventListeners(
                 (productId) => this.addToCart(productId),
-                (productId) => this.viewProductDetails(productId)
+                (productId) => router.navigate(`/product/${encodeURIComponent(productId)}`),
+                (productId) => this.messageSeller(productId),
+                (productId) => this.toggleLike(productId),
+                (productId) => {
+                    const product = selectProductById(store.getState(), productId);
+                    if (product) this.toggleWatch(product);
+                }
             );
         }
 
-        this.updateSearchResultsTitle(filtered.length);
+        if (this.paginationComponent) {
+            this.paginationComponent.render(pagination, (page) => this.goToPage(page));
+        }
+
+        this.updateSearchResultsTitle(total);
     }
 
     /**
-     * Get filtered products
+     * Go to a catalogue page (adds a history entry so Back returns here)
      */
-    getFilteredProducts() {
-        return this.products.filter(product => {
-            const productCategory = product.category?.slug || 
-                (typeof product.category === 'string' ? product.category : null);
-            
-            const categoryMatch = this.currentCategory === 'all' || 
-                productCategory === this.currentCategory;
-
-            const searchMatch = !this.searchTerm ||
-                product.title.toLowerCase().includes(this.searchTerm) ||
-                (product.courseCode && product.courseCode.toLowerCase().includes(this.searchTerm)) ||
-                (product.courseName && product.courseName.toLowerCase().includes(this.searchTerm));
+    goToPage(page) {
+        router.navigate(this.catalogPath({ page }));
 
-            return categoryMatch && searchMatch;
-        });
+        const section = document.querySelector('.featured-products');
+        if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
     /**
@@ -364,236 +941,900 @@ class AppController {
         const sectionTitle = document.querySelector('.featured-products .section-title');
         if (!sectionTitle) return;
 
-        if (this.searchTerm.trim()) {
-            sectionTitle.textContent = `Search Results for "${this.searchTerm}" (${count} found)`;
+        const { searchTerm } = selectFilters(store.getState());
+
+        if (searchTerm.trim()) {
+            sectionTitle.textContent = `Search Results for "${searchTerm}" (${count} found)`;
         } else {
             sectionTitle.textContent = 'Recently Listed';
         }
+
+        this.updateSaveSearchButton();
     }
 
     /**
-     * Load cart
+     * Show "Save search" when the current filters can be saved
      */
-    async loadCart() {
-        try {
-            await cartService.loadCart();
-            this.updateCartDisplay();
-        } catch (error) {
-            console.error('Error loading cart:', error);
-        }
+    updateSaveSearchButton() {
+        const criteria = savedSearchService.criteriaFromFilters(selectFilters(store.getState()));
+
+        this.savedSearchesComponent.renderSaveButton(document.querySelector('.products-header'), {
+            visible: savedSearchService.hasCriteria(criteria),
+            saved: !!savedSearchService.find(criteria),
+            onSave: () => this.saveCurrentSearch()
+        });
     }
 
     /**
-     * Add item to cart
+     * Save the current search criteria
      */
-    async addToCart(productId) {
-        if (!authService.isAuthenticated()) {
-            showNotification('Please login to add items to cart', 'error');
-            return;
-        }
-
-        try {
-            await cartService.addItem(productId, 1);
-            this.updateCartDisplay();
-            
-            const product = this.products.find(p => p.id === productId);
-            showNotification(`Added "${product?.title}" to cart`, 'success');
-        } catch (error) {
-            console.error('Error adding to cart:', error);
-            showNotification('Failed to add item to cart', 'error');
-        }
+    saveCurrentSearch() {
+        const criteria = savedSearchService.criteriaFromFilters(selectFilters(store.getState()));
+        savedSearchService.add(criteria);
+        showNotification('Search saved. We\'ll alert you about new listings.', 'success');
     }
 
     /**
-     * View product details
+     * Show saved searches with new matches since the last visit
      */
-    viewProductDetails(productId) {
-        const product = this.products.find(p => p.id === productId);
-        if (!product) return;
-
-        const sellerName = product.seller?.firstName && product.seller?.lastName 
-            ? `${product.seller.firstName} ${product.seller.lastName}`
-            : 'User';
-
-        const modal = document.createElement('div');
-        modal.className = 'modal-overlay';
-        modal.innerHTML = `
-            <div class="modal-content product-details-modal">
-                <div class="modal-header">
-                    <h2>${product.title}</h2>
-                    <button class="modal-close">&times;</button>
-                </div>
-                <div class="modal-body">
-                    <div class="product-details-grid">
-                        <div class="product-image-large">
-                            ${product.imageUrl 
-                                ? `<img src="${product.imageUrl}\" alt="${product.title}\" />` 
-                                : `<div class="image-placeholder-large">${getCategoryEmoji(product.category)}</div>`
-                            }
-                        </div>
-                        <div class="product-info-detailed">
-                            <p class="product-description-full">${product.description || 'No description available'}</p>
-                            <div class="product-specs">
-                                <div class="spec-item">
-                                    <strong>Price:</strong>
-                                    <span class="price-large">${formatCurrency(product.price)}</span>
-                                </div>
-                                <div class="spec-item">
-                                    <strong>Condition:</strong>
-                                    <span>${product.condition || 'Good'}</span>
-                                </div>
-                                <div class="spec-item">
-                                    <strong>Available:</strong>
-                                    <span>${product.quantity} units</span>
-                                </div>
-                                <div class="spec-item">
-                                    <strong>Category:</strong>
-                                    <span>${product.category || 'General'}</span>
-                                </div>
-                                ${product.courseCode ? `
-                                <div class="spec-item">
-                                    <strong>Course:</strong>
-                                    <span>${product.courseCode}</span>
-                                </div>
-                                ` : ''}
-                                <div class="spec-item">
-                                    <strong>Seller:</strong>
-                                    <span>👤 ${sellerName}</span>
-                                </div>
-                            </div>
-                            <button class="btn-primary btn-large" onclick="app.addToCart('${product.id}')" ${product.quantity === 0 ? 'disabled' : ''}>
-                                🛒 Add to Cart
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        document.body.appendChild(modal);
-
-        // Close modal handlers
-        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) modal.remove();
+    showSavedSearches() {
+        // Keep a snapshot so the matches stay visible after marking them seen
+        let searches = savedSearchService.getAll();
+
+        const render = () => this.savedSearchesComponent.showModal(searches, {
+            describe: (search) => savedSearchService.describe(search),
+            onRun: (searchId) => {
+                const search = searches.find(s => s.id === searchId);
+                if (!search) return;
+                store.dispatch(actions.setFilters({
+                    searchTerm: search.searchTerm,
+                    category: search.category,
+                    maxPrice: search.maxPrice,
+                    condition: search.condition
+                }));
+                this.showCatalog();
+            },
+            onDelete: (searchId) => {
+                savedSearchService.remove(searchId);
+                searches = searches.filter(s => s.id !== searchId);
+                render();
+            },
+            onViewProduct: (productId) => router.navigate(`/product/${encodeURIComponent(productId)}`)
         });
-        
-        // Make app accessible for inline onclick
-        window.app = this;
+
+        render();
+        savedSearchService.markAllViewed();
     }
 
     /**
-     * Show cart
+     * Open a conversation with a listing's seller
      */
-    async showCart() {
-        const cart = cartService.getCart();
-        
-        this.cartComponent.showModal(
-            cart,
-            (productId, quantity) => this.updateCartQuantity(productId, quantity),
-            () => this.checkout()
-        );
+    messageSeller(productId) {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to message sellers', 'error');
+            return;
+        }
+
+        router.navigate(buildPath('/messages', { product: productId }));
     }
 
     /**
-     * Update cart quantity
+     * Show the inbox, optionally opening a conversation or a new one about a listing
      */
-    async updateCartQuantity(productId, quantity) {
+    async showMessages({ conversationId = null, productId = null } = {}) {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to view messages', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        this.messagesComponent.showModal(messageService.groupByListing(), {
+            getOtherParty: (conversation) => messageService.getOtherParty(conversation),
+            onSelect: (id) => {
+                router.replace(`/messages/${encodeURIComponent(id)}`);
+                this.openConversation(id);
+            },
+            onSend: (body) => this.sendMessage(body),
+            onViewProduct: (id) => router.navigate(`/product/${encodeURIComponent(id)}`)
+        });
+
         try {
-            await cartService.updateQuantity(productId, quantity);
-            this.updateCartDisplay();
-            this.showCart(); // Refresh cart modal
+            await messageService.refresh();
         } catch (error) {
-            console.error('Error updating cart:', error);
-            showNotification('Failed to update quantity', 'error');
+            console.error('Error loading conversations:', error);
+            showNotification('Failed to load messages', 'error');
+        }
+
+        if (conversationId) {
+            await this.openConversation(conversationId);
+        } else if (productId) {
+            await this.startConversation(productId);
         }
     }
 
     /**
-     * Update cart display
+     * Show a conversation thread
      */
-    updateCartDisplay() {
-        const count = cartService.getItemCount();
-        this.cartComponent.updateBadge(count);
+    async openConversation(conversationId) {
+        const conversation = messageService.getConversation(conversationId);
+        if (!conversation) {
+            showNotification('Conversation not found', 'error');
+            router.replace('/messages');
+            return;
+        }
+
+        this.activeThread = { conversationId, lastMessageId: conversation.lastMessage?.id };
+
+        try {
+            const messages = await messageService.loadMessages(conversationId);
+            if (this.activeThread?.conversationId !== conversationId) return;
+
+            this.messagesComponent.renderInbox(messageService.groupByListing(), conversationId);
+            this.messagesComponent.renderThread({
+                conversation,
+                messages,
+                currentUserId: authService.getUser()?.id
+            });
+        } catch (error) {
+            console.error('Error loading messages:', error);
+            showNotification('Failed to load conversation', 'error');
+        }
     }
 
     /**
-     * Checkout - Show payment modal
+     * Open the buyer's existing thread about a listing, or a blank one
      */
-    async checkout() {
-        const cart = cartService.getCart();
-        const total = cartService.getTotal();
+    async startConversation(productId) {
+        const existing = messageService.findForProduct(productId);
+        if (existing) {
+            router.replace(`/messages/${encodeURIComponent(existing.id)}`);
+            await this.openConversation(existing.id);
+            return;
+        }
 
-        if (cart.length === 0) {
-            showNotification('Your cart is empty', 'error');
+        let product = selectProductById(store.getState(), productId);
+        if (!product) {
+            try {
+                const response = await apiService.getProduct(productId);
+                product = response.data;
+            } catch (error) {
+                console.error('Error loading product:', error);
+            }
+        }
+
+        if (!product) {
+            showNotification('Product not found', 'error');
+            router.replace('/messages');
+            return;
+        }
+
+        if (getItemSeller({ product }).id === authService.getUser()?.id) {
+            showNotification('This is your own listing', 'error');
+            router.replace('/messages');
             return;
         }
 
-        // Show payment modal
-        this.paymentComponent.showPaymentModal(total, async (paymentData) => {
-            await this.processOrder(paymentData);
+        this.activeThread = { conversationId: null, product };
+        this.messagesComponent.renderThread({
+            conversation: null,
+            product,
+            messages: [],
+            currentUserId: authService.getUser()?.id
         });
     }
 
     /**
-     * Process order after successful payment
+     * Send a message in the active thread
      */
-    async processOrder(paymentData) {
-        try {
-            const cart = cartService.getCart();
-
-            // Prepare order data
-            const orderData = {
-                items: cart.map(item => ({
-                    productId: item.productId,
-                    quantity: item.quantity,
-                    price: item.product.price
-                })),
-                totalAmount: cartService.getTotal(),
-                paymentMethod: 'CREDIT_CARD',
-                paymentDetails: {
-                    cardType: paymentData.cardType,
-                    lastFourDigits: paymentData.lastFourDigits,
-                    cardholderName: paymentData.cardholderName
-                }
-            };
+    async sendMessage(body) {
+        const thread = this.activeThread;
+        if (!thread) return;
 
-            // Create order via API
-            const response = await apiService.createOrder(orderData);
+        try {
+            const message = await messageService.send(
+                thread.conversationId ? { conversationId: thread.conversationId } : { product: thread.product },
+                body
+            );
 
-            if (response.success) {
-                // Clear cart after successful order
-                await cartService.clearCart();
-                this.updateCartDisplay();
+            const conversationId = thread.conversationId || message.conversationId;
+            if (!thread.conversationId) {
+                router.replace(`/messages/${encodeURIComponent(conversationId)}`);
+                await messageService.refresh();
+            }
+            await this.openConversation(conversationId);
+        } catch (error) {
+            console.error('Error sending message:', error);
+            showNotification(error.message.startsWith('API') ? 'Failed to send message' : error.message, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Re-render the open inbox when conversations change (polling)
+     */
+    refreshMessagesView() {
+        if (!this.messagesComponent.isOpen()) return;
+
+        const conversationId = this.activeThread?.conversationId || null;
+        this.messagesComponent.renderInbox(messageService.groupByListing(), conversationId);
+
+        // New message in the open thread
+        const conversation = conversationId && messageService.getConversation(conversationId);
+        if (conversation && conversation.lastMessage?.id !== this.activeThread.lastMessageId) {
+            this.openConversation(conversationId);
+        }
+    }
+
+    /**
+     * Load cart
+     */
+    async loadCart() {
+        try {
+            await cartService.loadCart();
+        } catch (error) {
+            console.error('Error loading cart:', error);
+        }
+    }
+
+    /**
+     * Add item to cart
+     */
+    async addToCart(productId, product = selectProductById(store.getState(), productId)) {
+        try {
+            await cartService.addItem(productId, 1, product);
+            
+            showNotification(`Added "${product?.title}" to cart`, 'success');
+        } catch (error) {
+            console.error('Error adding to cart:', error);
+            showNotification(error.message.startsWith('API') ? 'Failed to add item to cart' : error.message, 'error');
+        }
+    }
+
+    /**
+     * View product details
+     * Always fetches the listing so deep links, views and seller info are current
+     */
+    async viewProductDetails(productId) {
+        const requestId = ++this.productDetailRequestId;
+        let product = null;
+
+        try {
+            const response = await apiService.getProduct(productId);
+            product = response.data;
+        } catch (error) {
+            console.error('Error loading product:', error);
+            product = selectProductById(store.getState(), productId);
+        }
+
+        // Another product (or view) was opened while this one loaded
+        if (requestId !== this.productDetailRequestId) return;
+
+        if (!product) {
+            showNotification('Product not found', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        searchService.addProducts([product]);
+
+        const viewProduct = (id) => router.navigate(`/product/${encodeURIComponent(id)}`);
+        this.productDetailComponent.showModal(product, {
+            onAddToCart: (item) => this.addToCart(item.id, item),
+            onViewProduct: viewProduct,
+            onMessageSeller: (item) => this.messageSeller(item.id),
+            onToggleWatch: async (item) => {
+                const watching = await this.toggleWatch(item);
+                if (watching !== null) this.productDetailComponent.setWatching(item, watching);
+            },
+            onViewSeller: (seller) => router.navigate(this.catalogPath({
+                searchTerm: '',
+                category: 'all',
+                sellerId: seller.id,
+                page: 1
+            }))
+        });
+
+        this.productDetailComponent.setWatching(product, !!notificationService.getWatch(product.id));
+
+        const related = await this.loadRelatedProducts(product);
+        if (requestId === this.productDetailRequestId) {
+            this.productDetailComponent.renderRelated(related, viewProduct);
+        }
+    }
+
+    /**
+     * Listings for the same course code, topped up with the same category
+     */
+    async loadRelatedProducts(product) {
+        const limit = config.relatedListingsLimit;
+        const categorySlug = product.category?.slug ||
+            (typeof product.category === 'string' ? product.category : null);
+
+        const queries = [];
+        if (product.courseCode) queries.push({ courseCode: product.courseCode, pageSize: limit + 1 });
+        if (categorySlug) queries.push({ category: categorySlug, pageSize: limit + 1 });
+
+        const results = await Promise.all(queries.map(query =>
+            apiService.getProducts(query)
+                .then(response => response.data || [])
+                .catch(error => {
+                    console.error('Error loading related listings:', error);
+                    return [];
+                })
+        ));
+
+        const related = new Map();
+        results.flat().forEach(item => {
+            if (item.id !== product.id && !related.has(item.id)) related.set(item.id, item);
+        });
+
+        return Array.from(related.values()).slice(0, limit);
+    }
+
+    /**
+     * Close product details and drop any pending load
+     */
+    closeProductDetails() {
+        this.productDetailRequestId++;
+        this.productDetailComponent.closeModal();
+    }
+
+    /**
+     * Show cart
+     */
+    async showCart() {
+        const cart = cartService.getCart();
+        
+        this.cartComponent.showModal(
+            cart,
+            (productId, quantity) => this.updateCartQuantity(productId, quantity),
+            () => this.checkout(),
+            (productId) => this.removeFromCart(productId),
+            () => this.clearCart()
+        );
+    }
+
+    /**
+     * Update cart quantity
+     */
+    async updateCartQuantity(productId, quantity) {
+        if (quantity <= 0) {
+            await this.removeFromCart(productId);
+            return;
+        }
+
+        try {
+            await cartService.updateQuantity(productId, quantity);
+        } catch (error) {
+            console.error('Error updating cart:', error);
+            showNotification(error.message.startsWith('API') ? 'Failed to update quantity' : error.message, 'error');
+        }
+    }
+
+    /**
+     * Remove an item from the cart, offering to undo
+     */
+    async removeFromCart(productId) {
+        try {
+            const removed = await cartService.removeItem(productId);
+            if (removed.length === 0) return;
+
+            const title = removed[0].item.product?.title;
+            this.offerCartUndo(title ? `Removed "${title}" from cart` : 'Removed from cart', removed);
+        } catch (error) {
+            console.error('Error removing from cart:', error);
+            showNotification('Failed to remove item', 'error');
+        }
+    }
+
+    /**
+     * Empty the cart, offering to undo
+     */
+    async clearCart() {
+        try {
+            const removed = await cartService.clearCart();
+            this.offerCartUndo('Cart cleared', removed);
+        } catch (error) {
+            console.error('Error clearing cart:', error);
+            showNotification('Failed to clear cart', 'error');
+        }
+    }
+
+    /**
+     * Confirm a cart removal with an Undo button that puts the items back
+     */
+    offerCartUndo(message, removed) {
+        showNotification(message, 'success', {
+            actions: [{
+                label: 'Undo',
+                onClick: () => cartService.restoreItems(removed).catch(error => {
+                    console.error('Error restoring cart:', error);
+                    showNotification('Some items could not be put back in your cart', 'error');
+                })
+            }]
+        });
+    }
+
+    /**
+     * Checkout - check stock, schedule meetups, then show payment modal
+     */
+    async checkout() {
+        if (cartService.getCart().length === 0) {
+            showNotification('Your cart is empty', 'error');
+            return;
+        }
 
-                // Close cart modal if open
-                this.cartComponent.closeModal();
+        if (!authService.isAuthenticated()) {
+            showNotification('Sign in to check out. Your cart will be moved to your account.', 'info');
+            this.showCatalog();
+            this.showLogin(() => router.navigate('/cart'));
+            return;
+        }
 
-                showNotification(`Order #${response.data.orderNumber} placed successfully!`, 'success');
+        // Stock may have changed since the items were added; the open cart re-renders with the fresh numbers
+        try {
+            const issues = await cartService.refreshAvailability();
+            if (issues.length > 0) {
+                showNotification('Some items are sold out or have less stock now. Update the highlighted items to check out.', 'warning');
+                return;
+            }
+        } catch (error) {
+            console.error('Error checking stock:', error);
+            showNotification('Could not check availability. Please try again.', 'error');
+            return;
+        }
+
+        const groups = await this.buildMeetupGroups(cartService.getCart());
+
+        this.cartComponent.closeModal();
+        this.meetupComponent.onClose = () => this.showCart();
+        this.meetupComponent.showSchedulerModal(groups, async (meetups) => {
+            const error = meetups.map(meetup => meetupService.validateSelection(meetup)).find(Boolean);
+            if (error) {
+                showNotification(error, 'error');
+                return;
             }
+
+            this.meetupComponent.closeModal();
+            await this.showPayment(meetups);
+        });
+    }
+
+    /**
+     * Hold the cart's stock, then show payment with a countdown for the hold
+     */
+    async showPayment(meetups) {
+        let reservation;
+        try {
+            reservation = await cartService.reserve();
+        } catch (error) {
+            console.error('Error reserving items:', error);
+            showNotification(error.message.startsWith('API')
+                ? 'Some items are no longer available. Please review your cart.'
+                : error.message, 'error');
+            await cartService.refreshAvailability().catch(() => {});
+            this.showCart();
+            return;
+        }
+
+        this.paymentComponent.onClose = () => {
+            this.voidActivePayment();
+            cartService.releaseReservation();
+            this.showCart();
+        };
+        this.paymentComponent.showPaymentModal(cartService.getTotal(), {
+            methods: paymentService.getMethods(),
+            testCards: paymentService.getTestCards(),
+            onAuthorize: async (methodId, details) => {
+                // A new attempt replaces one abandoned halfway (e.g. at a 3-D Secure prompt)
+                this.voidActivePayment();
+                const payment = await paymentService.authorize(methodId, { amount: cartService.getTotal(), details });
+                return this.trackPayment(payment);
+            },
+            onConfirm: async (payment, input) => {
+                return this.trackPayment(await paymentService.confirm(payment, input));
+            },
+            onPaymentSuccess: async (payment) => {
+                this.activePayment = null;
+                await this.processOrder(payment, meetups, reservation.id);
+            }
+        }, {
+            expiresAt: reservation.expiresAt,
+            onExpire: () => {
+                this.voidActivePayment();
+                cartService.releaseReservation();
+                showNotification('Your hold on these items ran out. Check your cart and try again.', 'warning');
+                this.showCart();
+            }
+        });
+    }
+
+    /**
+     * Remember a started payment so it can be released if checkout is abandoned
+     */
+    trackPayment(payment) {
+        this.activePayment = payment.status === PAYMENT_STATUS.DECLINED ? null : payment;
+        // The buyer navigated away while the provider was answering
+        if (!this.paymentComponent.isOpen()) this.voidActivePayment();
+        return payment;
+    }
+
+    /**
+     * Release a payment that was started but won't become an order
+     */
+    voidActivePayment() {
+        const payment = this.activePayment;
+        this.activePayment = null;
+        if (!payment) return;
+
+        paymentService.refund(payment).catch(error => {
+            console.error('Error releasing payment:', error);
+            showNotification('We could not cancel your unfinished payment. Contact support if you were charged.', 'warning');
+        });
+    }
+
+    /**
+     * One meetup picker per seller in the cart, with slots from their availability
+     */
+    async buildMeetupGroups(cart) {
+        return Promise.all(groupCartBySeller(cart).map(async ({ seller, items }) => {
+            const availability = seller.id ? await meetupService.getAvailability(seller.id) : [];
+            return {
+                seller,
+                itemTitles: items.map(item => item.product?.title || 'Item'),
+                slotDays: meetupService.generateSlots(availability),
+                spots: meetupService.getSpots()
+            };
+        }));
+    }
+
+    /**
+     * Process order after successful payment
+     * Places one order per seller; if some fail (e.g. sold out) the rest still go
+     * through and the failed sellers' items stay in the cart, and the payment is
+     * settled for what was actually ordered
+     */
+    async processOrder(payment, meetups = [], reservationId = null) {
+        try {
+            const groups = groupCartBySeller(cartService.getCart());
+
+            const results = await Promise.allSettled(groups.map(group => {
+                const meetup = meetups.find(entry => entry.sellerId === group.seller.id);
+                return apiService.createOrder({
+                    items: group.items.map(item => ({
+                        productId: item.productId,
+                        quantity: item.quantity,
+                        price: item.product.price
+                    })),
+                    totalAmount: group.subtotal,
+                    meetups: meetup ? [meetup] : [],
+                    meetupLocation: meetup ? meetupService.getSpot(meetup.spotId)?.name || '' : '',
+                    reservationId,
+                    paymentMethod: payment.method,
+                    paymentId: payment.paymentId,
+                    paymentStatus: payment.status,
+                    paymentDetails: payment.details
+                });
+            }));
+
+            const placed = [];
+            const failed = [];
+            results.forEach((result, i) => {
+                const group = groups[i];
+                if (result.status === 'fulfilled' && result.value.success) {
+                    const meetup = meetups.find(entry => entry.sellerId === group.seller.id);
+                    placed.push({
+                        ...group,
+                        order: result.value.data,
+                        meetup: meetup ? {
+                            time: meetupService.formatTime(meetup.startsAt, meetup.endsAt),
+                            spot: meetupService.getSpot(meetup.spotId)?.name || 'the chosen spot'
+                        } : null
+                    });
+                } else {
+                    const error = result.status === 'rejected' ? result.reason : null;
+                    if (error) console.error('Error placing order:', error);
+                    failed.push({
+                        ...group,
+                        reason: error && !error.message.startsWith('API')
+                            ? error.message
+                            : result.value?.message || 'This order could not be placed. Please try again.'
+                    });
+                }
+            });
+
+            await this.removeOrderedItems(placed, failed.length === 0);
+            // Ordered stock is taken; give back what's held for the failed sellers
+            await cartService.releaseReservation();
+            await this.settlePayment(payment, placed);
+
+            // Back to the catalogue underneath; replace() so the route change can't close the receipt
+            this.closeViews();
+            router.replace(this.catalogPath());
+            this.receiptComponent.showModal({
+                placed,
+                failed,
+                payment: {
+                    description: paymentService.describe(payment),
+                    dueAtPickup: payment.provider === 'cash'
+                }
+            }, {
+                onViewOrder: (orderId) => router.navigate(`/orders/${encodeURIComponent(orderId)}`),
+                onBackToCart: () => router.navigate('/cart')
+            });
         } catch (error) {
             console.error('Error processing order:', error);
             showNotification('Failed to process order. Please try again.', 'error');
         }
     }
 
+    /**
+     * Take the money for the orders that were placed
+     * Card authorizations are captured for that amount (or released if nothing was
+     * ordered); payments already on their way, like e-Transfers, are refunded the difference
+     */
+    async settlePayment(payment, placed) {
+        const charged = placed.reduce((total, entry) => total + entry.subtotal, 0);
+        try {
+            if (payment.status === PAYMENT_STATUS.AUTHORIZED) {
+                if (charged > 0) {
+                    await paymentService.capture(payment, charged);
+                } else {
+                    await paymentService.refund(payment);
+                }
+            } else if (charged < payment.amount) {
+                await paymentService.refund(payment, payment.amount - charged);
+            }
+        } catch (error) {
+            console.error('Error settling payment:', error);
+            const reference = payment.reference || payment.paymentId;
+            const message = placed.length > 0
+                ? `Your order${placed.length === 1 ? ' was' : 's were'} placed, but we could not finish processing the payment. Please contact support@campusswap.yorku.ca with payment reference ${reference}.`
+                : `No orders were placed, but we could not release your payment. Please contact support@campusswap.yorku.ca with payment reference ${reference} to make sure you aren't charged.`;
+            showNotification(message, 'warning');
+        }
+    }
+
+    /**
+     * Take ordered items out of the cart, leaving the ones whose order failed
+     */
+    async removeOrderedItems(placed, everything) {
+        try {
+            if (everything) {
+                await cartService.clearCart();
+            } else {
+                await Promise.all(placed.flatMap(entry => entry.items).map(item => cartService.removeItem(item.productId)));
+            }
+        } catch (error) {
+            // The orders exist; a stale cart line is fixed by the next loadCart
+            console.warn('Failed to remove ordered items from cart:', error);
+        }
+    }
+
+    /**
+     * Show a single order with its timeline and the actions open to the current user
+     */
+    async showOrder(orderId) {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to view your orders', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        let order;
+        try {
+            order = await orderService.getOrder(orderId);
+        } catch (error) {
+            console.error('Error loading order:', error);
+        }
+
+        if (!order) {
+            showNotification('Order not found', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        this.orderComponent.showOrderModal(order, {
+            role: orderService.getRole(order),
+            actions: orderService.getActions(order),
+            meetupLabel: this.describeMeetup(order),
+            onAction: async (id, actionId) => {
+                if (await this.performOrderAction(order, actionId)) this.showOrder(id);
+            },
+            onMeetup: (id) => router.navigate(`/orders/${encodeURIComponent(id)}/meetup`)
+        });
+    }
+
+    /**
+     * Show the seller dashboard of incoming orders
+     */
+    async showSales(filter = 'all') {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to view your sales', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        this.salesFilter = filter;
+        this.renderSales();
+
+        try {
+            await orderService.refreshSales();
+        } catch (error) {
+            console.error('Error loading sales:', error);
+            showNotification('Failed to load sales', 'error');
+        }
+    }
+
+    /**
+     * Render the sales dashboard from the store
+     */
+    renderSales() {
+        const orders = selectSales(store.getState());
+        const counts = orderService.countByStatus(orders);
+        const pendingCount = selectPendingSalesCount(store.getState());
+        const monthlyRevenue = orderService.getMonthlyRevenue(orders);
+
+        const filters = [
+            { id: 'all', label: 'All', count: orders.length },
+            { id: 'action', label: 'Needs action', count: pendingCount },
+            ...Object.entries(ORDER_STATUSES).map(([id, status]) => ({ id, label: status.label, count: counts[id] || 0 }))
+        ];
+
+        this.salesComponent.showModal({
+            entries: orderService.filterOrders(orders, this.salesFilter).map(order => ({
+                order,
+                actions: orderService.getActions(order),
+                meetupLabel: this.describeMeetup(order)
+            })),
+            filter: this.salesFilter,
+            filters,
+            summary: {
+                orderCount: orders.length,
+                pendingCount,
+                revenue: monthlyRevenue.reduce((total, month) => total + month.revenue, 0)
+            },
+            monthlyRevenue
+        }, {
+            onFilter: (filter) => {
+                this.salesFilter = filter;
+                router.replace(buildPath('/sales', filter === 'all' ? {} : { status: filter }));
+                this.renderSales();
+            },
+            onAction: (orderId, actionId) => {
+                const order = orders.find(sale => sale.id === orderId);
+                // The store update re-renders the dashboard; re-render on failure to re-enable buttons
+                if (order) this.performOrderAction(order, actionId).then(updated => updated || this.renderSales());
+            },
+            onMeetup: (orderId) => router.navigate(`/orders/${encodeURIComponent(orderId)}/meetup`)
+        });
+    }
+
+    /**
+     * Run a lifecycle action on an order; resolves to the updated order or null
+     */
+    async performOrderAction(order, actionId) {
+        try {
+            const updated = await orderService.transition(order, actionId);
+            showNotification(`Order #${order.orderNumber || order.id} is now ${getStatusInfo(updated.status).label.toLowerCase()}`, 'success');
+            return updated;
+        } catch (error) {
+            console.error('Error updating order:', error);
+            showNotification(error.message.startsWith('API') ? 'Failed to update order' : error.message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * One-line summary of an order's meetup
+     */
+    describeMeetup(order) {
+        const { meetup } = order;
+        if (!meetup) return order.meetupLocation || '';
+
+        const spot = meetupService.getSpot(meetup.spotId);
+        return [spot?.name, meetupService.formatTime(meetup.startsAt, meetup.endsAt)].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Show an order's meetup with confirm / re-propose / calendar actions
+     */
+    async showOrderMeetup(orderId) {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to view your meetups', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        let order;
+        try {
+            const response = await apiService.getOrder(orderId);
+            order = response.data;
+        } catch (error) {
+            console.error('Error loading order:', error);
+        }
+
+        if (!order) {
+            showNotification('Order not found', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        const sellerId = order.seller?.id || order.sellerId;
+        const availability = sellerId ? await meetupService.getAvailability(sellerId) : [];
+        const { meetup } = order;
+
+        const update = async (request, successMessage) => {
+            try {
+                await request();
+                showNotification(successMessage, 'success');
+                await this.showOrderMeetup(orderId);
+            } catch (error) {
+                console.error('Error updating meetup:', error);
+                showNotification(error.message.startsWith('API') ? 'Failed to update meetup' : error.message, 'error');
+            }
+        };
+
+        this.meetupComponent.onClose = () => this.showCatalog();
+        this.meetupComponent.showMeetupModal(order, {
+            status: meetupService.getStatus(order),
+            spot: meetup ? meetupService.getSpot(meetup.spotId) : null,
+            timeLabel: meetup ? meetupService.formatTime(meetup.startsAt, meetup.endsAt) : '',
+            slotDays: meetupService.generateSlots(availability),
+            spots: meetupService.getSpots(),
+            onConfirm: () => update(() => meetupService.confirm(orderId), 'Meetup confirmed'),
+            onPropose: (selection) => update(() => meetupService.propose(orderId, selection), 'New meetup time sent'),
+            onDownload: () => meetupService.downloadCalendar(order)
+        });
+    }
+
+    /**
+     * Edit the current user's weekly meetup availability
+     */
+    async showAvailability() {
+        const user = authService.getUser();
+        if (!user) {
+            showNotification('Please login to set your availability', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        const windows = await meetupService.getAvailability(user.id);
+
+        this.meetupComponent.onClose = () => this.showCatalog();
+        this.meetupComponent.showAvailabilityModal(windows, meetupService.getSpots(), async (updated) => {
+            await meetupService.saveAvailability(updated);
+            showNotification('Availability saved', 'success');
+            this.showCatalog();
+        });
+    }
+
     /**
      * Logout
      */
     logout() {
         authService.logout();
-        cartService.clearCart();
+        cartService.reset();
         window.location.reload();
     }
 
     /**
      * Show admin dashboard
      */
-    async showAdminDashboard() {
+    async showAdminDashboard(tab = 'overview', query = {}) {
+        if (!authService.isAdmin()) {
+            showNotification('Admin access required', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
         try {
-            const dashboardData = await apiService.getAdminDashboard();
-            
-            if (dashboardData.success) {
+            if (!this.adminComponent.isOpen()) {
+                this.closeViews();
+
+                const dashboardData = await apiService.getAdminDashboard();
+                if (!dashboardData.success) return;
+
                 await this.adminComponent.showDashboard(
                     dashboardData.data,
                     () => this.loadAdminSales(),
@@ -601,6 +1842,17 @@ class AppController {
                     () => this.loadAdminUsers()
                 );
             }
+
+            this.adminComponent.selectTab(
+                tab,
+                () => this.loadAdminInventory(),
+                () => this.loadAdminUsers()
+            );
+
+            if (tab === 'sales' && (query.start || query.end)) {
+                this.adminComponent.setSalesDateRange(query.start, query.end);
+                await this.loadAdminSales();
+            }
         } catch (error) {
             console.error('Error loading admin dashboard:', error);
             showNotification('Failed to load admin dashboard', 'error');
@@ -615,6 +1867,9 @@ class AppController {
             const startDate = document.getElementById('startDate')?.value;
             const endDate = document.getElementById('endDate')?.value;
 
+            // Keep the selected range in the URL so the report can be shared
+            router.replace(buildPath('/admin/sales', { start: startDate, end: endDate }));
+
             const salesData = await apiService.getSalesReport(startDate, endDate);
             
             if (salesData.success) {
@@ -711,27 +1966,404 @@ class AppController {
     }
 
     /**
-     * Show my listings
+     * Like or unlike a product from its card
+     */
+    async toggleLike(productId) {
+        const product = selectProductById(store.getState(), productId);
+        if (!product) return;
+
+        try {
+            const liked = await wishlistService.toggle(product);
+            if (liked && !authService.isAuthenticated()) {
+                showNotification('Saved on this device. Sign in to keep it in your wishlist everywhere.', 'success');
+            }
+        } catch (error) {
+            console.error('Error updating wishlist:', error);
+            showNotification('Could not update your wishlist. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Turn price-drop / restock alerts for a product on or off
+     * Returns whether the user is now watching it, or null if nothing changed
+     */
+    async toggleWatch(product) {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to get price and stock alerts', 'error');
+            return null;
+        }
+
+        try {
+            const watching = await notificationService.toggleWatch(product);
+            if (!watching) {
+                showNotification('Alerts turned off for this listing', 'success');
+            } else if (product.quantity > 0) {
+                showNotification('We\'ll let you know if the price drops', 'success');
+            } else {
+                showNotification('We\'ll let you know when it\'s back in stock', 'success');
+            }
+            return watching;
+        } catch (error) {
+            console.error('Error updating alerts:', error);
+            showNotification('Could not update alerts. Please try again.', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Render the navbar notification centre from the store
+     */
+    renderNotifications() {
+        if (!this.notificationCenter) return;
+
+        this.notificationCenter.render(selectNotifications(store.getState()).map(notification => {
+            const type = NOTIFICATION_TYPES[notification.type] || { icon: '🔔', label: 'Update' };
+            return {
+                id: notification.id,
+                icon: type.icon,
+                label: type.label,
+                ...notificationService.describe(notification),
+                createdAt: notification.createdAt,
+                read: notification.read
+            };
+        }));
+    }
+
+    /**
+     * Mark a notification read and open its listing
+     */
+    openNotification(notificationId) {
+        const notification = selectNotifications(store.getState()).find(entry => entry.id === notificationId);
+        if (!notification) return;
+
+        notificationService.markRead([notificationId]);
+        const productId = notification.product?.id || notification.productId;
+        if (productId) router.navigate(`/product/${encodeURIComponent(productId)}`);
+    }
+
+    /**
+     * Show saved products, then refresh their prices and stock
+     */
+    async showWishlist() {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to view your wishlist', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        this.renderWishlist();
+
+        try {
+            await wishlistService.load();
+        } catch (error) {
+            console.error('Error loading wishlist:', error);
+            showNotification('Could not refresh your wishlist', 'error');
+        }
+    }
+
+    /**
+     * Show notifications from this visit, kept up to date while open
+     */
+    showToastHistory() {
+        this.renderToastHistory();
+    }
+
+    /**
+     * Render the notification history
+     */
+    renderToastHistory() {
+        this.toastHistoryComponent.showModal(getToastHistory(), {
+            onClear: () => clearToastHistory()
+        });
+    }
+
+    /**
+     * Render the wishlist from the store
+     */
+    renderWishlist() {
+        const items = selectWishlist(store.getState());
+
+        this.wishlistComponent.showModal(items, {
+            onView: (productId) => router.navigate(`/product/${encodeURIComponent(productId)}`),
+            onAddToCart: (productId) => {
+                const item = items.find(entry => entry.productId === productId);
+                this.addToCart(productId, item?.product);
+            },
+            onRemove: async (productId) => {
+                const item = items.find(entry => entry.productId === productId);
+                try {
+                    await wishlistService.remove(productId);
+                    if (!item?.product) return;
+                    showNotification('Removed from your wishlist', 'success', {
+                        actions: [{
+                            label: 'Undo',
+                            onClick: () => wishlistService.toggle(item.product).catch(error => {
+                                console.error('Error updating wishlist:', error);
+                                showNotification('Could not restore the item. Please try again.', 'error');
+                            })
+                        }]
+                    });
+                } catch (error) {
+                    console.error('Error updating wishlist:', error);
+                    showNotification('Could not update your wishlist. Please try again.', 'error');
+                }
+            }
+        });
+    }
+
+    /**
+     * Catalogue path showing every listing for one course
+     */
+    coursePath(code) {
+        return buildPath('/', filtersToQuery({ courseCode: code }));
+    }
+
+    /**
+     * Browse the course registry by faculty and term
+     */
+    async showCourses(query = {}) {
+        this.courseFilters = { faculty: query.faculty || '', term: query.term || '', q: query.q || '' };
+
+        try {
+            await courseService.load();
+        } catch (error) {
+            console.error('Error loading courses:', error);
+            showNotification('Could not load the course list. Please try again.', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        // The user may have navigated away while the registry loaded
+        if (router.isCurrent('/courses')) this.renderCourses();
+    }
+
+    /**
+     * Render the course browser for the current filters
+     */
+    renderCourses() {
+        this.coursesComponent.showModal({
+            groups: courseService.browse(this.courseFilters),
+            faculties: courseService.getFaculties(),
+            terms: courseService.getTerms(),
+            filters: this.courseFilters,
+            enrolled: courseService.getEnrolled()
+        }, {
+            onFilter: (filters) => {
+                this.courseFilters = filters;
+                router.replace(buildPath('/courses', filters));
+                this.renderCourses();
+            },
+            onSelectCourse: (code) => router.navigate(this.coursePath(code)),
+            onToggleEnrolled: (code, enrolled) => {
+                try {
+                    if (enrolled) courseService.removeEnrolled(code);
+                    else courseService.addEnrolled(code);
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                }
+                this.renderCourses();
+            },
+            onMyCourses: () => router.navigate('/my-courses')
+        });
+    }
+
+    /**
+     * Show listings for the courses the student is taking
+     */
+    async showMyCourses() {
+        this.myCoursesComponent.showModal({
+            searchCourses: (query) => courseService.search(query),
+            onAdd: (code) => this.updateMyCourses(() => courseService.addEnrolled(code)),
+            onRemove: (code) => this.updateMyCourses(() => courseService.removeEnrolled(code)),
+            onViewProduct: (productId) => router.navigate(`/product/${encodeURIComponent(productId)}`),
+            onBrowseCourse: (code) => router.navigate(this.coursePath(code)),
+            onBrowseAll: () => router.navigate('/courses')
+        });
+
+        // Titles come from the registry; listings still load without it
+        try {
+            await courseService.load();
+        } catch (error) {
+            console.warn('Course list unavailable:', error);
+        }
+
+        await this.renderMyCourses();
+    }
+
+    /**
+     * Apply a change to the enrolled courses and reload their listings
+     * Returns false when the change was rejected
+     */
+    updateMyCourses(change) {
+        try {
+            change();
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return false;
+        }
+        this.renderMyCourses();
+        return true;
+    }
+
+    /**
+     * Render enrolled courses, then their listings once loaded
+     */
+    async renderMyCourses() {
+        const codes = courseService.getEnrolled();
+        this.myCoursesComponent.renderCourses(codes.map(code => courseService.find(code) || { code, title: '' }));
+        this.myCoursesComponent.renderMaterials(null);
+
+        const requestId = ++this.materialsRequestId;
+        const materials = await courseService.getRequiredMaterials(codes);
+        if (requestId !== this.materialsRequestId) return;
+
+        this.myCoursesComponent.renderMaterials(materials);
+    }
+
+    /**
+     * Show the current user's listings
+     */
+    async showMyListings() {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to view your listings', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        try {
+            const products = await listingService.getMyListings();
+            this.listingsComponent.showModal(products, {
+                onEdit: (productId) => router.navigate(`/my-listings/${encodeURIComponent(productId)}/edit`),
+                onDelete: (productId) => this.deleteListing(productId),
+                onSell: () => router.navigate('/sell'),
+                onImport: () => router.navigate('/my-listings/import')
+            });
+        } catch (error) {
+            console.error('Error loading listings:', error);
+            showNotification('Could not load your listings. Please try again.', 'error');
+            this.showCatalog({ replace: true });
+        }
+    }
+
+    /**
+     * Bulk import listings from a CSV file
+     */
+    showListingImport() {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to import listings', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        this.listingImportComponent.showModal({
+            template: listingImportService.getTemplate(),
+            parse: (text) => listingImportService.parse(text),
+            importRows: async (rows, options) => {
+                const result = await listingImportService.importRows(rows, options);
+                if (result.posted > 0) this.loadProducts();
+                return result;
+            },
+            buildErrorFile: (parsed) => listingImportService.buildErrorFile(parsed),
+            onViewListings: () => router.navigate('/my-listings')
+        });
+    }
+
+    /**
+     * Delete one of the current user's listings
      */
-    showMyListings() {
-        // TODO: Implement my listings
-        console.log('My listings');
+    async deleteListing(productId) {
+        try {
+            await listingService.remove(productId);
+            showNotification('Listing deleted', 'success');
+            this.loadProducts();
+            await this.showMyListings();
+        } catch (error) {
+            console.error('Error deleting listing:', error);
+            showNotification('Could not delete listing. Please try again.', 'error');
+        }
     }
 
     /**
-     * Show purchases
+     * Show purchase history
      */
-    showPurchases() {
-        // TODO: Implement purchases
-        console.log('My purchases');
+    async showPurchases() {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to view your purchase history', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        let orders;
+        try {
+            const response = await apiService.getPurchases();
+            orders = response.data || [];
+        } catch (error) {
+            console.error('Error loading purchases:', error);
+            showNotification('Could not load purchase history. Please try again.', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        this.purchasesComponent.showModal(orders.map(order => ({
+            order,
+            actions: orderService.getActions(order),
+            meetupLabel: this.describeMeetup(order)
+        })), {
+            onAction: async (orderId, actionId) => {
+                const order = orders.find(purchase => purchase.id === orderId);
+                if (order) await this.performOrderAction(order, actionId);
+                this.showPurchases();
+            },
+            onMeetup: (orderId) => router.navigate(`/orders/${encodeURIComponent(orderId)}/meetup`)
+        });
     }
 
     /**
-     * Show sell modal
+     * Show the sell form, or the edit form when productId is given
      */
-    showSellModal() {
-        // TODO: Implement sell modal
-        console.log('Sell item');
+    async showSellModal(productId = null) {
+        if (!authService.isAuthenticated()) {
+            showNotification('Please login to sell items', 'error');
+            this.showCatalog({ replace: true });
+            return;
+        }
+
+        let product = null;
+        if (productId) {
+            try {
+                const response = await apiService.getProduct(productId);
+                product = response.data;
+            } catch (error) {
+                console.error('Error loading listing:', error);
+            }
+
+            if (!product || (product.seller?.id || product.sellerId) !== authService.getUser()?.id) {
+                showNotification('Listing not found', 'error');
+                router.navigate('/my-listings', { replace: true });
+                return;
+            }
+        }
+
+        this.sellFormComponent.onClose = () => router.navigate(product ? '/my-listings' : this.catalogPath());
+        this.sellFormComponent.showModal({
+            product,
+            draftKey: `listing_${authService.getUser()?.id}_${product?.id || 'new'}`,
+            upload: (file, options) => apiService.uploadProductImage(file, options),
+            lookupBook: (isbn) => bookMetadataService.lookup(isbn),
+            searchCourses: (query) => courseService.search(query),
+            findCourse: (code) => courseService.find(code),
+            onSubmit: async (values) => {
+                if (product) {
+                    await listingService.update(product.id, values);
+                    showNotification('Listing updated', 'success');
+                } else {
+                    await listingService.create(values);
+                    showNotification('Item posted!', 'success');
+                }
+                this.loadProducts();
+                router.navigate('/my-listings');
+            }
+        });
     }
 }
 
@@ -10,6 +10,16 @@ export class AdminComponent {
     constructor() {
         this.modal = null;
         this.charts = {};
+        this.activeTab = 'overview';
+        this.onClose = null;
+        this.onTabChange = null;
+    }
+
+    /**
+     * Check if the dashboard is currently open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
     }
 
     /**
@@ -499,35 +509,19 @@ export class AdminComponent {
         // Close button
         const closeBtn = this.modal.querySelector('.modal-close');
         if (closeBtn) {
-            closeBtn.addEventListener('click', () => this.closeModal());
+            closeBtn.addEventListener('click', () => this.dismiss());
         }
 
         // Click outside to close
         this.modal.addEventListener('click', (e) => {
-            if (e.target === this.modal) this.closeModal();
+            if (e.target === this.modal) this.dismiss();
         });
 
         // Tab switching
-        const tabs = this.modal.querySelectorAll('.admin-tab');
-        const panels = this.modal.querySelectorAll('.admin-panel');
-
-        tabs.forEach(tab => {
+        this.modal.querySelectorAll('.admin-tab').forEach(tab => {
             tab.addEventListener('click', () => {
-                const target = tab.dataset.tab;
-
-                tabs.forEach(t => t.classList.remove('active'));
-                panels.forEach(p => p.classList.remove('active'));
-
-                tab.classList.add('active');
-                const panel = this.modal.querySelector(`#${target}`);
-                if (panel) panel.classList.add('active');
-
-                // Load tab-specific data
-                if (target === 'sales') {
-                    // Sales data will be loaded by button click
-                }
-                if (target === 'inventory') onLoadInventory();
-                if (target === 'users') onLoadUsers();
+                this.selectTab(tab.dataset.tab, onLoadInventory, onLoadUsers);
+                if (this.onTabChange) this.onTabChange(tab.dataset.tab);
             });
         });
 
@@ -544,6 +538,43 @@ export class AdminComponent {
         }
     }
 
+    /**
+     * Activate a dashboard tab and load its data
+     */
+    selectTab(target, onLoadInventory, onLoadUsers) {
+        if (!this.modal) return;
+
+        const tabs = Array.from(this.modal.querySelectorAll('.admin-tab'));
+        if (!tabs.some(t => t.dataset.tab === target)) return;
+
+        const panel = this.modal.querySelector(`#${target}`);
+        if (!panel) return;
+
+        tabs.forEach(t => {
+            t.classList.toggle('active', t.dataset.tab === target);
+        });
+        this.modal.querySelectorAll('.admin-panel').forEach(p => p.classList.remove('active'));
+        panel.classList.add('active');
+        this.activeTab = target;
+
+        // Load tab-specific data
+        if (target === 'sales') {
+            // Sales data will be loaded by button click
+        }
+        if (target === 'inventory' && onLoadInventory) onLoadInventory();
+        if (target === 'users' && onLoadUsers) onLoadUsers();
+    }
+
+    /**
+     * Set the sales report date range inputs
+     */
+    setSalesDateRange(startDate, endDate) {
+        const startInput = document.getElementById('startDate');
+        const endInput = document.getElementById('endDate');
+        if (startInput && startDate) startInput.value = startDate;
+        if (endInput && endDate) endInput.value = endDate;
+    }
+
     /**
      * Export sales report as PDF
      */
@@ -551,6 +582,14 @@ export class AdminComponent {
         window.print();
     }
 
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
     /**
      * Close modal and cleanup charts
      */
@@ -566,5 +605,6 @@ export class AdminComponent {
             this.modal.remove();
             this.modal = null;
         }
+        this.activeTab = 'overview';
     }
 }
@@ -0,0 +1,183 @@
+/**
+ * Barcode Scanner Component
+ * Reads a book's ISBN barcode from the camera or an uploaded photo
+ */
+
+import { detectBarcode } from '../utils/barcode.js';
+import { isValidISBN13 } from '../utils/isbn.js';
+import { loadImage } from '../utils/image.js';
+
+const SCAN_INTERVAL = 300;
+
+export class BarcodeScannerComponent {
+    /**
+     * onDetected(isbn13) runs once a book barcode is read
+     */
+    constructor(container, { onDetected }) {
+        this.container = container;
+        this.onDetected = onDetected;
+        this.stream = null;
+        this.timer = null;
+        this.session = 0;  // Bumped by stop() so a camera that opens late is shut again
+    }
+
+    /**
+     * Render scanner UI
+     */
+    render() {
+        if (!this.container) return;
+
+        const hasCamera = !!navigator.mediaDevices?.getUserMedia;
+
+        this.container.innerHTML = `
+            <div class="barcode-scanner">
+                <div class="scanner-actions">
+                    ${hasCamera ? '<button type="button" class="btn-secondary btn-sm scanner-camera-btn">📷 Scan with camera</button>' : ''}
+                    <label class="btn-secondary btn-sm scanner-upload">
+                        🖼️ Scan from photo
+                        <input type="file" class="scanner-file" accept="image/*" capture="environment" hidden />
+                    </label>
+                </div>
+                <video class="scanner-video" playsinline muted hidden></video>
+                <small class="scanner-status" aria-live="polite"></small>
+            </div>
+        `;
+
+        this.container.querySelector('.scanner-camera-btn')?.addEventListener('click', () => {
+            if (this.stream) this.stop();
+            else this.startCamera();
+        });
+        this.container.querySelector('.scanner-file').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (file) this.scanFile(file);
+        });
+    }
+
+    /**
+     * Show a status line under the buttons
+     */
+    setStatus(message) {
+        const status = this.container?.querySelector('.scanner-status');
+        if (status) status.textContent = message;
+    }
+
+    /**
+     * Handle a decoded code; returns true when it was a book ISBN
+     */
+    accept(code) {
+        if (!code) return false;
+        if (!isValidISBN13(code)) {
+            this.setStatus(`Barcode ${code} is not a book ISBN (ISBNs start with 978 or 979)`);
+            return false;
+        }
+
+        this.stop();
+        this.setStatus(`Scanned ISBN ${code}`);
+        this.onDetected(code);
+        return true;
+    }
+
+    /**
+     * Scan a still photo of the barcode
+     */
+    async scanFile(file) {
+        this.stop();
+        this.setStatus('Reading barcode...');
+
+        try {
+            const image = await loadImage(file);
+            const code = await detectBarcode(image);
+            if (!code) {
+                this.setStatus('No barcode found. Try a closer, well-lit photo of the barcode.');
+                return;
+            }
+            this.accept(code);
+        } catch (error) {
+            console.error('Error scanning photo:', error);
+            this.setStatus(error.message);
+        }
+    }
+
+    /**
+     * Scan frames from the rear camera until a book barcode is found
+     */
+    async startCamera() {
+        const video = this.container.querySelector('.scanner-video');
+        const button = this.container.querySelector('.scanner-camera-btn');
+        const session = ++this.session;
+
+        // One permission prompt at a time
+        button.disabled = true;
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+        } catch (error) {
+            console.warn('Camera unavailable:', error);
+            if (session === this.session) this.setStatus('Camera unavailable. You can scan from a photo instead.');
+            return;
+        } finally {
+            button.disabled = false;
+        }
+
+        // Stopped (or the form closed) while waiting for permission
+        if (session !== this.session) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        this.stream = stream;
+        video.srcObject = stream;
+        video.hidden = false;
+        try {
+            await video.play();
+        } catch (error) {
+            console.warn('Camera preview failed:', error);
+            if (session === this.session) {
+                this.stop();
+                this.setStatus('Camera unavailable. You can scan from a photo instead.');
+            }
+            return;
+        }
+        if (session !== this.session) return;
+
+        button.textContent = '⏹ Stop camera';
+        this.setStatus('Point the camera at the barcode on the back cover');
+
+        const scanFrame = async () => {
+            if (session !== this.session) return;
+            try {
+                if (this.accept(await detectBarcode(video))) return;
+            } catch (error) {
+                console.warn('Frame scan failed:', error);
+            }
+            if (session === this.session) this.timer = setTimeout(scanFrame, SCAN_INTERVAL);
+        };
+        scanFrame();
+    }
+
+    /**
+     * Stop the camera
+     */
+    stop() {
+        this.session++;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        const video = this.container?.querySelector('.scanner-video');
+        if (video) {
+            video.srcObject = null;
+            video.hidden = true;
+        }
+        const button = this.container?.querySelector('.scanner-camera-btn');
+        if (button) button.textContent = '📷 Scan with camera';
+    }
+}
@@ -3,26 +3,53 @@
  * Handles cart display and interactions
  */
 
-import { getCategoryEmoji, formatCurrency } from '../utils/helpers.js';
+import { getCategoryEmoji, formatCurrency, escapeHTML } from '../utils/helpers.js';
+import { groupCartBySeller, getSellerName, getLineTotal, getAvailableQuantity, getStockIssues } from '../utils/cart.js';
 
 export class CartComponent {
     constructor() {
         this.modal = null;
+        this.onClose = null;
     }
 
     /**
-     * Show cart modal
+     * Check if the cart modal is currently open
      */
-    showModal(cart, onUpdateQuantity, onCheckout) {
-        this.closeModal();
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
 
-        this.modal = document.createElement('div');
-        this.modal.className = 'cart-modal';
-        this.modal.innerHTML = this.generateModalHTML(cart);
+    /**
+     * Show cart modal, or re-render it in place when already open
+     * (so the open animation doesn't replay and focus stays on the clicked button)
+     */
+    showModal(cart, onUpdateQuantity, onCheckout, onRemove, onClear) {
+        let focusSelector = null;
+
+        if (this.isOpen()) {
+            const focused = document.activeElement;
+            if (focused?.dataset.productId && this.modal.contains(focused)) {
+                focusSelector = `[data-action="${focused.dataset.action}"][data-product-id="${focused.dataset.productId}"]`;
+            }
+        } else {
+            this.closeModal();
+            this.modal = document.createElement('div');
+            this.modal.className = 'cart-modal';
+            this.modal.innerHTML = '<div class="modal-content"></div>';
+            document.body.appendChild(this.modal);
+
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal) this.dismiss();
+            });
+        }
 
-        document.body.appendChild(this.modal);
+        this.modal.querySelector('.modal-content').innerHTML = this.generateModalHTML(cart);
+        this.attachEventListeners(cart, onUpdateQuantity, onCheckout, onRemove, onClear);
 
-        this.attachEventListeners(cart, onUpdateQuantity, onCheckout);
+        if (focusSelector) {
+            const target = this.modal.querySelector(focusSelector);
+            (target && !target.disabled ? target : this.modal.querySelector('.modal-close')).focus();
+        }
     }
 
     /**
@@ -34,29 +61,52 @@ export class CartComponent {
         }
 
         const total = this.calculateTotal(cart);
-        const items = cart.map(item => this.generateCartItemHTML(item)).join('');
+        const groups = groupCartBySeller(cart);
+        const stockIssues = getStockIssues(cart);
 
         return `
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h2>Your Cart (${cart.length} items)</h2>
-                    <button class="modal-close">✕</button>
-                </div>
-                <div class="cart-items">
-                    ${items}
-                </div>
-                <div class="cart-footer">
-                    <div class="cart-total">
-                        <strong>Total: ${formatCurrency(total)}</strong>
-                    </div>
-                    <button class="btn-primary btn-checkout">
-                        Proceed to Checkout
-                    </button>
+            <div class="modal-header">
+                <h2>Your Cart (${cart.length} items)</h2>
+                <button class="modal-close">✕</button>
+            </div>
+            <div class="cart-items">
+                ${groups.map(group => this.generateSellerGroupHTML(group)).join('')}
+            </div>
+            <div class="cart-footer">
+                <div class="cart-total">
+                    <strong>Total: ${formatCurrency(total)}</strong>
+                    ${groups.length > 1 ? `<small>${groups.length} sellers, one order each</small>` : ''}
                 </div>
+                <button class="btn-secondary btn-clear-cart">
+                    Clear Cart
+                </button>
+                <button class="btn-primary btn-checkout" ${stockIssues.length > 0 ? 'disabled title="Fix the highlighted items first"' : ''}>
+                    Proceed to Checkout
+                </button>
             </div>
         `;
     }
 
+    /**
+     * Generate one seller's items, subtotal and meetup note
+     */
+    generateSellerGroupHTML({ seller, items, subtotal }) {
+        const name = getSellerName(seller);
+
+        return `
+            <section class="cart-seller-group">
+                <div class="cart-seller-header">
+                    <h3>Sold by ${escapeHTML(name)}</h3>
+                    <span class="cart-seller-subtotal">Subtotal: ${formatCurrency(subtotal)}</span>
+                </div>
+                ${items.map(item => this.generateCartItemHTML(item)).join('')}
+                <p class="cart-seller-meetup">
+                    🤝 Meet ${escapeHTML(name)} on campus. You'll pick a time and spot at checkout.
+                </p>
+            </section>
+        `;
+    }
+
     /**
      * Generate cart item HTML
      */
@@ -66,22 +116,37 @@ export class CartComponent {
 
         const emoji = getCategoryEmoji(product.category);
         const price = formatCurrency(product.price);
-        const total = formatCurrency(product.price * item.quantity);
+        const total = formatCurrency(getLineTotal(item));
+        const available = getAvailableQuantity(item);
+        const atLimit = item.quantity >= available;
+
+        let stockNotice = '';
+        if (available === 0) {
+            stockNotice = 'Sold out. Remove it to check out.';
+        } else if (item.quantity > available) {
+            stockNotice = `Only ${available} available. Lower the quantity to check out.`;
+        } else if (atLimit && available < 5) {
+            stockNotice = `Only ${available} in stock`;
+        }
 
         return `
-            <div class="cart-item">
+            <div class="cart-item ${item.quantity > available ? 'stock-issue' : ''}">
                 <div class="cart-item-image">${product.imageUrl || emoji}</div>
                 <div class="cart-item-info">
                     <h4>${product.title}</h4>
                     <p>${product.courseCode || 'General'}</p>
                     <span class="cart-item-price">${price}</span>
+                    ${stockNotice ? `<p class="cart-item-stock">${stockNotice}</p>` : ''}
                 </div>
                 <div class="cart-item-controls">
                     <button class="quantity-btn" data-action="decrease" data-product-id="${item.productId}">-</button>
                     <span class="quantity-display">${item.quantity}</span>
-                    <button class="quantity-btn" data-action="increase" data-product-id="${item.productId}">+</button>
+                    <button class="quantity-btn" data-action="increase" data-product-id="${item.productId}"
+                            ${atLimit ? 'disabled title="No more in stock"' : ''}>+</button>
                 </div>
                 <div class="cart-item-total">${total}</div>
+                <button class="cart-item-remove" data-action="remove" data-product-id="${item.productId}"
+                        title="Remove from cart" aria-label="Remove ${escapeHTML(product.title)} from cart">✕</button>
             </div>
         `;
     }
@@ -91,16 +156,14 @@ export class CartComponent {
      */
     generateEmptyCartHTML() {
         return `
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h2>Your Cart</h2>
-                    <button class="modal-close">✕</button>
-                </div>
-                <div class="empty-cart">
-                    <div class="empty-cart-icon">🛒</div>
-                    <h3>Your cart is empty</h3>
-                    <p>Add some items to get started!</p>
-                </div>
+            <div class="modal-header">
+                <h2>Your Cart</h2>
+                <button class="modal-close">✕</button>
+            </div>
+            <div class="empty-cart">
+                <div class="empty-cart-icon">🛒</div>
+                <h3>Your cart is empty</h3>
+                <p>Add some items to get started!</p>
             </div>
         `;
     }
@@ -109,25 +172,18 @@ export class CartComponent {
      * Calculate cart total
      */
     calculateTotal(cart) {
-        return cart.reduce((total, item) => {
-            const price = parseFloat(item.product?.price || 0);
-            return total + (price * item.quantity);
-        }, 0);
+        return cart.reduce((total, item) => total + getLineTotal(item), 0);
     }
 
     /**
      * Attach event listeners
      */
-    attachEventListeners(cart, onUpdateQuantity, onCheckout) {
+    attachEventListeners(cart, onUpdateQuantity, onCheckout, onRemove, onClear) {
         const closeBtn = this.modal.querySelector('.modal-close');
         if (closeBtn) {
-            closeBtn.addEventListener('click', () => this.closeModal());
+            closeBtn.addEventListener('click', () => this.dismiss());
         }
 
-        this.modal.addEventListener('click', (e) => {
-            if (e.target === this.modal) this.closeModal();
-        });
-
         this.modal.querySelectorAll('.quantity-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const productId = e.target.dataset.productId;
@@ -144,12 +200,29 @@ export class CartComponent {
             });
         });
 
+        this.modal.querySelectorAll('.cart-item-remove').forEach(btn => {
+            btn.addEventListener('click', () => onRemove(btn.dataset.productId));
+        });
+
+        const clearBtn = this.modal.querySelector('.btn-clear-cart');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', onClear);
+        }
+
         const checkoutBtn = this.modal.querySelector('.btn-checkout');
         if (checkoutBtn) {
             checkoutBtn.addEventListener('click', onCheckout);
         }
     }
 
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
     /**
      * Close modal
      */
@@ -164,7 +237,7 @@ export class CartComponent {
      * Update cart badge
      */
     updateBadge(count) {
-        const badge = document.querySelector('.cart-count');
+        const badge = document.querySelector('.cart-badge');
         if (badge) {
             badge.textContent = count;
             badge.style.display = count > 0 ? 'flex' : 'none';
@@ -0,0 +1,162 @@
+/**
+ * Courses Component
+ * "Browse by course": the course registry grouped by faculty,
+ * filtered by faculty, term and code or title
+ */
+
+import { escapeHTML } from '../utils/helpers.js';
+
+export class CoursesComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.handlers = null;
+    }
+
+    /**
+     * Check if the browser is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show the course browser, or re-render the results in place when already open
+     * view: { groups: [{ faculty, courses: [{ code, title, terms }] }], faculties, terms,
+     *         filters: { faculty, term, q }, enrolled: [codes] }
+     * handlers: { onFilter(filters), onSelectCourse(code), onToggleEnrolled(code, enrolled), onMyCourses() }
+     */
+    showModal(view, handlers) {
+        this.handlers = handlers;
+
+        if (!this.isOpen()) {
+            this.modal = document.createElement('div');
+            this.modal.className = 'form-modal courses-modal';
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>🎓 Browse by Course</h3>
+                        <button class="modal-close">✕</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="courses-filters">
+                            <input type="search" class="courses-search" placeholder="Course code or title"
+                                   aria-label="Search courses" value="${escapeHTML(view.filters.q)}" />
+                            <select class="courses-faculty" aria-label="Faculty">
+                                <option value="">All faculties</option>
+                                ${view.faculties.map(faculty => `
+                                    <option value="${escapeHTML(faculty)}">${escapeHTML(faculty)}</option>
+                                `).join('')}
+                            </select>
+                            <select class="courses-term" aria-label="Term">
+                                <option value="">Any term</option>
+                                ${view.terms.map(term => `
+                                    <option value="${escapeHTML(term)}">${escapeHTML(term)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="courses-results"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn-primary my-courses-btn">📋 Materials for my courses</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(this.modal);
+            this.attachEventListeners();
+        }
+
+        this.modal.querySelector('.courses-faculty').value = view.filters.faculty;
+        this.modal.querySelector('.courses-term').value = view.filters.term;
+        this.renderResults(view);
+    }
+
+    /**
+     * Course list grouped by faculty
+     */
+    renderResults({ groups, enrolled }) {
+        const results = this.modal.querySelector('.courses-results');
+
+        if (groups.length === 0) {
+            results.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🔍</div>
+                    <p>No courses match these filters.</p>
+                </div>
+            `;
+            return;
+        }
+
+        results.innerHTML = groups.map(group => `
+            <section class="course-group">
+                <h4>${escapeHTML(group.faculty)}</h4>
+                <ul class="course-list">
+                    ${group.courses.map(course => {
+                        const isEnrolled = enrolled.includes(course.code);
+                        return `
+                            <li class="course-row" data-course="${escapeHTML(course.code)}">
+                                <button class="course-link" title="Show listings for ${escapeHTML(course.code)}">
+                                    <strong>${escapeHTML(course.code)}</strong>
+                                    <span>${escapeHTML(course.title)}</span>
+                                </button>
+                                <span class="course-terms">${course.terms.map(term => escapeHTML(term)).join(' · ')}</span>
+                                <button class="btn-secondary btn-sm enrol-btn ${isEnrolled ? 'active' : ''}"
+                                        data-enrolled="${isEnrolled}" aria-pressed="${isEnrolled}">
+                                    ${isEnrolled ? '✓ My course' : '+ My course'}
+                                </button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </section>
+        `).join('');
+
+        results.querySelectorAll('.course-row').forEach(row => {
+            const code = row.dataset.course;
+            row.querySelector('.course-link').addEventListener('click', () => this.handlers.onSelectCourse(code));
+            row.querySelector('.enrol-btn').addEventListener('click', (e) => {
+                this.handlers.onToggleEnrolled(code, e.currentTarget.dataset.enrolled === 'true');
+            });
+        });
+    }
+
+    /**
+     * Attach listeners to the frame and filters (results are wired in renderResults)
+     */
+    attachEventListeners() {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        const search = this.modal.querySelector('.courses-search');
+        const faculty = this.modal.querySelector('.courses-faculty');
+        const term = this.modal.querySelector('.courses-term');
+        const emitFilters = () => this.handlers.onFilter({ faculty: faculty.value, term: term.value, q: search.value });
+
+        search.addEventListener('input', emitFilters);
+        faculty.addEventListener('change', emitFilters);
+        term.addEventListener('change', emitFilters);
+
+        this.modal.querySelector('.my-courses-btn').addEventListener('click', () => this.handlers.onMyCourses());
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
@@ -1,13 +1,43 @@
 /**
  * Image Upload Component
- * Handles product image upload with preview
+ * Handles up to config.imageUpload.maxImages product images:
+ * drag-to-reorder with a cover image, crop/rotate, client-side compression,
+ * per-file upload progress and retry
  */
 
+import { config } from '../config.js';
+import { showNotification, escapeHTML } from '../utils/helpers.js';
+import { ACCEPTED_IMAGE_TYPES, CROP_ASPECTS, loadImage, drawEdited, processImage } from '../utils/image.js';
+
+const STATUS_LABELS = {
+    processing: 'Optimizing...',
+    ready: 'Ready',
+    uploading: 'Uploading...',
+    uploaded: 'Uploaded',
+    failed: 'Failed'
+};
+
+const ASPECT_LABELS = {
+    original: 'Original',
+    square: 'Square',
+    landscape: '4:3',
+    portrait: '3:4'
+};
+
+let nextImageId = 1;
+
 export class ImageUploadComponent {
-    constructor(container) {
+    /**
+     * upload(file, { onProgress }) sends one file, typically apiService.uploadProductImage
+     * onChange(images) runs whenever images are added, removed, reordered or edited
+     */
+    constructor(container, { upload, onChange = null } = {}) {
         this.container = container;
-        this.file = null;
-        this.preview = null;
+        this.upload = upload;
+        this.onChange = onChange;
+        this.images = [];
+        this.editing = null;
+        this.dragId = null;
     }
 
     /**
@@ -16,120 +46,484 @@ export class ImageUploadComponent {
     render() {
         if (!this.container) return;
 
+        const { maxImages } = config.imageUpload;
+
         this.container.innerHTML = `
             <div class="image-upload-container">
-                <label for="image-upload" class="image-upload-label">
-                    <div class="upload-placeholder" id="upload-placeholder">
-                        <div class="upload-icon">📸</div>
-                        <p>Click to upload image</p>
-                        <small>JPEG, PNG, GIF, WebP (Max 5MB)</small>
-                    </div>
-                    <img id="image-preview" class="image-preview" style="display: none;" alt="Preview" />
-                </label>
-                <input 
-                    type="file" 
-                    id="image-upload" 
-                    accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
+                <div class="image-upload-grid"></div>
+                <input
+                    type="file"
+                    class="image-upload-input"
+                    accept="${ACCEPTED_IMAGE_TYPES.join(',')}"
+                    multiple
                     style="display: none;"
                 />
-                <button 
-                    type="button" 
-                    class="btn-secondary btn-sm remove-image-btn" 
-                    id="remove-image-btn"
-                    style="display: none; margin-top: 10px;"
-                >
-                    Remove Image
-                </button>
+                <small class="image-upload-hint">
+                    Up to ${maxImages} photos. Drag to reorder — the first photo is the cover.
+                    Large phone photos are resized automatically.
+                </small>
+                <div class="image-editor" hidden></div>
             </div>
         `;
 
         this.attachEventListeners();
+        this.renderTiles();
     }
 
     /**
-     * Attach event listeners
+     * Attach container-level listeners (tiles are wired in renderTiles)
      */
     attachEventListeners() {
-        const fileInput = document.getElementById('image-upload');
-        const preview = document.getElementById('image-preview');
-        const placeholder = document.getElementById('upload-placeholder');
-        const removeBtn = document.getElementById('remove-image-btn');
-
-        if (fileInput) {
-            fileInput.addEventListener('change', (e) => {
-                const file = e.target.files[0];
-                if (file) {
-                    this.handleFileSelect(file, preview, placeholder, removeBtn);
+        const wrapper = this.container.querySelector('.image-upload-container');
+        const fileInput = this.container.querySelector('.image-upload-input');
+
+        fileInput.addEventListener('change', (e) => {
+            this.addFiles(Array.from(e.target.files));
+            fileInput.value = '';
+        });
+
+        // Files dropped from the desktop
+        wrapper.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) {
+                e.preventDefault();
+                wrapper.classList.add('drag-over');
+            }
+        });
+        wrapper.addEventListener('dragleave', () => wrapper.classList.remove('drag-over'));
+        wrapper.addEventListener('drop', (e) => {
+            wrapper.classList.remove('drag-over');
+            if (e.dataTransfer.files.length > 0) {
+                e.preventDefault();
+                this.addFiles(Array.from(e.dataTransfer.files));
+            }
+        });
+    }
+
+    /**
+     * Validate and queue new files for processing
+     */
+    addFiles(files) {
+        const { maxImages, maxSourceSize } = config.imageUpload;
+        const room = maxImages - this.images.length;
+
+        if (room <= 0) {
+            showNotification(`You can add up to ${maxImages} photos`, 'error');
+            return;
+        }
+        if (files.length > room) {
+            showNotification(`Only the first ${room} photo(s) were added (max ${maxImages})`, 'error');
+        }
+
+        files.slice(0, room).forEach(file => {
+            if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+                showNotification(`"${file.name}" is not a JPEG, PNG, GIF or WebP image`, 'error');
+                return;
+            }
+            if (file.size > maxSourceSize) {
+                showNotification(`"${file.name}" is larger than ${Math.round(maxSourceSize / 1024 / 1024)}MB`, 'error');
+                return;
+            }
+
+            const image = {
+                id: nextImageId++,
+                source: file,
+                edits: { rotation: 0, aspect: 'original' },
+                file: null,
+                previewUrl: null,
+                status: 'processing',
+                progress: 0,
+                url: null,
+                error: null
+            };
+            this.images.push(image);
+            this.process(image);
+        });
+
+        this.renderTiles();
+        this.notifyChange();
+    }
+
+    /**
+     * Show images that are already uploaded (e.g. when editing a listing)
+     */
+    setExistingImages(urls) {
+        this.restoreDraft(urls.map(url => ({ url })));
+    }
+
+    /**
+     * Serializable image list for a saved draft:
+     * uploaded images keep their URL, others keep the original file and edits
+     */
+    getDraft() {
+        return this.images
+            .map(image => (image.url ? { url: image.url } : image.source ? { source: image.source, edits: image.edits } : null))
+            .filter(Boolean);
+    }
+
+    /**
+     * Restore images from getDraft(); local files are processed again
+     */
+    restoreDraft(entries) {
+        this.clearImages();
+        this.images = entries.map(entry => ({
+            id: nextImageId++,
+            source: entry.source || null,
+            edits: entry.edits || null,
+            file: null,
+            previewUrl: entry.url || null,
+            status: entry.url ? 'uploaded' : 'processing',
+            progress: entry.url ? 1 : 0,
+            url: entry.url || null,
+            error: null
+        }));
+        this.images.filter(image => image.source).forEach(image => this.process(image));
+        this.renderTiles();
+    }
+
+    /**
+     * Crop, rotate and compress an image for upload
+     */
+    async process(image) {
+        image.status = 'processing';
+        image.error = null;
+        this.renderTiles();
+
+        try {
+            const file = await processImage(image.source, image.edits);
+            if (!this.images.includes(image)) return;
+
+            this.revokePreview(image);
+            image.file = file;
+            image.previewUrl = URL.createObjectURL(file);
+            image.status = 'ready';
+            image.url = null;
+        } catch (error) {
+            console.error('Error processing image:', error);
+            image.status = 'failed';
+            image.error = error.message;
+        }
+
+        this.renderTiles();
+        this.notifyChange();
+    }
+
+    /**
+     * Render the thumbnail grid
+     */
+    renderTiles() {
+        const grid = this.container?.querySelector('.image-upload-grid');
+        if (!grid) return;
+
+        const canAdd = this.images.length < config.imageUpload.maxImages;
+
+        grid.innerHTML = this.images.map((image, index) => `
+            <div class="image-tile" data-status="${image.status}" draggable="true" data-image-id="${image.id}">
+                ${image.previewUrl
+                    ? `<img src="${escapeHTML(image.previewUrl)}" alt="Photo ${index + 1}" draggable="false" />`
+                    : '<div class="image-tile-placeholder">⏳</div>'
                 }
+                ${index === 0 ? '<span class="cover-badge">Cover</span>' : ''}
+                <div class="image-tile-actions">
+                    ${index > 0 ? '<button type="button" data-action="cover" title="Make cover">★</button>' : ''}
+                    ${image.source ? '<button type="button" data-action="edit" title="Crop / rotate">✂️</button>' : ''}
+                    <button type="button" data-action="remove" title="Remove">✕</button>
+                </div>
+                <div class="image-tile-status">
+                    ${image.status === 'uploading' || image.status === 'uploaded' ? `
+                        <div class="upload-progress"><div class="upload-progress-bar" style="width: ${Math.round(image.progress * 100)}%"></div></div>
+                    ` : ''}
+                    <span title="${escapeHTML(image.error || '')}">${STATUS_LABELS[image.status]}</span>
+                    ${image.status === 'failed' ? '<button type="button" class="retry-btn" data-action="retry">Retry</button>' : ''}
+                </div>
+            </div>
+        `).join('') + (canAdd ? `
+            <button type="button" class="image-tile image-tile-add">
+                <span class="upload-icon">📸</span>
+                <span>${this.images.length === 0 ? 'Add photos' : 'Add more'}</span>
+                <small>${this.images.length}/${config.imageUpload.maxImages}</small>
+            </button>
+        ` : '');
+
+        this.attachTileListeners(grid);
+    }
+
+    /**
+     * Wire tile buttons and drag-to-reorder
+     */
+    attachTileListeners(grid) {
+        const addBtn = grid.querySelector('.image-tile-add');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.container.querySelector('.image-upload-input').click());
+        }
+
+        grid.querySelectorAll('.image-tile[data-image-id]').forEach(tile => {
+            const id = parseInt(tile.dataset.imageId, 10);
+
+            tile.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const actions = {
+                        cover: () => this.move(id, 0),
+                        edit: () => this.openEditor(id),
+                        remove: () => this.remove(id),
+                        retry: () => this.retry(id)
+                    };
+                    actions[btn.dataset.action]();
+                });
+            });
+
+            tile.addEventListener('dragstart', (e) => {
+                this.dragId = id;
+                e.dataTransfer.effectAllowed = 'move';
+                tile.classList.add('dragging');
+            });
+            tile.addEventListener('dragend', () => {
+                this.dragId = null;
+                tile.classList.remove('dragging');
+            });
+            tile.addEventListener('dragover', (e) => {
+                if (this.dragId === null) return;
+                e.preventDefault();
+                e.stopPropagation();
+            });
+            tile.addEventListener('drop', (e) => {
+                if (this.dragId === null) return;
+                e.preventDefault();
+                e.stopPropagation();
+                const targetIndex = this.images.findIndex(image => image.id === id);
+                this.move(this.dragId, targetIndex);
+            });
+        });
+    }
+
+    /**
+     * Move an image to a new position (position 0 is the cover)
+     */
+    move(id, toIndex) {
+        const fromIndex = this.images.findIndex(image => image.id === id);
+        if (fromIndex === -1 || fromIndex === toIndex) return;
+
+        const [image] = this.images.splice(fromIndex, 1);
+        this.images.splice(toIndex, 0, image);
+        this.renderTiles();
+        this.notifyChange();
+    }
+
+    /**
+     * Remove an image
+     */
+    remove(id) {
+        const image = this.images.find(item => item.id === id);
+        if (!image) return;
+
+        this.revokePreview(image);
+        this.images = this.images.filter(item => item !== image);
+        if (this.editing === id) this.closeEditor();
+        this.renderTiles();
+        this.notifyChange();
+    }
+
+    /**
+     * Open the crop/rotate editor for an image
+     */
+    async openEditor(id) {
+        const image = this.images.find(item => item.id === id);
+        const editor = this.container.querySelector('.image-editor');
+        if (!image || !image.source || !editor) return;
+
+        this.editing = id;
+        const edits = { ...image.edits };
+
+        let source;
+        try {
+            source = await loadImage(image.source);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+
+        editor.innerHTML = `
+            <div class="image-editor-preview"></div>
+            <div class="image-editor-controls">
+                <div class="image-editor-group">
+                    <button type="button" class="btn-secondary btn-sm" data-rotate="-90" title="Rotate left">↺</button>
+                    <button type="button" class="btn-secondary btn-sm" data-rotate="90" title="Rotate right">↻</button>
+                </div>
+                <div class="image-editor-group">
+                    ${Object.keys(CROP_ASPECTS).map(aspect => `
+                        <button type="button" class="btn-secondary btn-sm aspect-btn" data-aspect="${aspect}">${ASPECT_LABELS[aspect]}</button>
+                    `).join('')}
+                </div>
+                <div class="image-editor-group">
+                    <button type="button" class="btn-primary btn-sm" data-editor="apply">Apply</button>
+                    <button type="button" class="btn-secondary btn-sm" data-editor="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        editor.hidden = false;
+
+        const drawPreview = () => {
+            const canvas = drawEdited(source, { ...edits, maxDimension: 360 });
+            editor.querySelector('.image-editor-preview').replaceChildren(canvas);
+            editor.querySelectorAll('.aspect-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.aspect === edits.aspect);
+            });
+        };
+        drawPreview();
+
+        editor.querySelectorAll('[data-rotate]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                edits.rotation = (edits.rotation + parseInt(btn.dataset.rotate, 10) + 360) % 360;
+                drawPreview();
+            });
+        });
+        editor.querySelectorAll('.aspect-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                edits.aspect = btn.dataset.aspect;
+                drawPreview();
             });
+        });
+        editor.querySelector('[data-editor="apply"]').addEventListener('click', () => {
+            image.edits = edits;
+            this.closeEditor();
+            this.process(image);
+        });
+        editor.querySelector('[data-editor="cancel"]').addEventListener('click', () => this.closeEditor());
+    }
+
+    /**
+     * Hide the crop/rotate editor
+     */
+    closeEditor() {
+        const editor = this.container?.querySelector('.image-editor');
+        if (editor) {
+            editor.hidden = true;
+            editor.innerHTML = '';
         }
+        this.editing = null;
+    }
+
+    /**
+     * Upload one image, tracking progress
+     */
+    async uploadImage(image) {
+        image.status = 'uploading';
+        image.progress = 0;
+        image.error = null;
+        this.renderTiles();
 
-        if (removeBtn) {
-            removeBtn.addEventListener('click', () => {
-                this.clearImage(fileInput, preview, placeholder, removeBtn);
+        try {
+            const response = await this.upload(image.file, {
+                onProgress: (fraction) => {
+                    image.progress = fraction;
+                    const bar = this.container?.querySelector(`[data-image-id="${image.id}"] .upload-progress-bar`);
+                    if (bar) bar.style.width = `${Math.round(fraction * 100)}%`;
+                }
             });
+
+            const data = response.data || response;
+            image.url = data.imageUrl || data.url;
+            if (!image.url) throw new Error('Upload response did not include an image URL');
+            image.status = 'uploaded';
+            image.progress = 1;
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            image.status = 'failed';
+            image.error = error.message;
         }
+
+        this.renderTiles();
     }
 
     /**
-     * Handle file selection
+     * Upload every image that is not uploaded yet, in order
+     * Resolves to the image URLs (cover first); rejects if any image failed
      */
-    handleFileSelect(file, preview, placeholder, removeBtn) {
-        // Validate file size (5MB max)
-        if (file.size > 5 * 1024 * 1024) {
-            alert('File size must be less than 5MB');
-            return;
+    async uploadAll() {
+        const pending = this.images.filter(image => image.status === 'processing');
+        if (pending.length > 0) {
+            throw new Error('Photos are still being optimized, please wait a moment');
         }
 
-        // Validate file type
-        const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-        if (!validTypes.includes(file.type)) {
-            alert('Only JPEG, PNG, GIF, and WebP images are allowed');
-            return;
+        for (const image of this.images) {
+            if (image.status === 'ready' || (image.status === 'failed' && image.file)) {
+                await this.uploadImage(image);
+            }
         }
 
-        this.file = file;
+        const failed = this.images.filter(image => image.status !== 'uploaded');
+        if (failed.length > 0) {
+            throw new Error(`${failed.length} photo(s) failed to upload. Use Retry or remove them.`);
+        }
 
-        // Show preview
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            preview.src = e.target.result;
-            preview.style.display = 'block';
-            placeholder.style.display = 'none';
-            removeBtn.style.display = 'block';
-        };
-        reader.readAsDataURL(file);
+        return this.getImageUrls();
+    }
+
+    /**
+     * Retry a failed image: re-upload it, or re-process if compression failed
+     */
+    retry(id) {
+        const image = this.images.find(item => item.id === id);
+        if (!image) return;
+
+        if (image.file) {
+            this.uploadImage(image);
+        } else {
+            this.process(image);
+        }
     }
 
     /**
-     * Clear selected image
+     * Uploaded image URLs, cover first
      */
-    clearImage(fileInput, preview, placeholder, removeBtn) {
-        this.file = null;
-        fileInput.value = '';
-        preview.src = '';
-        preview.style.display = 'none';
-        placeholder.style.display = 'flex';
-        removeBtn.style.display = 'none';
+    getImageUrls() {
+        return this.images.filter(image => image.url).map(image => image.url);
     }
 
     /**
-     * Get selected file
+     * Processed files in display order
+     */
+    getFiles() {
+        return this.images.filter(image => image.file).map(image => image.file);
+    }
+
+    /**
+     * Get the cover file
      */
     getFile() {
-        return this.file;
+        return this.getFiles()[0] || null;
+    }
+
+    /**
+     * Notify the owner that the image list changed
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange(this.images);
+    }
+
+    /**
+     * Release a preview object URL
+     */
+    revokePreview(image) {
+        if (image.previewUrl && image.previewUrl.startsWith('blob:')) {
+            URL.revokeObjectURL(image.previewUrl);
+        }
+    }
+
+    /**
+     * Drop every image
+     */
+    clearImages() {
+        this.images.forEach(image => this.revokePreview(image));
+        this.images = [];
     }
 
     /**
      * Reset component
      */
     reset() {
-        this.file = null;
-        const fileInput = document.getElementById('image-upload');
-        const preview = document.getElementById('image-preview');
-        const placeholder = document.getElementById('upload-placeholder');
-        const removeBtn = document.getElementById('remove-image-btn');
-
-        if (fileInput) this.clearImage(fileInput, preview, placeholder, removeBtn);
+        this.clearImages();
+        this.closeEditor();
+        this.renderTiles();
     }
 }
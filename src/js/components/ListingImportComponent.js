@@ -0,0 +1,234 @@
+/**
+ * Listing Import Component
+ * CSV upload → preview with per-row errors → batched import with progress
+ */
+
+import { escapeHTML, formatCurrency, downloadFile, showNotification } from '../utils/helpers.js';
+
+export class ListingImportComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.handlers = null;
+        this.parsed = null;
+    }
+
+    /**
+     * Check if the importer is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show the importer
+     * handlers: { template, parse(text) → { header, rows }, importRows(rows, { onProgress }),
+     *             buildErrorFile(parsed), onViewListings() }
+     */
+    showModal(handlers) {
+        this.closeModal();
+        this.handlers = handlers;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal import-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>⬆️ Import Listings from CSV</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">
+                    <p class="import-intro">
+                        Columns: title, price, quantity, course code, condition, category slug, description
+                        (optional: isbn, author, edition).
+                        <button type="button" class="btn-link template-btn">Download template</button>
+                    </p>
+                    <input type="file" class="import-file" accept=".csv,text/csv" />
+                    <div class="import-content"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+        this.modal.querySelector('.template-btn').addEventListener('click', () => {
+            downloadFile('campusswap-listings-template.csv', handlers.template, 'text/csv;charset=utf-8');
+        });
+        this.modal.querySelector('.import-file').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) this.readFile(file);
+        });
+    }
+
+    /**
+     * Parse a chosen file and show the preview
+     */
+    async readFile(file) {
+        try {
+            this.parsed = this.handlers.parse(await file.text());
+            this.renderPreview();
+        } catch (error) {
+            this.parsed = null;
+            this.modal.querySelector('.import-content').innerHTML = '';
+            showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Preview table with a status for every row
+     */
+    renderPreview() {
+        const { rows } = this.parsed;
+        const validCount = rows.filter(row => row.status === 'valid').length;
+        const invalidCount = rows.length - validCount;
+
+        const content = this.modal.querySelector('.import-content');
+        content.innerHTML = `
+            <p class="import-summary">
+                <strong>${validCount}</strong> ready to post${invalidCount > 0 ? `, <strong>${invalidCount}</strong> with errors` : ''}
+            </p>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th><th>Title</th><th>Price</th><th>Qty</th>
+                            <th>Course</th><th>Condition</th><th>Category</th><th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => this.generateRowHTML(row)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="import-progress" hidden>
+                <div class="import-progress-track"><div class="import-progress-bar"></div></div>
+                <span class="import-progress-text"></span>
+            </div>
+            <div class="import-actions">
+                ${invalidCount > 0 ? '<button type="button" class="btn-secondary errors-btn">Download error file</button>' : ''}
+                <button type="button" class="btn-primary import-btn" ${validCount === 0 ? 'disabled' : ''}>
+                    Import ${validCount} listing${validCount === 1 ? '' : 's'}
+                </button>
+            </div>
+        `;
+
+        content.querySelector('.errors-btn')?.addEventListener('click', () => this.downloadErrors());
+        content.querySelector('.import-btn').addEventListener('click', () => this.runImport());
+    }
+
+    /**
+     * One preview row
+     */
+    generateRowHTML(row) {
+        const { values } = row;
+        const statusLabels = {
+            valid: '✓ Ready',
+            invalid: '✕ Invalid',
+            posted: '✓ Posted',
+            failed: '✕ Failed'
+        };
+        const price = Number(values.price);
+
+        return `
+            <tr class="import-row import-${row.status}" data-row="${row.number}">
+                <td>${row.number}</td>
+                <td>${escapeHTML(values.title)}</td>
+                <td>${Number.isFinite(price) && values.price !== '' ? formatCurrency(price) : escapeHTML(values.price)}</td>
+                <td>${escapeHTML(values.quantity)}</td>
+                <td>${escapeHTML(values.courseCode)}</td>
+                <td>${escapeHTML(values.condition)}</td>
+                <td>${escapeHTML(values.categorySlug)}</td>
+                <td class="import-status">
+                    <span>${statusLabels[row.status]}</span>
+                    ${row.errors.length > 0 ? `<ul class="import-errors">${row.errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Post valid rows and report progress
+     */
+    async runImport() {
+        const content = this.modal.querySelector('.import-content');
+        const fileInput = this.modal.querySelector('.import-file');
+        const importBtn = content.querySelector('.import-btn');
+        const progressEl = content.querySelector('.import-progress');
+        const bar = content.querySelector('.import-progress-bar');
+        const text = content.querySelector('.import-progress-text');
+
+        importBtn.disabled = true;
+        fileInput.disabled = true;
+        progressEl.hidden = false;
+        text.textContent = 'Starting...';
+
+        try {
+            const result = await this.handlers.importRows(this.parsed.rows, {
+                onProgress: ({ done, total, posted, failed }) => {
+                    if (!this.isOpen()) return;
+                    bar.style.width = `${Math.round((done / total) * 100)}%`;
+                    text.textContent = `Posted ${posted} of ${total}${failed > 0 ? ` · ${failed} failed` : ''}`;
+                }
+            });
+            if (this.isOpen()) this.renderResult(result);
+        } catch (error) {
+            console.error('Error importing listings:', error);
+            showNotification('Import failed. Please try again.', 'error');
+            if (this.isOpen()) {
+                importBtn.disabled = false;
+                fileInput.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Final report after an import
+     */
+    renderResult({ posted, failed }) {
+        const notPosted = this.parsed.rows.filter(row => row.status === 'invalid' || row.status === 'failed').length;
+        const content = this.modal.querySelector('.import-content');
+
+        content.querySelector('tbody').innerHTML = this.parsed.rows.map(row => this.generateRowHTML(row)).join('');
+        content.querySelector('.import-summary').innerHTML = `
+            <strong>${posted}</strong> posted${failed > 0 ? `, <strong>${failed}</strong> failed` : ''}${notPosted > 0 ? ` · ${notPosted} row(s) not posted` : ''}
+        `;
+        content.querySelector('.import-actions').innerHTML = `
+            ${notPosted > 0 ? '<button type="button" class="btn-secondary errors-btn">Download error file</button>' : ''}
+            <button type="button" class="btn-primary view-listings-btn">View my listings</button>
+        `;
+
+        content.querySelector('.errors-btn')?.addEventListener('click', () => this.downloadErrors());
+        content.querySelector('.view-listings-btn').addEventListener('click', () => this.handlers.onViewListings());
+        this.modal.querySelector('.import-file').disabled = false;
+    }
+
+    /**
+     * Download rows that were not posted, with their errors
+     */
+    downloadErrors() {
+        downloadFile('campusswap-import-errors.csv', this.handlers.buildErrorFile(this.parsed), 'text/csv;charset=utf-8');
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+        this.parsed = null;
+    }
+}
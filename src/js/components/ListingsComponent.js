@@ -0,0 +1,131 @@
+/**
+ * Listings Component
+ * "My Listings" modal: the current user's items with edit and delete
+ */
+
+import { getCategoryEmoji, formatCurrency, escapeHTML } from '../utils/helpers.js';
+
+export class ListingsComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Check if the modal is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show the current user's listings
+     * handlers: { onEdit(productId), onDelete(productId), onSell(), onImport() }
+     */
+    showModal(products, handlers) {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal listings-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>📦 My Listings (${products.length})</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">
+                    ${products.length === 0 ? `
+                        <div class="empty-state">
+                            <div class="empty-icon">📦</div>
+                            <h3>No listings yet</h3>
+                            <p>You haven't posted any items for sale.</p>
+                        </div>
+                    ` : `
+                        <div class="my-listings-container">
+                            ${products.map(product => this.createListingCard(product)).join('')}
+                        </div>
+                    `}
+                    <div class="modal-footer">
+                        <button class="btn-primary sell-listing-btn">
+                            ${products.length === 0 ? 'Post Your First Item' : '+ Post New Item'}
+                        </button>
+                        <button class="btn-secondary import-listings-btn">⬆️ Import from CSV</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this.attachEventListeners(handlers);
+    }
+
+    /**
+     * Create one listing row
+     */
+    createListingCard(product) {
+        return `
+            <div class="my-listing-card" data-product-id="${product.id}">
+                <div class="listing-image">
+                    ${product.imageUrl
+                        ? `<img src="${escapeHTML(product.imageUrl)}" alt="${escapeHTML(product.title)}" />`
+                        : getCategoryEmoji(product.category)
+                    }
+                </div>
+                <div class="listing-info">
+                    <h4>${escapeHTML(product.title)}</h4>
+                    <p>${escapeHTML(product.courseCode || 'General')} • ${escapeHTML(product.condition || '')}</p>
+                    <p>
+                        ${product.quantity > 0 ? `${product.quantity} available` : 'Out of stock'}
+                        ${product.likeCount > 0 ? ` • ❤️ ${product.likeCount} saved` : ''}
+                    </p>
+                    <strong>${formatCurrency(product.price)}</strong>
+                </div>
+                <div class="listing-actions">
+                    <button class="btn-secondary btn-sm edit-listing-btn">✏️ Edit</button>
+                    <button class="btn-danger btn-sm delete-listing-btn">🗑️ Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners({ onEdit, onDelete, onSell, onImport }) {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        this.modal.querySelector('.sell-listing-btn').addEventListener('click', () => onSell());
+        this.modal.querySelector('.import-listings-btn').addEventListener('click', () => onImport());
+
+        this.modal.querySelectorAll('.my-listing-card').forEach(card => {
+            const productId = card.dataset.productId;
+            card.querySelector('.edit-listing-btn').addEventListener('click', () => onEdit(productId));
+            card.querySelector('.delete-listing-btn').addEventListener('click', () => {
+                if (confirm('Are you sure you want to delete this listing? This action cannot be undone.')) {
+                    onDelete(productId);
+                }
+            });
+        });
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
@@ -0,0 +1,350 @@
+/**
+ * Meetup Component
+ * Slot picker at checkout, meetup confirmation view and seller availability editor
+ */
+
+import { escapeHTML, showNotification, DAY_NAMES } from '../utils/helpers.js';
+import { config } from '../config.js';
+
+export class MeetupComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.selections = {};
+    }
+
+    /**
+     * Check if a meetup modal is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Create the modal shell and wire closing
+     */
+    openModal(title, bodyHTML) {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal meetup-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">${bodyHTML}</div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+    }
+
+    /**
+     * Checkout step: pick a meetup with each seller
+     * groups: [{ seller, itemTitles, slotDays, spots }]
+     * onContinue([{ sellerId, spotId, startsAt, endsAt }])
+     */
+    showSchedulerModal(groups, onContinue) {
+        this.selections = {};
+
+        this.openModal('📍 Schedule Meetup', `
+            <p class="meetup-intro">Pick a time and an approved campus spot. The seller confirms before the meetup is set.</p>
+            ${groups.map(group => `
+                <section class="meetup-group" data-key="${group.seller.id}">
+                    <h4>Meet ${escapeHTML(this.displayName(group.seller))}</h4>
+                    <p class="meetup-items">${group.itemTitles.map(escapeHTML).join(', ')}</p>
+                    ${this.generatePickerHTML()}
+                </section>
+            `).join('')}
+            <button class="btn-primary meetup-continue">Continue to payment</button>
+        `);
+
+        groups.forEach(group => {
+            const section = this.modal.querySelector(`.meetup-group[data-key="${group.seller.id}"]`);
+            this.attachPicker(section, group.seller.id, group.slotDays, group.spots);
+        });
+
+        this.modal.querySelector('.meetup-continue').addEventListener('click', () => {
+            const missing = groups.find(group => !this.isComplete(this.selections[group.seller.id]));
+            if (missing) {
+                showNotification(`Choose a meetup time and spot with ${this.displayName(missing.seller)}`, 'error');
+                return;
+            }
+
+            onContinue(groups.map(group => ({ sellerId: group.seller.id, ...this.selections[group.seller.id] })));
+        });
+    }
+
+    /**
+     * An order's meetup: details, confirmation and calendar download
+     * handlers: { status, spot, timeLabel, slotDays, spots, onConfirm, onPropose, onDownload }
+     */
+    showMeetupModal(order, handlers) {
+        const { status, spot, timeLabel } = handlers;
+        const meetup = order.meetup;
+
+        const statusText = !meetup ? 'No meetup scheduled yet'
+            : status.confirmed ? 'Confirmed by both of you'
+            : status.awaitingYou ? 'Waiting for your confirmation'
+            : 'Waiting for the other side to confirm';
+
+        this.selections = {};
+        this.openModal(`📍 Meetup for Order #${escapeHTML(order.orderNumber || order.id)}`, `
+            ${meetup ? `
+                <div class="meetup-summary">
+                    <p class="meetup-time">🕒 ${escapeHTML(timeLabel)}</p>
+                    <p class="meetup-spot">📍 <strong>${escapeHTML(spot?.name || 'Unknown spot')}</strong>
+                        ${spot?.details ? `<br><small>${escapeHTML(spot.details)}</small>` : ''}
+                    </p>
+                    <span class="meetup-status ${status.confirmed ? 'meetup-confirmed' : ''}">${statusText}</span>
+                </div>
+            ` : `<p class="meetup-intro">${statusText}</p>`}
+            <div class="meetup-actions">
+                ${status.awaitingYou ? '<button class="btn-primary" data-action="confirm">✅ Confirm meetup</button>' : ''}
+                ${status.confirmed ? '<button class="btn-primary" data-action="download">🗓️ Add to calendar (.ics)</button>' : ''}
+                ${status.role ? `<button class="btn-secondary" data-action="propose">${meetup ? 'Suggest another time' : 'Propose a time'}</button>` : ''}
+            </div>
+            <section class="meetup-group meetup-propose" data-key="proposal" ${meetup ? 'hidden' : ''}>
+                ${this.generatePickerHTML()}
+                <button class="btn-primary" data-action="send-proposal">Send proposal</button>
+            </section>
+        `);
+
+        const proposal = this.modal.querySelector('.meetup-propose');
+        this.attachPicker(proposal, 'proposal', handlers.slotDays, handlers.spots);
+
+        const on = (action, handler) => {
+            const button = this.modal.querySelector(`[data-action="${action}"]`);
+            if (button) button.addEventListener('click', handler);
+        };
+        on('confirm', () => handlers.onConfirm());
+        on('download', () => handlers.onDownload());
+        on('propose', () => {
+            proposal.hidden = !proposal.hidden;
+        });
+        on('send-proposal', () => {
+            const selection = this.selections.proposal;
+            if (!this.isComplete(selection)) {
+                showNotification('Choose a meetup time and spot', 'error');
+                return;
+            }
+            handlers.onPropose(selection);
+        });
+    }
+
+    /**
+     * Picker markup (filled in by attachPicker)
+     */
+    generatePickerHTML() {
+        return `
+            <div class="meetup-picker">
+                <div class="meetup-days" role="tablist"></div>
+                <div class="meetup-slots"></div>
+                <div class="meetup-spots"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire a picker: day → slot → spot, or a free time when no availability is shared
+     */
+    attachPicker(section, key, slotDays, spots) {
+        const days = section.querySelector('.meetup-days');
+        const slots = section.querySelector('.meetup-slots');
+        const spotList = section.querySelector('.meetup-spots');
+        const spotById = new Map(spots.map(spot => [spot.id, spot]));
+
+        const renderSpots = (spotIds) => {
+            const selection = this.selections[key] || {};
+            spotList.innerHTML = `
+                <p class="meetup-label">Meetup spot</p>
+                ${spotIds.map(id => spotById.get(id)).filter(Boolean).map(spot => `
+                    <label class="meetup-spot-option">
+                        <input type="radio" name="spot-${key}" value="${spot.id}" ${selection.spotId === spot.id ? 'checked' : ''} />
+                        <span><strong>${escapeHTML(spot.name)}</strong><small>${escapeHTML(spot.details)}</small></span>
+                    </label>
+                `).join('')}
+            `;
+            spotList.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => {
+                    this.selections[key] = { ...this.selections[key], spotId: input.value };
+                });
+            });
+        };
+
+        // No availability shared: suggest any time, the other side confirms
+        if (slotDays.length === 0) {
+            days.remove();
+            slots.innerHTML = `
+                <p class="meetup-label">No availability shared yet — suggest a time</p>
+                <input type="datetime-local" class="meetup-free-time" />
+            `;
+            slots.querySelector('input').addEventListener('change', (e) => {
+                const start = new Date(e.target.value);
+                if (Number.isNaN(start.getTime())) return;
+                this.selections[key] = {
+                    ...this.selections[key],
+                    startsAt: start.toISOString(),
+                    endsAt: new Date(start.getTime() + config.meetup.slotMinutes * 60000).toISOString()
+                };
+            });
+            renderSpots(spots.map(spot => spot.id));
+            return;
+        }
+
+        const renderSlots = (dayIndex) => {
+            days.querySelectorAll('.meetup-day').forEach(btn => {
+                const active = parseInt(btn.dataset.index, 10) === dayIndex;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-selected', String(active));
+            });
+
+            const selection = this.selections[key] || {};
+            slots.innerHTML = slotDays[dayIndex].slots.map((slot, index) => `
+                <button type="button" class="meetup-slot ${slot.startsAt === selection.startsAt ? 'active' : ''}" data-index="${index}">
+                    ${new Date(slot.startsAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}
+                </button>
+            `).join('');
+
+            slots.querySelectorAll('.meetup-slot').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const slot = slotDays[dayIndex].slots[parseInt(btn.dataset.index, 10)];
+                    const previous = this.selections[key] || {};
+                    this.selections[key] = {
+                        startsAt: slot.startsAt,
+                        endsAt: slot.endsAt,
+                        // Keep the chosen spot when the new slot offers it
+                        spotId: slot.spotIds.includes(previous.spotId) ? previous.spotId : null
+                    };
+                    slots.querySelectorAll('.meetup-slot').forEach(b => b.classList.toggle('active', b === btn));
+                    renderSpots(slot.spotIds);
+                });
+            });
+        };
+
+        days.innerHTML = slotDays.map((day, index) => `
+            <button type="button" class="meetup-day" role="tab" data-index="${index}">${escapeHTML(day.label)}</button>
+        `).join('');
+        days.querySelectorAll('.meetup-day').forEach(btn => {
+            btn.addEventListener('click', () => renderSlots(parseInt(btn.dataset.index, 10)));
+        });
+
+        renderSlots(0);
+    }
+
+    /**
+     * Check that a selection has a time and a spot
+     */
+    isComplete(selection) {
+        return !!(selection && selection.startsAt && selection.endsAt && selection.spotId);
+    }
+
+    /**
+     * Seller availability editor
+     * onSave(windows) should reject with an Error to keep the editor open
+     */
+    showAvailabilityModal(windows, spots, onSave) {
+        let rows = windows.map(window => ({ ...window, spotIds: [...window.spotIds] }));
+
+        this.openModal('🗓️ My Meetup Availability', `
+            <p class="meetup-intro">Buyers choose a meetup slot inside these weekly windows.</p>
+            <div class="availability-rows"></div>
+            <button type="button" class="btn-secondary btn-sm availability-add">+ Add window</button>
+            <button type="button" class="btn-primary availability-save">Save availability</button>
+        `);
+
+        const container = this.modal.querySelector('.availability-rows');
+
+        const render = () => {
+            container.innerHTML = rows.length === 0
+                ? '<p class="meetup-label">No windows yet. Add the times you are usually on campus.</p>'
+                : rows.map((row, index) => `
+                    <div class="availability-row" data-index="${index}">
+                        <div class="form-row">
+                            <select data-field="day">
+                                ${DAY_NAMES.map((name, day) => `<option value="${day}" ${row.day === day ? 'selected' : ''}>${name}</option>`).join('')}
+                            </select>
+                            <input type="time" data-field="start" value="${row.start}" step="900" />
+                            <input type="time" data-field="end" value="${row.end}" step="900" />
+                            <button type="button" class="btn-danger btn-sm" data-field="remove" title="Remove window">✕</button>
+                        </div>
+                        <div class="availability-spots">
+                            ${spots.map(spot => `
+                                <label>
+                                    <input type="checkbox" value="${spot.id}" ${row.spotIds.includes(spot.id) ? 'checked' : ''} />
+                                    ${escapeHTML(spot.name)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('');
+
+            container.querySelectorAll('.availability-row').forEach(el => {
+                const row = rows[parseInt(el.dataset.index, 10)];
+                el.querySelector('[data-field="day"]').addEventListener('change', (e) => { row.day = parseInt(e.target.value, 10); });
+                el.querySelector('[data-field="start"]').addEventListener('change', (e) => { row.start = e.target.value; });
+                el.querySelector('[data-field="end"]').addEventListener('change', (e) => { row.end = e.target.value; });
+                el.querySelector('[data-field="remove"]').addEventListener('click', () => {
+                    rows = rows.filter(r => r !== row);
+                    render();
+                });
+                el.querySelectorAll('.availability-spots input').forEach(input => {
+                    input.addEventListener('change', () => {
+                        row.spotIds = input.checked
+                            ? [...row.spotIds, input.value]
+                            : row.spotIds.filter(id => id !== input.value);
+                    });
+                });
+            });
+        };
+
+        this.modal.querySelector('.availability-add').addEventListener('click', () => {
+            rows.push({ day: 1, start: '10:00', end: '12:00', spotIds: [] });
+            render();
+        });
+
+        this.modal.querySelector('.availability-save').addEventListener('click', async (e) => {
+            e.target.disabled = true;
+            try {
+                await onSave(rows);
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                e.target.disabled = false;
+            }
+        });
+
+        render();
+    }
+
+    /**
+     * Full name or fallback
+     */
+    displayName(user) {
+        return user?.firstName && user?.lastName ? `${user.firstName} ${user.lastName}` : 'the seller';
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
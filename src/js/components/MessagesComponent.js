@@ -0,0 +1,216 @@
+/**
+ * Messages Component
+ * Inbox grouped by listing, conversation thread and compose box
+ */
+
+import { escapeHTML, formatCurrency, formatRelativeTime, getCategoryEmoji } from '../utils/helpers.js';
+import { config } from '../config.js';
+
+export class MessagesComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.handlers = {};
+    }
+
+    /**
+     * Check if the inbox is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Update the navbar unread badge
+     */
+    updateBadge(count) {
+        const badge = document.querySelector('.messages-badge');
+        if (badge) {
+            badge.textContent = count;
+            badge.style.display = count > 0 ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Show the inbox
+     * handlers: { getOtherParty, onSelect, onSend, onViewProduct }
+     */
+    showModal(groups, handlers) {
+        this.closeModal();
+        this.handlers = handlers;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal messages-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>💬 Messages</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body messages-layout">
+                    <aside class="inbox-list" aria-label="Conversations"></aside>
+                    <section class="message-thread">
+                        <div class="thread-empty">Select a conversation</div>
+                    </section>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        this.renderInbox(groups);
+    }
+
+    /**
+     * Render conversations grouped by listing
+     */
+    renderInbox(groups, activeConversationId = null) {
+        if (!this.isOpen()) return;
+        const list = this.modal.querySelector('.inbox-list');
+
+        if (groups.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">💬</div>
+                    <p>No conversations yet. Use "Message seller" on a listing to ask a question.</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = groups.map(group => `
+            <div class="inbox-group">
+                <div class="inbox-listing">
+                    <strong>${escapeHTML(group.product?.title || 'Listing removed')}</strong>
+                    ${group.product?.price != null ? `<span>${formatCurrency(group.product.price)}</span>` : ''}
+                </div>
+                ${group.conversations.map(conversation => {
+                    const other = this.handlers.getOtherParty(conversation);
+                    return `
+                        <button class="inbox-item ${conversation.id === activeConversationId ? 'active' : ''}"
+                                data-conversation-id="${conversation.id}">
+                            <span class="inbox-name">${escapeHTML(this.displayName(other))}</span>
+                            ${conversation.unreadCount > 0 ? `<span class="inbox-unread">${conversation.unreadCount}</span>` : ''}
+                            <span class="inbox-preview">${escapeHTML(conversation.lastMessage?.body || '')}</span>
+                            ${conversation.lastMessage ? `<span class="inbox-time">${formatRelativeTime(conversation.lastMessage.createdAt)}</span>` : ''}
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.inbox-item').forEach(item => {
+            item.addEventListener('click', () => this.handlers.onSelect(item.dataset.conversationId));
+        });
+    }
+
+    /**
+     * Render a thread
+     * conversation is null when starting a new conversation about product
+     */
+    renderThread({ conversation, product, messages, currentUserId }) {
+        if (!this.isOpen()) return;
+        const thread = this.modal.querySelector('.message-thread');
+        const listing = conversation?.product || product;
+        const other = conversation ? this.handlers.getOtherParty(conversation) : product?.seller;
+
+        // Keep an unsent draft when the same thread is refreshed
+        const threadKey = conversation?.id || `new:${product?.id}`;
+        const sameThread = thread.dataset.threadKey === threadKey;
+        const draft = sameThread ? thread.querySelector('.message-compose textarea')?.value || '' : '';
+        thread.dataset.threadKey = threadKey;
+
+        thread.innerHTML = `
+            <header class="thread-header">
+                <div class="thread-listing-image">
+                    ${listing?.imageUrl
+                        ? `<img src="${escapeHTML(listing.imageUrl)}" alt="" />`
+                        : getCategoryEmoji(listing?.category)
+                    }
+                </div>
+                <div>
+                    <strong>${escapeHTML(this.displayName(other))}</strong>
+                    ${listing ? `<button class="thread-listing-link" data-product-id="${listing.id}">${escapeHTML(listing.title)}</button>` : ''}
+                </div>
+            </header>
+            <ol class="thread-messages">
+                ${messages.length === 0 ? `
+                    <li class="thread-empty">Ask about condition, edition or a meetup time.</li>
+                ` : messages.map(message => `
+                    <li class="message ${message.senderId === currentUserId ? 'message-own' : ''}">
+                        <p>${escapeHTML(message.body)}</p>
+                        <time datetime="${escapeHTML(message.createdAt)}">${formatRelativeTime(message.createdAt)}</time>
+                    </li>
+                `).join('')}
+            </ol>
+            <form class="message-compose">
+                <textarea name="body" rows="2" maxlength="${config.messaging.maxMessageLength}"
+                          placeholder="Write a message..." required></textarea>
+                <button type="submit" class="btn-primary btn-sm">Send</button>
+            </form>
+        `;
+
+        const list = thread.querySelector('.thread-messages');
+        list.scrollTop = list.scrollHeight;
+
+        const link = thread.querySelector('.thread-listing-link');
+        if (link) link.addEventListener('click', () => this.handlers.onViewProduct(link.dataset.productId));
+
+        const form = thread.querySelector('.message-compose');
+        const textarea = form.querySelector('textarea');
+        textarea.value = draft;
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                form.requestSubmit();
+            }
+        });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = form.querySelector('button');
+            const body = textarea.value;
+            button.disabled = true;
+            textarea.value = '';
+            try {
+                await this.handlers.onSend(body);
+            } catch (error) {
+                // onSend reports the error; put the draft back so it can be resent
+                const current = this.modal?.querySelector('.message-compose textarea');
+                if (current && !current.value) current.value = body;
+            } finally {
+                button.disabled = false;
+            }
+        });
+        if (!sameThread) textarea.focus();
+    }
+
+    /**
+     * Full name or fallback
+     */
+    displayName(user) {
+        return user?.firstName && user?.lastName ? `${user.firstName} ${user.lastName}` : 'User';
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
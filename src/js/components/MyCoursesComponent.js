@@ -0,0 +1,211 @@
+/**
+ * My Courses Component
+ * "Required materials for my courses": the student's enrolled courses
+ * and every listing that matches each one
+ */
+
+import { escapeHTML, formatCurrency, getCategoryEmoji } from '../utils/helpers.js';
+import { SearchAutocompleteComponent } from './SearchAutocompleteComponent.js';
+
+export class MyCoursesComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.handlers = null;
+    }
+
+    /**
+     * Check if the page is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show the page
+     * handlers: { searchCourses(query), onAdd(code) → added?, onRemove(code), onViewProduct(productId),
+     *             onBrowseCourse(code), onBrowseAll() }
+     * Fill it with renderCourses() and renderMaterials()
+     */
+    showModal(handlers) {
+        this.closeModal();
+        this.handlers = handlers;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal my-courses-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>📋 Materials for My Courses</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">
+                    <form class="add-course-form">
+                        <label for="add-course-input">Add a course you're taking</label>
+                        <div class="add-course-row">
+                            <div class="course-autocomplete">
+                                <input type="text" id="add-course-input" placeholder="e.g., MATH 1013 or Calculus" />
+                            </div>
+                            <button type="submit" class="btn-primary">Add</button>
+                        </div>
+                    </form>
+                    <div class="enrolled-courses"></div>
+                    <div class="course-materials"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn-secondary browse-courses-btn">🎓 Browse all courses</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this.attachEventListeners();
+    }
+
+    /**
+     * Render the enrolled course chips
+     * courses: [{ code, title }]
+     */
+    renderCourses(courses) {
+        if (!this.isOpen()) return;
+
+        const container = this.modal.querySelector('.enrolled-courses');
+        container.innerHTML = courses.map(course => `
+            <span class="course-chip" title="${escapeHTML(course.title)}">
+                ${escapeHTML(course.code)}
+                <button type="button" class="remove-course-btn" data-course="${escapeHTML(course.code)}"
+                        aria-label="Remove ${escapeHTML(course.code)}">✕</button>
+            </span>
+        `).join('');
+
+        container.querySelectorAll('.remove-course-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handlers.onRemove(btn.dataset.course));
+        });
+    }
+
+    /**
+     * Render listings per course
+     * materials: null while loading, else [{ course: { code, title, terms }, products, error }]
+     */
+    renderMaterials(materials) {
+        if (!this.isOpen()) return;
+
+        const container = this.modal.querySelector('.course-materials');
+
+        if (materials === null) {
+            container.innerHTML = '<p class="loading-message">Finding listings for your courses...</p>';
+            return;
+        }
+
+        if (materials.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🎓</div>
+                    <p>Add the courses you're enrolled in to see textbooks and supplies students are selling for them.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = materials.map(({ course, products, error }) => `
+            <section class="course-materials-group">
+                <div class="course-materials-header">
+                    <h4>${escapeHTML(course.code)}${course.title ? ` <span>${escapeHTML(course.title)}</span>` : ''}</h4>
+                    ${products.length > 0 ? `
+                        <button type="button" class="btn-link browse-course-btn" data-course="${escapeHTML(course.code)}">
+                            See all
+                        </button>
+                    ` : ''}
+                </div>
+                ${error ? `
+                    <p class="course-materials-empty">Couldn't load listings for this course. Please try again later.</p>
+                ` : products.length === 0 ? `
+                    <p class="course-materials-empty">Nothing listed for this course yet.</p>
+                ` : `
+                    <div class="related-strip">
+                        ${products.map(product => this.generateProductHTML(product)).join('')}
+                    </div>
+                `}
+            </section>
+        `).join('');
+
+        container.querySelectorAll('.related-card').forEach(card => {
+            card.addEventListener('click', () => this.handlers.onViewProduct(card.dataset.productId));
+        });
+        container.querySelectorAll('.browse-course-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handlers.onBrowseCourse(btn.dataset.course));
+        });
+    }
+
+    /**
+     * Compact listing card
+     */
+    generateProductHTML(product) {
+        return `
+            <button class="related-card" data-product-id="${product.id}">
+                <div class="related-image">
+                    ${product.imageUrl
+                        ? `<img src="${escapeHTML(product.imageUrl)}" alt="" />`
+                        : `<span>${getCategoryEmoji(product.category)}</span>`
+                    }
+                </div>
+                <span class="related-title">${escapeHTML(product.title)}</span>
+                <span class="related-course">${escapeHTML(product.condition || '')}</span>
+                <span class="related-price">${formatCurrency(product.price)}</span>
+            </button>
+        `;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        const input = this.modal.querySelector('#add-course-input');
+        const add = (code) => {
+            if (code.trim() && this.handlers.onAdd(code)) input.value = '';
+        };
+
+        new SearchAutocompleteComponent(input, {
+            id: 'add-course-autocomplete',
+            getSuggestions: (query) => [{
+                title: 'Courses',
+                items: this.handlers.searchCourses(query).map(course => ({
+                    type: 'course',
+                    label: `${course.code} — ${course.title}`,
+                    value: course.code
+                }))
+            }],
+            onSelect: (item) => add(item.value)
+        }).attach();
+
+        this.modal.querySelector('.add-course-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            add(input.value);
+        });
+
+        this.modal.querySelector('.browse-courses-btn').addEventListener('click', () => this.handlers.onBrowseAll());
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Notification Center Component
+ * Navbar dropdown listing price-drop and back-in-stock events
+ */
+
+import { escapeHTML, formatRelativeTime } from '../utils/helpers.js';
+
+export class NotificationCenterComponent {
+    constructor(button) {
+        this.button = button;
+        this.panel = null;
+        this.handlers = null;
+        this.documentClickHandler = null;
+        this.keydownHandler = null;
+    }
+
+    /**
+     * Create the panel and attach listeners
+     * handlers: { onOpen(), onSelect(notificationId), onMarkAllRead() }
+     */
+    attach(handlers) {
+        if (!this.button) return;
+        this.handlers = handlers;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'notification-center';
+        this.panel.id = 'notification-center';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Notifications');
+        this.panel.hidden = true;
+        this.button.insertAdjacentElement('afterend', this.panel);
+
+        this.button.setAttribute('aria-controls', this.panel.id);
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.isOpen()) this.close();
+            else this.open();
+        });
+
+        // Close when clicking anywhere else or pressing Escape
+        // (clicks inside stop here, so re-rendering the list can't count as "outside")
+        this.panel.addEventListener('click', (e) => e.stopPropagation());
+        this.documentClickHandler = () => {
+            if (this.isOpen()) this.close();
+        };
+        this.keydownHandler = (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+                this.button.focus();
+            }
+        };
+        document.addEventListener('click', this.documentClickHandler);
+        document.addEventListener('keydown', this.keydownHandler);
+    }
+
+    /**
+     * Check if the panel is showing
+     */
+    isOpen() {
+        return !!this.panel && !this.panel.hidden;
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        if (!this.panel) return;
+        this.panel.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.handlers.onOpen();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (!this.panel) return;
+        this.panel.hidden = true;
+        this.button.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Update navbar count of unread notifications
+     */
+    updateBadge(count) {
+        const badge = this.button?.querySelector('.notifications-badge');
+        if (badge) {
+            badge.textContent = count;
+            badge.style.display = count > 0 ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Render notifications
+     * entries: [{ id, icon, label, title, detail, createdAt, read }]
+     */
+    render(entries) {
+        if (!this.panel) return;
+
+        const unread = entries.some(entry => !entry.read);
+        this.panel.innerHTML = `
+            <div class="notification-center-header">
+                <strong>Notifications</strong>
+                ${unread ? '<button type="button" class="btn-link mark-all-read-btn">Mark all as read</button>' : ''}
+            </div>
+            ${entries.length === 0 ? `
+                <p class="notification-center-empty">
+                    Nothing yet. Use 🔔 Notify me on a listing to hear about price drops and restocks.
+                </p>
+            ` : `
+                <ul class="notification-list">
+                    ${entries.map(entry => `
+                        <li>
+                            <button type="button" class="notification-item ${entry.read ? '' : 'unread'}" data-id="${entry.id}">
+                                <span class="notification-icon" aria-hidden="true">${entry.icon}</span>
+                                <span class="notification-text">
+                                    <span class="sr-only">${escapeHTML(entry.label)}: </span>
+                                    <strong>${escapeHTML(entry.title)}</strong> ${escapeHTML(entry.detail)}
+                                    <small>${formatRelativeTime(entry.createdAt)}</small>
+                                </span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        `;
+
+        this.panel.querySelector('.mark-all-read-btn')?.addEventListener('click', () => this.handlers.onMarkAllRead());
+        this.panel.querySelectorAll('.notification-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.close();
+                this.handlers.onSelect(item.dataset.id);
+            });
+        });
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Order Component
+ * Order cards with status badge, lifecycle timeline and the actions allowed for the viewer
+ * Shared by the purchases and sales views and the single-order view
+ */
+
+import { escapeHTML, formatCurrency } from '../utils/helpers.js';
+import { getStatusInfo, getTimeline } from '../utils/order-status.js';
+
+export class OrderComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Check if the order view is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Generate one order card
+     * options: { role, actions, meetupLabel }
+     */
+    generateOrderCardHTML(order, { role, actions = [], meetupLabel = '' }) {
+        const status = getStatusInfo(order.status);
+        const orderDate = new Date(order.createdAt).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        // Show the other side of the order
+        const party = role === 'seller' ? order.buyer : order.seller;
+        const partyLabel = role === 'seller' ? 'Buyer' : 'Seller';
+        const items = order.orderItems || order.items || [];
+
+        return `
+            <div class="order-card" data-order-id="${order.id}">
+                <div class="order-header">
+                    <div>
+                        <strong>Order #${escapeHTML(order.orderNumber || order.id)}</strong>
+                        <span class="order-date">${orderDate}</span>
+                    </div>
+                    <span class="status-badge ${status.badge}">${status.label}</span>
+                </div>
+                <div class="order-items">
+                    ${items.map(item => `
+                        <div class="order-item">
+                            <span class="item-name">${escapeHTML(item.product?.title || 'Item')}</span>
+                            <span class="item-quantity">x${item.quantity}</span>
+                            <span class="item-price">${formatCurrency(item.price * item.quantity)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${this.generateTimelineHTML(order)}
+                <div class="order-footer">
+                    ${party ? `
+                        <div class="order-seller">
+                            <strong>${partyLabel}:</strong> ${escapeHTML(`${party.firstName || ''} ${party.lastName || ''}`.trim() || 'User')}
+                            ${role === 'seller' && party.email ? `· <a href="mailto:${escapeHTML(party.email)}">${escapeHTML(party.email)}</a>` : ''}
+                            ${role === 'seller' && party.program ? `· ${escapeHTML(party.program)}` : ''}
+                        </div>
+                    ` : ''}
+                    ${meetupLabel ? `
+                        <div class="order-meetup">
+                            <strong>Meetup:</strong> ${escapeHTML(meetupLabel)}
+                        </div>
+                    ` : ''}
+                    <div class="order-total">
+                        <strong>Total:</strong> ${formatCurrency(order.totalAmount)}
+                    </div>
+                </div>
+                <div class="order-actions">
+                    ${actions.map(action => `
+                        <button class="${action.to === 'CANCELLED' ? 'btn-danger' : 'btn-primary'} btn-sm"
+                                data-order-action="${action.id}"
+                                data-confirm="${escapeHTML(action.confirm || '')}">
+                            ${action.label}
+                        </button>
+                    `).join('')}
+                    ${role ? '<button class="btn-secondary btn-sm" data-order-meetup>📍 Meetup</button>' : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the lifecycle timeline
+     */
+    generateTimelineHTML(order) {
+        return `
+            <ol class="order-timeline">
+                ${getTimeline(order).map(step => `
+                    <li class="timeline-step timeline-${step.state}">
+                        <span class="timeline-label">${step.label}</span>
+                        ${step.at ? `<time datetime="${escapeHTML(step.at)}">${new Date(step.at).toLocaleString()}</time>` : ''}
+                        ${step.note ? `<small>${escapeHTML(step.note)}</small>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Wire action buttons inside a container of order cards
+     * handlers: { onAction(orderId, actionId), onMeetup(orderId) }
+     */
+    attachActionListeners(container, { onAction, onMeetup }) {
+        container.querySelectorAll('.order-card').forEach(card => {
+            const orderId = card.dataset.orderId;
+
+            card.querySelectorAll('[data-order-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    if (btn.dataset.confirm && !confirm(btn.dataset.confirm)) return;
+                    btn.disabled = true;
+                    onAction(orderId, btn.dataset.orderAction);
+                });
+            });
+
+            const meetupBtn = card.querySelector('[data-order-meetup]');
+            if (meetupBtn) meetupBtn.addEventListener('click', () => onMeetup(orderId));
+        });
+    }
+
+    /**
+     * Show a single order
+     * options: { role, actions, meetupLabel, onAction, onMeetup }
+     */
+    showOrderModal(order, options) {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal order-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>📦 Order Details</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">
+                    ${this.generateOrderCardHTML(order, options)}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+        this.attachActionListeners(this.modal, options);
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
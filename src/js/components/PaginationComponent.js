@@ -0,0 +1,78 @@
+/**
+ * Pagination Component
+ * Renders numbered page controls under the product grid
+ */
+
+export class PaginationComponent {
+    constructor(container) {
+        this.container = container;
+    }
+
+    /**
+     * Render page controls
+     */
+    render(pagination, onPageChange) {
+        if (!this.container) return;
+
+        const page = pagination?.page || 1;
+        const totalPages = pagination?.totalPages || 1;
+
+        if (totalPages <= 1) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const pageButtons = this.getPageNumbers(page, totalPages).map(number => {
+            if (number === null) {
+                return '<span class="pagination-ellipsis">…</span>';
+            }
+            return `
+                <button class="pagination-btn ${number === page ? 'active' : ''}"
+                        data-page="${number}"
+                        ${number === page ? 'aria-current="page"' : ''}>
+                    ${number}
+                </button>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <button class="pagination-btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>
+                ‹ Prev
+            </button>
+            ${pageButtons}
+            <button class="pagination-btn" data-page="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>
+                Next ›
+            </button>
+        `;
+
+        this.container.querySelectorAll('.pagination-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const target = parseInt(btn.dataset.page, 10);
+                if (target !== page && target >= 1 && target <= totalPages) {
+                    onPageChange(target);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get page numbers to display, with null marking a gap
+     * e.g. [1, null, 4, 5, 6, null, 20]
+     */
+    getPageNumbers(current, total, spread = 2) {
+        const pages = [];
+
+        for (let i = 1; i <= total; i++) {
+            const isEdge = i === 1 || i === total;
+            const isNearCurrent = Math.abs(i - current) <= spread;
+
+            if (isEdge || isNearCurrent) {
+                pages.push(i);
+            } else if (pages[pages.length - 1] !== null) {
+                pages.push(null);
+            }
+        }
+
+        return pages;
+    }
+}
@@ -1,116 +1,193 @@
 /**
  * Payment Component
- * Handles payment form UI with Luhn algorithm validation
+ * Payment method choice, card form with Luhn algorithm validation, and the
+ * follow-up steps some methods need (3-D Secure code, e-Transfer reference)
  */
 
-import { validatePaymentInfo, formatCardNumber, identifyCardType } from '../utils/payment.js';
-import { showNotification } from '../utils/helpers.js';
+import { validatePaymentInfo, formatCardNumber, identifyCardType, PAYMENT_STATUS } from '../utils/payment.js';
+import { showNotification, escapeHTML, formatCurrency } from '../utils/helpers.js';
 
 export class PaymentComponent {
     constructor() {
         this.modal = null;
+        this.onClose = null;
+        this.countdownTimer = null;
+        this.processing = false;
+        this.handlers = null;
+        this.totalAmount = 0;
+        this.method = null;
+    }
+
+    /**
+     * Check if the payment form is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
     }
 
     /**
      * Show payment modal
+     * handlers: { methods: [{ id, label, description }], testCards: [{ number, label }],
+     *             onAuthorize(methodId, details) -> payment, onConfirm(payment, input) -> payment,
+     *             onPaymentSuccess(payment) }
+     * hold: { expiresAt, onExpire() } when stock is reserved for a limited time
      */
-    showPaymentModal(totalAmount, onPaymentSuccess) {
+    showPaymentModal(totalAmount, handlers, hold = null) {
         this.closeModal();
+        this.totalAmount = totalAmount;
+        this.handlers = handlers;
 
         this.modal = document.createElement('div');
         this.modal.className = 'form-modal';
-        this.modal.innerHTML = this.generatePaymentModalHTML(totalAmount);
+        this.modal.innerHTML = this.generatePaymentModalHTML(totalAmount, handlers);
 
         document.body.appendChild(this.modal);
 
-        this.attachEventListeners(totalAmount, onPaymentSuccess);
+        this.attachEventListeners();
+        this.selectMethod(handlers.methods[0]?.id);
+        if (hold) this.startCountdown(hold);
+    }
+
+    /**
+     * Count down the reservation hold; closes the form when it runs out
+     * (unless a payment is already being processed)
+     */
+    startCountdown({ expiresAt, onExpire }) {
+        const timer = this.modal.querySelector('.reservation-timer');
+        const expires = new Date(expiresAt).getTime();
+        timer.hidden = false;
+
+        const tick = () => {
+            const remaining = Math.max(0, Math.ceil((expires - Date.now()) / 1000));
+            const minutes = Math.floor(remaining / 60);
+            const seconds = String(remaining % 60).padStart(2, '0');
+
+            timer.querySelector('.reservation-time').textContent = `${minutes}:${seconds}`;
+            timer.classList.toggle('ending', remaining <= 60);
+
+            if (remaining === 0 && !this.processing) {
+                this.closeModal();
+                onExpire();
+            }
+        };
+
+        tick();
+        this.countdownTimer = setInterval(tick, 1000);
     }
 
     /**
      * Generate payment modal HTML
      */
-    generatePaymentModalHTML(totalAmount) {
+    generatePaymentModalHTML(totalAmount, { methods, testCards }) {
         return `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3>💳 Payment Information</h3>
+                    <h3>💳 Payment</h3>
                     <button class="modal-close">✕</button>
                 </div>
                 <div class="modal-body">
                     <div class="payment-summary">
-                        <p><strong>Total Amount:</strong> $${totalAmount.toFixed(2)}</p>
+                        <p><strong>Total Amount:</strong> ${formatCurrency(totalAmount)}</p>
+                    </div>
+                    <p class="reservation-timer" role="timer" hidden>
+                        ⏳ Your items are held for <strong class="reservation-time"></strong>
+                    </p>
+
+                    <div class="payment-entry">
+                        <fieldset class="payment-methods">
+                            <legend>How would you like to pay?</legend>
+                            ${methods.map((method, i) => `
+                                <label class="payment-method">
+                                    <input type="radio" name="payment-method" value="${escapeHTML(method.id)}" ${i === 0 ? 'checked' : ''} />
+                                    <span>
+                                        <strong>${escapeHTML(method.label)}</strong>
+                                        <small>${escapeHTML(method.description)}</small>
+                                    </span>
+                                </label>
+                            `).join('')}
+                        </fieldset>
+
+                        <form id="payment-form">
+                            ${methods.some(method => method.id === 'card') ? this.generateCardFieldsHTML(testCards) : ''}
+                            <button type="submit" class="btn-primary" id="pay-button"></button>
+                        </form>
+                    </div>
+
+                    <div class="payment-step" hidden></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Card number, expiry, CVV and name fields
+     */
+    generateCardFieldsHTML(testCards) {
+        return `
+            <div class="payment-card-fields">
+                <label>Card Number</label>
+                <div class="card-number-container">
+                    <input 
+                        type="text" 
+                        id="card-number" 
+                        placeholder="1234 5678 9012 3456" 
+                        maxlength="19"
+                        autocomplete="cc-number"
+                    />
+                    <span id="card-type" class="card-type-indicator"></span>
+                </div>
+                <small class="form-help">Enter your 13-19 digit card number</small>
+                
+                <div class="form-row">
+                    <div class="form-col">
+                        <label>Expiration Month</label>
+                        <select id="exp-month" autocomplete="cc-exp-month">
+                            <option value="">MM</option>
+                            ${Array.from({length: 12}, (_, i) => i + 1).map(m => 
+                                `<option value="${m.toString().padStart(2, '0')}">${m.toString().padStart(2, '0')}</option>`
+                            ).join('')}
+                        </select>
                     </div>
                     
-                    <form id="payment-form">
-                        <label>Card Number</label>
-                        <div class="card-number-container">
-                            <input 
-                                type="text" 
-                                id="card-number" 
-                                placeholder="1234 5678 9012 3456" 
-                                maxlength="19"
-                                autocomplete="cc-number"
-                            />
-                            <span id="card-type" class="card-type-indicator"></span>
-                        </div>
-                        <small class="form-help">Enter your 13-19 digit card number</small>
-                        
-                        <div class="form-row">
-                            <div class="form-col">
-                                <label>Expiration Month</label>
-                                <select id="exp-month" autocomplete="cc-exp-month">
-                                    <option value="">MM</option>
-                                    ${Array.from({length: 12}, (_, i) => i + 1).map(m => 
-                                        `<option value="${m.toString().padStart(2, '0')}">${m.toString().padStart(2, '0')}</option>`
-                                    ).join('')}
-                                </select>
-                            </div>
-                            
-                            <div class="form-col">
-                                <label>Expiration Year</label>
-                                <select id="exp-year" autocomplete="cc-exp-year">
-                                    <option value="">YY</option>
-                                    ${Array.from({length: 15}, (_, i) => new Date().getFullYear() + i).map(y => 
-                                        `<option value="${y}">${y}</option>`
-                                    ).join('')}
-                                </select>
-                            </div>
-                            
-                            <div class="form-col">
-                                <label>CVV</label>
-                                <input 
-                                    type="text" 
-                                    id="cvv" 
-                                    placeholder="123" 
-                                    maxlength="4"
-                                    autocomplete="cc-csc"
-                                />
-                                <small class="form-help">3-4 digits on back</small>
-                            </div>
-                        </div>
-                        
-                        <label>Cardholder Name</label>
+                    <div class="form-col">
+                        <label>Expiration Year</label>
+                        <select id="exp-year" autocomplete="cc-exp-year">
+                            <option value="">YY</option>
+                            ${Array.from({length: 15}, (_, i) => new Date().getFullYear() + i).map(y => 
+                                `<option value="${y}">${y}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    
+                    <div class="form-col">
+                        <label>CVV</label>
                         <input 
                             type="text" 
-                            id="card-name" 
-                            placeholder="John Doe"
-                            autocomplete="cc-name"
+                            id="cvv" 
+                            placeholder="123" 
+                            maxlength="4"
+                            autocomplete="cc-csc"
                         />
-                        
-                        <div class="payment-test-cards">
-                            <small style="color: var(--medium-gray);">
-                                <strong>Test Cards:</strong><br>
-                                Visa: 4532015112830366<br>
-                                Mastercard: 5425233430109903<br>
-                                Amex: 374245455400126
-                            </small>
-                        </div>
-                        
-                        <button type="submit" class="btn-primary" id="pay-button">
-                            Pay $${totalAmount.toFixed(2)}
-                        </button>
-                    </form>
+                        <small class="form-help">3-4 digits on back</small>
+                    </div>
                 </div>
+                
+                <label>Cardholder Name</label>
+                <input 
+                    type="text" 
+                    id="card-name" 
+                    placeholder="John Doe"
+                    autocomplete="cc-name"
+                />
+                
+                ${testCards.length > 0 ? `
+                    <div class="payment-test-cards">
+                        <small style="color: var(--medium-gray);">
+                            <strong>Test Cards:</strong><br>
+                            ${testCards.map(card => `${escapeHTML(card.label)}: ${escapeHTML(card.number)}`).join('<br>')}
+                        </small>
+                    </div>
+                ` : ''}
             </div>
         `;
     }
@@ -118,51 +195,74 @@ export class PaymentComponent {
     /**
      * Attach event listeners
      */
-    attachEventListeners(totalAmount, onPaymentSuccess) {
+    attachEventListeners() {
         // Close button
         const closeBtn = this.modal.querySelector('.modal-close');
-        closeBtn.addEventListener('click', () => this.closeModal());
+        closeBtn.addEventListener('click', () => this.dismiss());
 
         // Click outside to close
         this.modal.addEventListener('click', (e) => {
-            if (e.target === this.modal) this.closeModal();
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        this.modal.querySelectorAll('input[name="payment-method"]').forEach(radio => {
+            radio.addEventListener('change', () => this.selectMethod(radio.value));
         });
 
         // Card number formatting and type detection
         const cardNumberInput = this.modal.querySelector('#card-number');
-        const cardTypeIndicator = this.modal.querySelector('#card-type');
-
-        cardNumberInput.addEventListener('input', (e) => {
-            let value = e.target.value.replace(/\D/g, '');
-            e.target.value = formatCardNumber(value);
-            
-            const cardType = identifyCardType(value);
-            if (cardType !== 'Unknown' && value.length >= 4) {
-                cardTypeIndicator.textContent = cardType;
-                cardTypeIndicator.style.display = 'inline';
-            } else {
-                cardTypeIndicator.style.display = 'none';
-            }
-        });
+        if (cardNumberInput) {
+            const cardTypeIndicator = this.modal.querySelector('#card-type');
 
-        // CVV - only allow numbers
-        const cvvInput = this.modal.querySelector('#cvv');
-        cvvInput.addEventListener('input', (e) => {
-            e.target.value = e.target.value.replace(/\D/g, '');
-        });
+            cardNumberInput.addEventListener('input', (e) => {
+                let value = e.target.value.replace(/\D/g, '');
+                e.target.value = formatCardNumber(value);
+                
+                const cardType = identifyCardType(value);
+                if (cardType !== 'Unknown' && value.length >= 4) {
+                    cardTypeIndicator.textContent = cardType;
+                    cardTypeIndicator.style.display = 'inline';
+                } else {
+                    cardTypeIndicator.style.display = 'none';
+                }
+            });
+
+            // CVV - only allow numbers
+            const cvvInput = this.modal.querySelector('#cvv');
+            cvvInput.addEventListener('input', (e) => {
+                e.target.value = e.target.value.replace(/\D/g, '');
+            });
+        }
 
         // Form submission
         const form = this.modal.querySelector('#payment-form');
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
-            await this.handlePaymentSubmit(totalAmount, onPaymentSuccess);
+            await this.handlePaymentSubmit();
         });
     }
 
     /**
-     * Handle payment form submission
+     * Switch payment method: card fields only show for cards
      */
-    async handlePaymentSubmit(totalAmount, onPaymentSuccess) {
+    selectMethod(methodId) {
+        this.method = methodId;
+
+        const cardFields = this.modal.querySelector('.payment-card-fields');
+        if (cardFields) cardFields.hidden = methodId !== 'card';
+
+        const labels = {
+            card: `Pay ${formatCurrency(this.totalAmount)}`,
+            etransfer: 'Get e-Transfer details',
+            cash: 'Place order, pay at pickup'
+        };
+        this.modal.querySelector('#pay-button').textContent = labels[methodId] || 'Continue';
+    }
+
+    /**
+     * Validated card details, or null after telling the user what's wrong
+     */
+    readCardDetails() {
         const cardNumber = this.modal.querySelector('#card-number').value;
         const expMonth = this.modal.querySelector('#exp-month').value;
         const expYear = this.modal.querySelector('#exp-year').value;
@@ -172,7 +272,7 @@ export class PaymentComponent {
         // Validate all fields are filled
         if (!cardNumber || !expMonth || !expYear || !cvv || !cardName) {
             showNotification('Please fill in all payment fields', 'error');
-            return;
+            return null;
         }
 
         // Validate using Luhn algorithm and other checks
@@ -181,47 +281,188 @@ export class PaymentComponent {
         if (!validation.isValid) {
             const errorMessage = validation.errors.join(' ');
             showNotification(errorMessage, 'error');
-            return;
+            return null;
         }
 
-        // Show processing state
-        const submitBtn = this.modal.querySelector('#pay-button');
-        const originalText = submitBtn.textContent;
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = '<span class="loading"></span> Processing...';
-
-        try {
-            // Prepare payment data (masked for security)
-            const paymentData = {
-                cardType: validation.cardType,
-                lastFourDigits: cardNumber.slice(-4),
-                cardholderName: cardName,
-                amount: totalAmount,
-                maskedNumber: validation.maskedNumber
-            };
+        // The full number and CVV go to the gateway only; the rest is kept for receipts
+        const number = cardNumber.replace(/\D/g, '');
+        return {
+            number,
+            cvv,
+            expMonth,
+            expYear,
+            cardholderName: cardName,
+            cardType: validation.cardType,
+            lastFourDigits: number.slice(-4),
+            maskedNumber: validation.maskedNumber
+        };
+    }
 
-            // Simulate payment processing delay
-            await new Promise(resolve => setTimeout(resolve, 1500));
+    /**
+     * Handle payment form submission
+     */
+    async handlePaymentSubmit() {
+        let details = {};
+        if (this.method === 'card') {
+            details = this.readCardDetails();
+            if (!details) return;
+        }
 
-            // Call success callback
-            await onPaymentSuccess(paymentData);
+        await this.runStep(this.modal.querySelector('#pay-button'), async () => {
+            const payment = await this.handlers.onAuthorize(this.method, details);
+            await this.handleResult(payment);
+        });
+    }
 
-            // Close modal
-            this.closeModal();
+    /**
+     * Run a payment call with the button showing progress
+     * The hold countdown won't close the form while a call is in flight
+     */
+    async runStep(button, task) {
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.innerHTML = '<span class="loading"></span> Processing...';
+        this.processing = true;
 
-            showNotification(`Payment successful! ${validation.cardType} ending in ${cardNumber.slice(-4)}`, 'success');
+        try {
+            await task();
         } catch (error) {
             console.error('Payment error:', error);
-            showNotification('Payment processing failed. Please try again.', 'error');
-            submitBtn.disabled = false;
-            submitBtn.textContent = originalText;
+            showNotification(error.message.startsWith('API')
+                ? 'Payment processing failed. Please try again.'
+                : error.message, 'error');
+        } finally {
+            this.processing = false;
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    }
+
+    /**
+     * Move on from a provider's answer: try again, ask the buyer for a step, or finish
+     */
+    async handleResult(payment) {
+        // Closed by a route change while waiting; the app has released the payment
+        if (!this.isOpen()) return;
+
+        if (payment.status === PAYMENT_STATUS.DECLINED) {
+            showNotification(payment.message || 'Your payment was declined.', 'error');
+            this.showEntry();
+            return;
         }
+
+        if (payment.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+            if (payment.challenge) {
+                this.showChallengeStep(payment);
+            } else {
+                this.showTransferStep(payment);
+            }
+            return;
+        }
+
+        await this.handlers.onPaymentSuccess(payment);
+        this.closeModal();
+    }
+
+    /**
+     * Back to choosing a method and entering details
+     */
+    showEntry() {
+        if (!this.modal) return;
+
+        const step = this.modal.querySelector('.payment-step');
+        step.hidden = true;
+        step.innerHTML = '';
+        this.modal.querySelector('.payment-entry').hidden = false;
+    }
+
+    /**
+     * Replace the form with a step the buyer has to complete
+     */
+    showStep(html) {
+        this.modal.querySelector('.payment-entry').hidden = true;
+
+        const step = this.modal.querySelector('.payment-step');
+        step.innerHTML = `
+            ${html}
+            <button type="button" class="btn-link payment-back-btn">Use a different payment method</button>
+        `;
+        step.hidden = false;
+
+        step.querySelector('.payment-back-btn').addEventListener('click', () => this.showEntry());
+        step.querySelector('input, .btn-primary')?.focus();
+        return step;
+    }
+
+    /**
+     * 3-D Secure: the card's bank wants a code before authorizing
+     */
+    showChallengeStep(payment) {
+        const step = this.showStep(`
+            <h4>🔒 Verify your card</h4>
+            <p>${escapeHTML(payment.challenge.prompt || 'Enter the code your bank sent you.')}</p>
+            <form class="payment-challenge-form">
+                <label for="challenge-code">Verification code</label>
+                <input type="text" id="challenge-code" inputmode="numeric" autocomplete="one-time-code" maxlength="8" />
+                <button type="submit" class="btn-primary">Verify</button>
+            </form>
+        `);
+
+        const form = step.querySelector('.payment-challenge-form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const code = form.querySelector('#challenge-code').value.trim();
+            if (!code) {
+                showNotification('Please enter the verification code', 'error');
+                return;
+            }
+
+            await this.runStep(form.querySelector('.btn-primary'), async () => {
+                await this.handleResult(await this.handlers.onConfirm(payment, code));
+            });
+        });
+    }
+
+    /**
+     * e-Transfer: show where to send it and the reference, then wait for "sent"
+     */
+    showTransferStep(payment) {
+        const step = this.showStep(`
+            <h4>🏦 Send your e-Transfer</h4>
+            <p>${escapeHTML(payment.instructions)}</p>
+            <div class="payment-reference">
+                <span>Reference code</span>
+                <strong>${escapeHTML(payment.reference)}</strong>
+            </div>
+            <small class="form-help">Your order is placed when you confirm. Sellers hand items over once the e-Transfer arrives.</small>
+            <button type="button" class="btn-primary transfer-sent-btn">I've sent the e-Transfer</button>
+        `);
+
+        const sentButton = step.querySelector('.transfer-sent-btn');
+        sentButton.addEventListener('click', async () => {
+            await this.runStep(sentButton, async () => {
+                await this.handleResult(await this.handlers.onConfirm(payment));
+            });
+        });
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        // Closing mid-call could leave a charge without an order
+        if (this.processing) return;
+        this.closeModal();
+        if (this.onClose) this.onClose();
     }
 
     /**
      * Close modal
      */
     closeModal() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+
         if (this.modal && this.modal.parentElement) {
             this.modal.remove();
             this.modal = null;
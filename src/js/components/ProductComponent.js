@@ -3,7 +3,7 @@
  * Handles product display and interaction
  */
 
-import { getCategoryEmoji, formatCurrency } from '../utils/helpers.js';
+import { getCategoryEmoji, formatCurrency, escapeHTML, highlightText } from '../utils/helpers.js';
 
 export class ProductComponent {
     constructor(container) {
@@ -12,24 +12,35 @@ export class ProductComponent {
 
     /**
      * Render products grid
+     * highlights maps product ID → matched search terms; likedIds are the user's wishlist;
+     * watchedIds are products the user gets price-drop / restock alerts for
      */
-    renderProducts(products, onAddToCart) {
+    renderProducts(products, onAddToCart, {
+        highlights = {},
+        suggestions = [],
+        onSuggestion = null,
+        likedIds = [],
+        watchedIds = []
+    } = {}) {
         if (!this.container) return;
 
         if (products.length === 0) {
-            this.renderEmpty();
+            this.renderEmpty(suggestions, onSuggestion);
             return;
         }
 
         this.container.innerHTML = products.map(product => 
-            this.createProductCard(product, onAddToCart)
+            this.createProductCard(product, onAddToCart, highlights[product.id], {
+                liked: likedIds.includes(product.id),
+                watched: watchedIds.includes(product.id)
+            })
         ).join('');
     }
 
     /**
      * Create single product card HTML
      */
-    createProductCard(product, onAddToCart) {
+    createProductCard(product, onAddToCart, terms = [], { liked = false, watched = false } = {}) {
         const emoji = getCategoryEmoji(product.category);
         const price = formatCurrency(product.price);
         const sellerName = product.seller?.firstName && product.seller?.lastName 
@@ -43,10 +54,16 @@ export class ProductComponent {
                         ? `<img src="${product.imageUrl}" alt="${product.title}" />` 
                         : `<div class="image-placeholder">${emoji}</div>`
                     }
+                    <button class="like-btn ${liked ? 'liked' : ''}" data-product-id="${product.id}"
+                            aria-pressed="${liked}" title="${liked ? 'Remove from wishlist' : 'Save to wishlist'}">
+                        ${liked ? '❤️' : '🤍'}
+                        ${product.likeCount > 0 ? `<span class="like-count">${product.likeCount}</span>` : ''}
+                    </button>
                 </div>
                 <div class="product-info">
-                    <h3 class="product-title">${product.title}</h3>
-                    <p class="product-description">${product.description || product.courseCode || 'No description'}</p>
+                    <h3 class="product-title">${highlightText(product.title, terms)}</h3>
+                    ${product.courseCode ? `<p class="product-course">${highlightText(product.courseCode, terms)}</p>` : ''}
+                    <p class="product-description">${product.description ? highlightText(product.description, terms) : 'No description'}</p>
                     <div class="product-price">${price}</div>
                     <div class="product-meta">
                         <span class="product-condition">${product.condition || 'Good'}</span>
@@ -62,6 +79,15 @@ export class ProductComponent {
                         <button class="btn-secondary view-details-btn" data-product-id="${product.id}">
                             👁️ Details
                         </button>
+                        <button class="btn-secondary message-seller-btn" data-product-id="${product.id}" title="Message seller">
+                            💬
+                        </button>
+                        ${product.quantity === 0 ? `
+                            <button class="btn-secondary notify-btn ${watched ? 'active' : ''}" data-product-id="${product.id}"
+                                    aria-pressed="${watched}" title="${watched ? 'Stop restock alerts' : 'Notify me when back in stock'}">
+                                ${watched ? '🔕' : '🔔'}
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
             </article>
@@ -69,22 +95,37 @@ export class ProductComponent {
     }
 
     /**
-     * Render empty state
+     * Render empty state with optional "did you mean" suggestions
      */
-    renderEmpty() {
+    renderEmpty(suggestions = [], onSuggestion = null) {
         this.container.innerHTML = `
             <div class="no-results">
                 <div class="no-results-icon">🔍</div>
                 <h3>No products found</h3>
-                <p>Try adjusting your search or browse different categories.</p>
+                ${suggestions.length > 0 ? `
+                    <p class="did-you-mean">
+                        Did you mean
+                        ${suggestions.map(s => `
+                            <button class="suggestion-btn" data-query="${escapeHTML(s)}">${escapeHTML(s)}</button>
+                        `).join(' or ')}?
+                    </p>
+                ` : `
+                    <p>Try adjusting your search or browse different categories.</p>
+                `}
             </div>
         `;
+
+        if (onSuggestion) {
+            this.container.querySelectorAll('.suggestion-btn').forEach(btn => {
+                btn.addEventListener('click', () => onSuggestion(btn.dataset.query));
+            });
+        }
     }
 
     /**
      * Attach event listeners
      */
-    attachEventListeners(onAddToCart, onViewDetails) {
+    attachEventListeners(onAddToCart, onViewDetails, onMessageSeller, onToggleLike, onToggleWatch) {
         this.container.querySelectorAll('.add-to-cart-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -100,5 +141,26 @@ export class ProductComponent {
                 if (onViewDetails) onViewDetails(productId);
             });
         });
+
+        this.container.querySelectorAll('.message-seller-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (onMessageSeller) onMessageSeller(btn.dataset.productId);
+            });
+        });
+
+        this.container.querySelectorAll('.like-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (onToggleLike) onToggleLike(btn.dataset.productId);
+            });
+        });
+
+        this.container.querySelectorAll('.notify-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (onToggleWatch) onToggleWatch(btn.dataset.productId);
+            });
+        });
     }
 }
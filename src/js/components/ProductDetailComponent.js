@@ -0,0 +1,368 @@
+/**
+ * Product Detail Component
+ * Full listing view: image gallery with zoom and swipe, seller info and related listings
+ */
+
+import {
+    getCategoryEmoji,
+    formatCurrency,
+    formatDate,
+    formatRelativeTime,
+    escapeHTML
+} from '../utils/helpers.js';
+
+const SWIPE_THRESHOLD = 50;
+
+export class ProductDetailComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.images = [];
+        this.activeIndex = 0;
+        this.touchStartX = null;
+        this.keydownHandler = null;
+    }
+
+    /**
+     * Check if the detail view is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show product details
+     * handlers: { onAddToCart, onViewProduct, onViewSeller, onMessageSeller, onToggleWatch }
+     */
+    showModal(product, handlers) {
+        this.closeModal();
+
+        this.images = this.getImages(product);
+        this.activeIndex = 0;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal product-detail-modal';
+        this.modal.innerHTML = this.generateModalHTML(product);
+
+        document.body.appendChild(this.modal);
+        this.attachEventListeners(product, handlers);
+    }
+
+    /**
+     * Image URLs for a product, cover image first
+     * Accepts `images` as URLs or { url, position } objects, falling back to `imageUrl`
+     */
+    getImages(product) {
+        const images = (product.images || [])
+            .map((image, index) => (typeof image === 'string'
+                ? { url: image, position: index }
+                : { url: image.url, position: image.position ?? index }))
+            .filter(image => image.url)
+            .sort((a, b) => a.position - b.position)
+            .map(image => image.url);
+
+        if (images.length === 0 && product.imageUrl) images.push(product.imageUrl);
+        return images;
+    }
+
+    /**
+     * Generate detail view HTML
+     */
+    generateModalHTML(product) {
+        const views = product.viewCount ?? product.views;
+        const category = product.category?.name || product.category || 'General';
+
+        return `
+            <div class="modal-content product-detail">
+                <div class="modal-header">
+                    <h2>${escapeHTML(product.title)}</h2>
+                    <button class="modal-close" aria-label="Close">✕</button>
+                </div>
+                <div class="modal-body">
+                    <div class="product-detail-grid">
+                        ${this.generateGalleryHTML(product)}
+                        <div class="product-detail-info">
+                            <div class="price-large">${formatCurrency(product.price)}</div>
+                            <p class="product-detail-meta">
+                                ${product.createdAt ? `<span title="${formatDate(product.createdAt)}">🕒 Listed ${formatRelativeTime(product.createdAt)}</span>` : ''}
+                                ${views != null ? `<span>👁️ ${views} ${views === 1 ? 'view' : 'views'}</span>` : ''}
+                            </p>
+                            <p class="product-description-full">${escapeHTML(product.description || 'No description available')}</p>
+                            <dl class="product-specs">
+                                <dt>Condition</dt>
+                                <dd>${escapeHTML(product.condition || 'Good')}</dd>
+                                <dt>Available</dt>
+                                <dd>${product.quantity > 0 ? `${product.quantity} units` : 'Out of stock'}</dd>
+                                <dt>Category</dt>
+                                <dd>${escapeHTML(category)}</dd>
+                                ${product.courseCode ? `
+                                    <dt>Course</dt>
+                                    <dd>${escapeHTML(product.courseCode)}</dd>
+                                ` : ''}
+                                ${product.meetupLocation ? `
+                                    <dt>Meetup</dt>
+                                    <dd>${escapeHTML(product.meetupLocation)}</dd>
+                                ` : ''}
+                            </dl>
+                            <button class="btn-primary btn-large detail-add-to-cart" ${product.quantity > 0 ? '' : 'disabled'}>
+                                🛒 Add to Cart
+                            </button>
+                            <button class="btn-secondary detail-notify" aria-pressed="false"></button>
+                            ${this.generateSellerHTML(product.seller)}
+                        </div>
+                    </div>
+                    <section class="related-listings" aria-label="Related listings">
+                        <h3>Related listings</h3>
+                        <p class="related-loading">Loading related listings...</p>
+                    </section>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate gallery HTML (main image, arrows and thumbnails)
+     */
+    generateGalleryHTML(product) {
+        if (this.images.length === 0) {
+            return `
+                <div class="product-gallery">
+                    <div class="gallery-main gallery-empty">
+                        <div class="image-placeholder-large">${getCategoryEmoji(product.category)}</div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const multiple = this.images.length > 1;
+
+        return `
+            <div class="product-gallery">
+                <div class="gallery-main" title="Click to zoom">
+                    <img src="${escapeHTML(this.images[0])}" alt="${escapeHTML(product.title)}" draggable="false" />
+                    ${multiple ? `
+                        <button class="gallery-nav gallery-prev" aria-label="Previous image">‹</button>
+                        <button class="gallery-nav gallery-next" aria-label="Next image">›</button>
+                        <span class="gallery-counter">1 / ${this.images.length}</span>
+                    ` : ''}
+                </div>
+                ${multiple ? `
+                    <div class="gallery-thumbs">
+                        ${this.images.map((url, index) => `
+                            <button class="gallery-thumb ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="Image ${index + 1}">
+                                <img src="${escapeHTML(url)}" alt="" />
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate seller card HTML
+     */
+    generateSellerHTML(seller) {
+        if (!seller) return '';
+
+        const name = seller.firstName && seller.lastName
+            ? `${seller.firstName} ${seller.lastName}`
+            : 'User';
+        const initials = name.split(' ').map(part => part[0]).join('').slice(0, 2).toUpperCase();
+        const listings = seller.listingsCount ?? seller._count?.products;
+
+        return `
+            <div class="seller-card">
+                <div class="seller-avatar">${escapeHTML(initials)}</div>
+                <div class="seller-details">
+                    <strong>${escapeHTML(name)}</strong>
+                    <span>${escapeHTML(seller.program || 'Student')}</span>
+                    ${seller.createdAt ? `<span>Member since ${formatDate(seller.createdAt)}</span>` : ''}
+                    ${listings != null ? `<span>${listings} active ${listings === 1 ? 'listing' : 'listings'}</span>` : ''}
+                </div>
+                ${seller.id ? `
+                    <div class="seller-actions">
+                        <button class="btn-primary btn-sm message-seller-btn">💬 Message seller</button>
+                        <button class="btn-secondary btn-sm view-seller-btn">View listings</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Show whether the user gets alerts for this product
+     */
+    setWatching(product, watching) {
+        const button = this.modal?.querySelector('.detail-notify');
+        if (!button) return;
+
+        button.setAttribute('aria-pressed', String(watching));
+        button.classList.toggle('active', watching);
+        if (watching) {
+            button.textContent = '🔕 Stop alerts';
+        } else {
+            button.textContent = product.quantity > 0 ? '🔔 Alert me if the price drops' : '🔔 Notify me when back in stock';
+        }
+    }
+
+    /**
+     * Fill the related listings strip once loaded
+     */
+    renderRelated(products, onViewProduct) {
+        if (!this.isOpen()) return;
+
+        const section = this.modal.querySelector('.related-listings');
+        if (products.length === 0) {
+            section.remove();
+            return;
+        }
+
+        section.innerHTML = `
+            <h3>Related listings</h3>
+            <div class="related-strip">
+                ${products.map(product => {
+                    const [cover] = this.getImages(product);
+                    return `
+                        <button class="related-card" data-product-id="${product.id}">
+                            <div class="related-image">
+                                ${cover
+                                    ? `<img src="${escapeHTML(cover)}" alt="" />`
+                                    : `<span>${getCategoryEmoji(product.category)}</span>`
+                                }
+                            </div>
+                            <span class="related-title">${escapeHTML(product.title)}</span>
+                            ${product.courseCode ? `<span class="related-course">${escapeHTML(product.courseCode)}</span>` : ''}
+                            <span class="related-price">${formatCurrency(product.price)}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        section.querySelectorAll('.related-card').forEach(card => {
+            card.addEventListener('click', () => onViewProduct(card.dataset.productId));
+        });
+    }
+
+    /**
+     * Show gallery image by index (wraps around)
+     */
+    showImage(index) {
+        if (this.images.length === 0) return;
+
+        const count = this.images.length;
+        this.activeIndex = (index + count) % count;
+        this.setZoom(false);
+
+        const main = this.modal.querySelector('.gallery-main img');
+        main.src = this.images[this.activeIndex];
+
+        const counter = this.modal.querySelector('.gallery-counter');
+        if (counter) counter.textContent = `${this.activeIndex + 1} / ${count}`;
+
+        this.modal.querySelectorAll('.gallery-thumb').forEach(thumb => {
+            thumb.classList.toggle('active', parseInt(thumb.dataset.index, 10) === this.activeIndex);
+        });
+    }
+
+    /**
+     * Toggle zoom on the main image
+     */
+    setZoom(zoomed) {
+        const main = this.modal?.querySelector('.gallery-main');
+        if (main) main.classList.toggle('zoomed', zoomed);
+    }
+
+    /**
+     * Pan the zoomed image towards the pointer
+     */
+    panZoom(e) {
+        const main = e.currentTarget;
+        if (!main.classList.contains('zoomed')) return;
+
+        const rect = main.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * 100;
+        const y = ((e.clientY - rect.top) / rect.height) * 100;
+        main.querySelector('img').style.transformOrigin = `${x}% ${y}%`;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners(product, { onAddToCart, onViewSeller, onMessageSeller, onToggleWatch }) {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        this.modal.querySelector('.detail-add-to-cart').addEventListener('click', () => onAddToCart(product));
+        this.modal.querySelector('.detail-notify').addEventListener('click', () => onToggleWatch(product));
+        this.setWatching(product, false);
+
+        const sellerBtn = this.modal.querySelector('.view-seller-btn');
+        if (sellerBtn) sellerBtn.addEventListener('click', () => onViewSeller(product.seller));
+
+        const messageBtn = this.modal.querySelector('.message-seller-btn');
+        if (messageBtn) messageBtn.addEventListener('click', () => onMessageSeller(product));
+
+        const main = this.modal.querySelector('.gallery-main');
+        if (main && this.images.length > 0) {
+            main.addEventListener('click', (e) => {
+                if (e.target.closest('.gallery-nav')) return;
+                this.setZoom(!main.classList.contains('zoomed'));
+                this.panZoom(e);
+            });
+            main.addEventListener('mousemove', (e) => this.panZoom(e));
+            main.addEventListener('mouseleave', () => this.setZoom(false));
+
+            main.addEventListener('touchstart', (e) => {
+                this.touchStartX = e.touches[0].clientX;
+            }, { passive: true });
+            main.addEventListener('touchend', (e) => {
+                if (this.touchStartX === null) return;
+                const dx = e.changedTouches[0].clientX - this.touchStartX;
+                this.touchStartX = null;
+                if (Math.abs(dx) >= SWIPE_THRESHOLD) this.showImage(this.activeIndex + (dx < 0 ? 1 : -1));
+            });
+        }
+
+        const prev = this.modal.querySelector('.gallery-prev');
+        const next = this.modal.querySelector('.gallery-next');
+        if (prev) prev.addEventListener('click', () => this.showImage(this.activeIndex - 1));
+        if (next) next.addEventListener('click', () => this.showImage(this.activeIndex + 1));
+
+        this.modal.querySelectorAll('.gallery-thumb').forEach(thumb => {
+            thumb.addEventListener('click', () => this.showImage(parseInt(thumb.dataset.index, 10)));
+        });
+
+        this.keydownHandler = (e) => {
+            if (e.key === 'Escape') this.dismiss();
+            else if (e.key === 'ArrowLeft' && this.images.length > 1) this.showImage(this.activeIndex - 1);
+            else if (e.key === 'ArrowRight' && this.images.length > 1) this.showImage(this.activeIndex + 1);
+        };
+        document.addEventListener('keydown', this.keydownHandler);
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.keydownHandler) {
+            document.removeEventListener('keydown', this.keydownHandler);
+            this.keydownHandler = null;
+        }
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Purchases Component
+ * Purchase history: the current user's orders as a buyer, with the
+ * lifecycle actions open to them (confirm received, cancel)
+ */
+
+import { OrderComponent } from './OrderComponent.js';
+
+export class PurchasesComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.orderCards = new OrderComponent();
+    }
+
+    /**
+     * Check if the modal is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show purchase history
+     * entries: [{ order, actions, meetupLabel }]
+     * handlers: { onAction(orderId, actionId), onMeetup(orderId) }
+     */
+    showModal(entries, handlers) {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal purchases-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>🧾 My Purchase History</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">
+                    ${entries.length === 0 ? `
+                        <div class="empty-state">
+                            <div class="empty-icon">📦</div>
+                            <h3>No purchases yet</h3>
+                            <p>Start shopping to see your order history here!</p>
+                        </div>
+                    ` : `
+                        <div class="orders-list">
+                            ${entries.map(({ order, actions, meetupLabel }) =>
+                                this.orderCards.generateOrderCardHTML(order, { role: 'buyer', actions, meetupLabel })
+                            ).join('')}
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+        this.orderCards.attachActionListeners(this.modal, handlers);
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Receipt Component
+ * Combined receipt for a checkout: one order per seller, plus any seller
+ * whose order could not be placed (their items stay in the cart)
+ */
+
+import { escapeHTML, formatCurrency } from '../utils/helpers.js';
+import { getSellerName, getLineTotal } from '../utils/cart.js';
+
+export class ReceiptComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Check if the receipt is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show the receipt
+     * receipt: { placed: [{ order, seller, items, subtotal, meetup: { time, spot } | null }],
+     *            failed: [{ seller, items, subtotal, reason }],
+     *            payment: { description, dueAtPickup } }
+     * handlers: { onViewOrder(orderId), onBackToCart() }
+     */
+    showModal({ placed, failed, payment = null }, handlers) {
+        this.closeModal();
+
+        const charged = placed.reduce((total, entry) => total + entry.subtotal, 0);
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal receipt-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${placed.length > 0 ? '🧾 Receipt' : '⚠️ Checkout incomplete'}</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">
+                    ${placed.length > 0 ? `
+                        <p class="receipt-intro">
+                            ${placed.length === 1 ? 'Your order was placed.' : `${placed.length} orders were placed, one per seller.`}
+                        </p>
+                    ` : ''}
+                    ${placed.map(entry => this.generateOrderHTML(entry)).join('')}
+                    ${failed.length > 0 ? `
+                        <div class="receipt-failed">
+                            <h4>Not ordered</h4>
+                            <p>These items are still in your cart.</p>
+                            ${failed.map(entry => this.generateFailedHTML(entry)).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="receipt-total">
+                        ${payment ? `<span class="receipt-payment">Payment: ${escapeHTML(payment.description)}</span>` : ''}
+                        <strong>${payment?.dueAtPickup ? 'Total due at pickup' : 'Total charged'}: ${formatCurrency(charged)}</strong>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    ${failed.length > 0 ? '<button class="btn-secondary back-to-cart-btn">🛒 Back to cart</button>' : ''}
+                    <button class="btn-primary receipt-done-btn">Done</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this.attachEventListeners(handlers);
+    }
+
+    /**
+     * One placed order
+     */
+    generateOrderHTML({ order, seller, items, subtotal, meetup }) {
+        return `
+            <section class="receipt-order">
+                <div class="receipt-order-header">
+                    <h4>Order #${escapeHTML(order.orderNumber || order.id)}</h4>
+                    <span>${escapeHTML(getSellerName(seller))}</span>
+                </div>
+                ${this.generateItemsHTML(items)}
+                ${meetup ? `<p class="receipt-meetup">🤝 ${escapeHTML(meetup.time)} at ${escapeHTML(meetup.spot)}</p>` : ''}
+                <div class="receipt-order-footer">
+                    <strong>Subtotal: ${formatCurrency(subtotal)}</strong>
+                    <button type="button" class="btn-link view-order-btn" data-order-id="${escapeHTML(order.id)}">View order</button>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * One seller whose order failed
+     */
+    generateFailedHTML({ seller, items, reason }) {
+        return `
+            <section class="receipt-order failed">
+                <div class="receipt-order-header">
+                    <h4>${escapeHTML(getSellerName(seller))}</h4>
+                </div>
+                ${this.generateItemsHTML(items)}
+                <p class="receipt-reason">${escapeHTML(reason)}</p>
+            </section>
+        `;
+    }
+
+    /**
+     * Item lines
+     */
+    generateItemsHTML(items) {
+        return `
+            <ul class="receipt-items">
+                ${items.map(item => `
+                    <li>
+                        <span>${escapeHTML(item.product?.title || 'Item')} × ${item.quantity}</span>
+                        <span>${formatCurrency(getLineTotal(item))}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners(handlers) {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.querySelector('.receipt-done-btn').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        this.modal.querySelectorAll('.view-order-btn').forEach(btn => {
+            btn.addEventListener('click', () => handlers.onViewOrder(btn.dataset.orderId));
+        });
+
+        const backButton = this.modal.querySelector('.back-to-cart-btn');
+        if (backButton) backButton.addEventListener('click', () => handlers.onBackToCart());
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Sales Component
+ * "My Sales" dashboard: incoming orders on the seller's listings with
+ * status filters, monthly revenue and the seller's next actions
+ */
+
+import { formatCurrency } from '../utils/helpers.js';
+import { OrderComponent } from './OrderComponent.js';
+
+export class SalesComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.orderCards = new OrderComponent();
+    }
+
+    /**
+     * Check if the dashboard is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Update navbar count of orders waiting on the seller
+     */
+    updateBadge(count) {
+        const badge = document.querySelector('.sales-badge');
+        if (badge) {
+            badge.textContent = count;
+            badge.style.display = count > 0 ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Show the dashboard, or re-render it in place when already open
+     * view: { entries: [{ order, actions, meetupLabel }], filter, filters: [{ id, label, count }],
+     *         summary: { orderCount, pendingCount, revenue }, monthlyRevenue: [{ label, revenue, orderCount }] }
+     * handlers: { onFilter(filter), onAction(orderId, actionId), onMeetup(orderId) }
+     */
+    showModal(view, handlers) {
+        if (!this.isOpen()) {
+            this.modal = document.createElement('div');
+            this.modal.className = 'form-modal sales-modal';
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>💼 My Sales</h3>
+                        <button class="modal-close">✕</button>
+                    </div>
+                    <div class="modal-body"></div>
+                </div>
+            `;
+
+            document.body.appendChild(this.modal);
+
+            this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal) this.dismiss();
+            });
+        }
+
+        const body = this.modal.querySelector('.modal-body');
+        body.innerHTML = `
+            <div class="sales-summary">
+                <p><strong>Orders:</strong> ${view.summary.orderCount}</p>
+                <p><strong>Needs your action:</strong> ${view.summary.pendingCount}</p>
+                <p><strong>Revenue (completed):</strong> ${formatCurrency(view.summary.revenue)}</p>
+            </div>
+            ${this.generateMonthlyRevenueHTML(view.monthlyRevenue)}
+            <div class="sales-filters">
+                ${view.filters.map(filter => `
+                    <button class="sales-filter ${filter.id === view.filter ? 'active' : ''}" data-filter="${filter.id}">
+                        ${filter.label} <span>${filter.count}</span>
+                    </button>
+                `).join('')}
+            </div>
+            ${view.entries.length === 0 ? `
+                <div class="empty-state">
+                    <div class="empty-icon">📭</div>
+                    <p>${view.summary.orderCount === 0 ? 'No one has ordered from your listings yet.' : 'No orders match this filter.'}</p>
+                </div>
+            ` : `
+                <div class="orders-list">
+                    ${view.entries.map(({ order, actions, meetupLabel }) =>
+                        this.orderCards.generateOrderCardHTML(order, { role: 'seller', actions, meetupLabel })
+                    ).join('')}
+                </div>
+            `}
+        `;
+
+        body.querySelectorAll('.sales-filter').forEach(btn => {
+            btn.addEventListener('click', () => handlers.onFilter(btn.dataset.filter));
+        });
+        this.orderCards.attachActionListeners(body, handlers);
+    }
+
+    /**
+     * Generate the revenue-by-month table
+     */
+    generateMonthlyRevenueHTML(months) {
+        if (months.length === 0) return '';
+
+        return `
+            <table class="sales-revenue">
+                <thead>
+                    <tr><th>Month</th><th>Completed orders</th><th>Revenue</th></tr>
+                </thead>
+                <tbody>
+                    ${months.map(month => `
+                        <tr>
+                            <td>${month.label}</td>
+                            <td>${month.orderCount}</td>
+                            <td>${formatCurrency(month.revenue)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
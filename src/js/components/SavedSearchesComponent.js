@@ -0,0 +1,159 @@
+/**
+ * Saved Searches Component
+ * Save-search button, navbar alert badge and the saved searches panel
+ */
+
+import { escapeHTML, formatCurrency, formatDate } from '../utils/helpers.js';
+
+export class SavedSearchesComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Render the "Save search" button next to the results title
+     */
+    renderSaveButton(header, { visible, saved, onSave }) {
+        if (!header) return;
+
+        let button = header.querySelector('.save-search-btn');
+        if (!visible) {
+            if (button) button.remove();
+            return;
+        }
+
+        if (!button) {
+            button = document.createElement('button');
+            button.className = 'btn-secondary btn-sm save-search-btn';
+            button.addEventListener('click', () => onSave());
+            const title = header.querySelector('.section-title');
+            if (title) title.insertAdjacentElement('afterend', button);
+            else header.prepend(button);
+        }
+
+        button.disabled = saved;
+        button.textContent = saved ? '🔔 Search saved' : '🔔 Save search';
+    }
+
+    /**
+     * Update the navbar alert badge
+     */
+    updateBadge(count) {
+        const badge = document.querySelector('.alerts-badge');
+        if (badge) {
+            badge.textContent = count;
+            badge.style.display = count > 0 ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Check if the panel is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show saved searches with their new matches
+     * handlers: { describe, onRun, onDelete, onViewProduct }
+     */
+    showModal(searches, handlers) {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal';
+        this.modal.innerHTML = this.generateModalHTML(searches, handlers.describe);
+
+        document.body.appendChild(this.modal);
+        this.attachEventListeners(handlers);
+    }
+
+    /**
+     * Generate panel HTML
+     */
+    generateModalHTML(searches, describe) {
+        const body = searches.length === 0 ? `
+            <div class="empty-state">
+                <div class="empty-icon">🔔</div>
+                <h3>No saved searches</h3>
+                <p>Search for something, then click "Save search" to get alerts for new listings.</p>
+            </div>
+        ` : searches.map(search => `
+            <div class="saved-search-card" data-search-id="${search.id}">
+                <div class="saved-search-header">
+                    <strong>${escapeHTML(describe(search))}</strong>
+                    ${search.newMatches.length > 0
+                        ? `<span class="saved-search-new">${search.newMatches.length} new</span>`
+                        : ''}
+                </div>
+                ${search.newMatches.length > 0 ? `
+                    <ul class="saved-search-matches">
+                        ${search.newMatches.map(match => `
+                            <li>
+                                <button class="saved-search-match" data-product-id="${match.id}">
+                                    ${escapeHTML(match.title)}
+                                </button>
+                                <span>${formatCurrency(match.price)} · ${formatDate(match.createdAt)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="saved-search-empty">No new listings since your last visit.</p>'}
+                <div class="saved-search-actions">
+                    <button class="btn-secondary btn-sm" data-action="run">Run search</button>
+                    <button class="btn-danger btn-sm" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>🔔 Saved Searches</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body saved-searches-list">
+                    ${body}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners({ onRun, onDelete, onViewProduct }) {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        this.modal.querySelectorAll('.saved-search-card').forEach(card => {
+            const searchId = card.dataset.searchId;
+            card.querySelector('[data-action="run"]').addEventListener('click', () => onRun(searchId));
+            card.querySelector('[data-action="delete"]').addEventListener('click', () => onDelete(searchId));
+        });
+
+        this.modal.querySelectorAll('.saved-search-match').forEach(btn => {
+            btn.addEventListener('click', () => onViewProduct(btn.dataset.productId));
+        });
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Search Autocomplete Component
+ * Typeahead dropdown under the search bar with keyboard navigation
+ */
+
+import { escapeHTML } from '../utils/helpers.js';
+
+const TYPE_ICONS = {
+    recent: '🕘',
+    trending: '🔥',
+    course: '🎓',
+    category: '📂',
+    title: '🔍'
+};
+
+export class SearchAutocompleteComponent {
+    /**
+     * getSuggestions(query) returns [{ title, items: [{ type, label, value }] }]
+     * onSelect(item) runs when a suggestion is chosen
+     * id names the dropdown; give each autocomplete on the page its own
+     */
+    constructor(input, { getSuggestions, onSelect, id = 'search-autocomplete' }) {
+        this.input = input;
+        this.id = id;
+        this.getSuggestions = getSuggestions;
+        this.onSelect = onSelect;
+        this.list = null;
+        this.items = [];
+        this.activeIndex = -1;
+    }
+
+    /**
+     * Create dropdown and attach listeners
+     */
+    attach() {
+        if (!this.input) return;
+
+        this.list = document.createElement('ul');
+        this.list.className = 'autocomplete-list';
+        this.list.id = this.id;
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+        this.input.insertAdjacentElement('afterend', this.list);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.input.addEventListener('input', () => this.open());
+        this.input.addEventListener('focus', () => this.open());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Delay so a click on an item lands before the list closes
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.autocomplete-item');
+            if (!option) return;
+            e.preventDefault();
+            this.select(parseInt(option.dataset.index, 10));
+        });
+    }
+
+    /**
+     * Show suggestions for the current input value
+     */
+    open() {
+        const groups = this.getSuggestions(this.input.value).filter(g => g.items.length > 0);
+        this.items = groups.flatMap(g => g.items);
+        this.activeIndex = -1;
+
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        let index = 0;
+        this.list.innerHTML = groups.map(group => `
+            <li class="autocomplete-group" role="presentation">${escapeHTML(group.title)}</li>
+            ${group.items.map(item => `
+                <li class="autocomplete-item"
+                    id="${this.id}-item-${index}"
+                    role="option"
+                    aria-selected="false"
+                    data-index="${index++}">
+                    <span class="autocomplete-icon">${TYPE_ICONS[item.type] || TYPE_ICONS.title}</span>
+                    <span class="autocomplete-label">${escapeHTML(item.label)}</span>
+                </li>
+            `).join('')}
+        `).join('');
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Hide the dropdown
+     */
+    close() {
+        if (!this.list) return;
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Check if the dropdown is showing
+     */
+    isOpen() {
+        return !!this.list && !this.list.hidden;
+    }
+
+    /**
+     * Arrow keys move, Enter selects, Escape closes
+     * Returns true when the key was handled here
+     */
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!this.isOpen()) this.open();
+            this.move(e.key === 'ArrowDown' ? 1 : -1);
+            return true;
+        }
+
+        if (e.key === 'Enter' && this.isOpen() && this.activeIndex >= 0) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.select(this.activeIndex);
+            return true;
+        }
+
+        if (e.key === 'Escape' && this.isOpen()) {
+            e.preventDefault();
+            this.close();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Move the active option, wrapping around
+     */
+    move(delta) {
+        if (this.items.length === 0) return;
+
+        const count = this.items.length;
+        this.activeIndex = (this.activeIndex + delta + count) % count;
+
+        this.list.querySelectorAll('.autocomplete-item').forEach(el => {
+            const isActive = parseInt(el.dataset.index, 10) === this.activeIndex;
+            el.classList.toggle('active', isActive);
+            el.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                el.scrollIntoView({ block: 'nearest' });
+                this.input.setAttribute('aria-activedescendant', el.id);
+            }
+        });
+    }
+
+    /**
+     * Choose a suggestion
+     */
+    select(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        this.close();
+        this.onSelect(item);
+    }
+}
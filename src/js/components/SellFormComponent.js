@@ -0,0 +1,517 @@
+/**
+ * Sell Form Component
+ * Post a new item or edit an existing listing, with photo uploads,
+ * inline validation against listingSchema, drafts autosaved to IndexedDB
+ * and ISBN entry / barcode scanning that prefills textbook details
+ */
+
+import { config, listingCategories, listingConditions } from '../config.js';
+import { showNotification, escapeHTML, formatRelativeTime } from '../utils/helpers.js';
+import { validate, validateField } from '../utils/validation.js';
+import { listingSchema } from '../utils/listing-schema.js';
+import { loadDraft, saveDraft, deleteDraft } from '../utils/draft-store.js';
+import { isValidISBN, toISBN13 } from '../utils/isbn.js';
+import { ImageUploadComponent } from './ImageUploadComponent.js';
+import { BarcodeScannerComponent } from './BarcodeScannerComponent.js';
+import { SearchAutocompleteComponent } from './SearchAutocompleteComponent.js';
+
+export class SellFormComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+        this.imageUpload = null;
+        this.scanner = null;
+        this.options = null;
+        this.lastLookup = null;
+        this.prefilled = {};
+        this.draftKey = null;
+        this.draftReady = false;
+        this.draftTimer = null;
+        this.touched = new Set();
+        this.pageHideHandler = null;
+    }
+
+    /**
+     * Check if the form is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show the form; pass product to edit an existing listing
+     * options: { product, draftKey, upload(file, { onProgress }), lookupBook(isbn13),
+     *            searchCourses(query), findCourse(code), onSubmit(values) }
+     * onSubmit receives { title, price, quantity, categorySlug, courseCode, condition, description,
+     *                     isbn, author, edition, images }
+     * lookupBook resolves to { title, authors, edition, source } or null
+     * searchCourses / findCourse return registry courses { code, title, terms } for the course field
+     * Drafts are saved under draftKey (omit it to disable autosave)
+     */
+    showModal(options) {
+        this.closeModal();
+
+        const { product = null, draftKey = null, upload } = options;
+        this.options = options;
+        this.draftKey = draftKey;
+        this.draftReady = false;
+        this.touched = new Set();
+        this.lastLookup = product?.isbn ? toISBN13(product.isbn) : null;
+        this.prefilled = {};
+
+        const categorySlug = product?.category?.slug || listingCategories[0].slug;
+        const condition = product?.condition || 'GOOD';
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'form-modal sell-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${product ? 'Edit Item' : 'Post an Item for Sale'}</h3>
+                    <button class="modal-close">✕</button>
+                </div>
+                <div class="modal-body">
+                    <div class="draft-notice" hidden></div>
+                    <form class="sell-form" novalidate>
+                        <div class="isbn-section">
+                            ${this.generateFieldHTML('isbn', 'ISBN <small>(textbooks — fills in the details for you)</small>', `
+                                <div class="isbn-input-row">
+                                    <input type="text" id="sell-isbn" name="isbn" inputmode="numeric" autocomplete="off"
+                                           placeholder="978-0-00-000000-0" value="${escapeHTML(product?.isbn || '')}" />
+                                    <button type="button" class="btn-secondary btn-sm isbn-lookup-btn">🔍 Look up</button>
+                                </div>
+                            `)}
+                            <div class="isbn-scanner"></div>
+                            <small class="isbn-status" aria-live="polite"></small>
+                        </div>
+                        ${this.generateFieldHTML('title', 'Title', `
+                            <input type="text" id="sell-title" name="title" placeholder="e.g., Calculus Textbook"
+                                   maxlength="${config.listing.titleMaxLength}" value="${escapeHTML(product?.title || '')}" />
+                        `)}
+                        <div class="form-row">
+                            ${this.generateFieldHTML('author', 'Author', `
+                                <input type="text" id="sell-author" name="author"
+                                       maxlength="${config.listing.authorMaxLength}" value="${escapeHTML(product?.author || '')}" />
+                            `)}
+                            ${this.generateFieldHTML('edition', 'Edition', `
+                                <input type="text" id="sell-edition" name="edition" placeholder="e.g., 8th edition"
+                                       maxlength="${config.listing.editionMaxLength}" value="${escapeHTML(product?.edition || '')}" />
+                            `)}
+                        </div>
+                        <div class="form-row">
+                            ${this.generateFieldHTML('price', 'Price (CAD)', `
+                                <input type="number" id="sell-price" name="price" min="0.01" step="0.01"
+                                       max="${config.listing.maxPrice}" value="${product?.price ?? ''}" />
+                            `)}
+                            ${this.generateFieldHTML('quantity', 'Quantity Available', `
+                                <input type="number" id="sell-quantity" name="quantity" min="1" step="1"
+                                       max="${config.listing.maxQuantity}" value="${product?.quantity ?? 1}" />
+                            `)}
+                        </div>
+                        ${this.generateFieldHTML('categorySlug', 'Category', `
+                            <select id="sell-categorySlug" name="categorySlug">
+                                ${listingCategories.map(category => `
+                                    <option value="${category.slug}" ${category.slug === categorySlug ? 'selected' : ''}>${category.label}</option>
+                                `).join('')}
+                            </select>
+                        `)}
+                        ${this.generateFieldHTML('courseCode', 'Course Code', `
+                            <div class="course-autocomplete">
+                                <input type="text" id="sell-courseCode" name="courseCode" placeholder="MATH 1013"
+                                       value="${escapeHTML(product?.courseCode || '')}" />
+                            </div>
+                            <small class="course-hint"></small>
+                        `)}
+                        ${this.generateFieldHTML('condition', 'Condition', `
+                            <select id="sell-condition" name="condition">
+                                ${listingConditions.map(option => `
+                                    <option value="${option.value}" ${option.value === condition ? 'selected' : ''}>${option.label}</option>
+                                `).join('')}
+                            </select>
+                        `)}
+                        ${this.generateFieldHTML('description', 'Description', `
+                            <textarea id="sell-description" name="description" rows="3"
+                                      maxlength="${config.listing.descriptionMaxLength}"
+                                      placeholder="Details buyers should know...">${escapeHTML(product?.description || '')}</textarea>
+                        `)}
+
+                        <label>Photos</label>
+                        <div class="sell-images"></div>
+
+                        <button type="submit" class="btn-primary sell-submit">${product ? 'Save Changes' : 'Post Item'}</button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.imageUpload = new ImageUploadComponent(this.modal.querySelector('.sell-images'), {
+            upload,
+            onChange: () => this.scheduleDraftSave()
+        });
+        this.imageUpload.render();
+        const images = product?.images?.length
+            ? product.images.map(image => (typeof image === 'string' ? image : image.url))
+            : [product?.imageUrl].filter(Boolean);
+        if (images.length > 0) this.imageUpload.setExistingImages(images);
+
+        this.scanner = new BarcodeScannerComponent(this.modal.querySelector('.isbn-scanner'), {
+            onDetected: (isbn) => {
+                this.modal.querySelector('#sell-isbn').value = isbn;
+                this.validateFieldInput('isbn');
+                this.scheduleDraftSave();
+                this.lookupISBN(isbn);
+            }
+        });
+        this.scanner.render();
+
+        const { searchCourses } = options;
+        if (searchCourses) {
+            const courseInput = this.modal.querySelector('#sell-courseCode');
+            new SearchAutocompleteComponent(courseInput, {
+                id: 'sell-course-autocomplete',
+                getSuggestions: (query) => [{
+                    title: 'Courses',
+                    items: searchCourses(query).map(course => ({
+                        type: 'course',
+                        label: `${course.code} — ${course.title}`,
+                        value: course.code
+                    }))
+                }],
+                onSelect: (item) => {
+                    courseInput.value = item.value;
+                    this.touched.add('courseCode');
+                    this.validateFieldInput('courseCode');
+                    this.updateCourseHint();
+                    this.scheduleDraftSave();
+                }
+            }).attach();
+        }
+        this.updateCourseHint();
+
+        this.attachEventListeners();
+        this.restoreDraft();
+    }
+
+    /**
+     * Generate a labelled field with a slot for its error message
+     */
+    generateFieldHTML(name, label, control) {
+        return `
+            <div class="form-field" data-field="${name}">
+                <label for="sell-${name}">${label}</label>
+                ${control}
+                <small class="field-error" id="sell-${name}-error" aria-live="polite"></small>
+            </div>
+        `;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.dismiss();
+        });
+
+        const form = this.modal.querySelector('.sell-form');
+
+        // Validate a field once the user has left it, then live while they fix it
+        form.addEventListener('focusout', (e) => {
+            const name = e.target.name;
+            if (!listingSchema[name]) return;
+            this.touched.add(name);
+            this.validateFieldInput(name);
+        });
+
+        form.addEventListener('input', (e) => {
+            if (this.touched.has(e.target.name)) this.validateFieldInput(e.target.name);
+            this.scheduleDraftSave();
+
+            // Look up as soon as a complete, valid ISBN is typed or pasted
+            if (e.target.name === 'isbn' && isValidISBN(e.target.value)) this.lookupISBN(e.target.value);
+            if (e.target.name === 'courseCode') this.updateCourseHint();
+        });
+
+        this.modal.querySelector('.isbn-lookup-btn').addEventListener('click', () => {
+            const value = this.modal.querySelector('#sell-isbn').value;
+            this.touched.add('isbn');
+            this.validateFieldInput('isbn');
+            if (isValidISBN(value)) this.lookupISBN(value, { force: true });
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // Save the latest keystrokes if the tab is closed
+        this.pageHideHandler = () => this.flushDraft();
+        window.addEventListener('pagehide', this.pageHideHandler);
+    }
+
+    /**
+     * Validate every field and submit
+     */
+    async submit() {
+        const errors = validate(this.getValues(), listingSchema);
+        Object.keys(listingSchema).forEach(name => {
+            this.touched.add(name);
+            this.showFieldError(name, errors[name] || null);
+        });
+
+        const [firstInvalid] = Object.keys(errors);
+        if (firstInvalid) {
+            this.modal.querySelector(`[name="${firstInvalid}"]`)?.focus();
+            return;
+        }
+
+        const submitBtn = this.modal.querySelector('.sell-submit');
+        const label = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+
+        // Stop autosaving so closing the form after success does not resurrect the draft
+        const draftKey = this.draftKey;
+        this.draftKey = null;
+        clearTimeout(this.draftTimer);
+
+        try {
+            const images = await this.imageUpload.uploadAll();
+            await this.options.onSubmit({ ...this.getValues(), images });
+            if (draftKey) {
+                deleteDraft(draftKey).catch(error => console.warn('Could not delete draft:', error));
+            }
+        } catch (error) {
+            console.error('Error saving listing:', error);
+            showNotification(error.message.startsWith('API') ? 'Failed to save listing' : error.message, 'error');
+            if (this.isOpen()) {
+                this.draftKey = draftKey;
+                this.scheduleDraftSave();
+            }
+        } finally {
+            if (this.isOpen()) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = label;
+            }
+        }
+    }
+
+    /**
+     * Show the registry title under the course code, or flag a code the registry doesn't know
+     */
+    updateCourseHint() {
+        const { findCourse } = this.options;
+        const hint = this.modal?.querySelector('.course-hint');
+        if (!findCourse || !hint) return;
+
+        const code = this.modal.querySelector('#sell-courseCode').value.trim();
+        const course = code ? findCourse(code) : null;
+
+        if (course) {
+            hint.textContent = `${course.title}${course.terms.length ? ` · ${course.terms.join(', ')}` : ''}`;
+        } else if (code && !validateField(code, listingSchema.courseCode)) {
+            hint.textContent = 'Not in the course list. Double-check the code so students can find your listing.';
+        } else {
+            hint.textContent = '';
+        }
+    }
+
+    /**
+     * Fetch book details for an ISBN and prefill the form
+     * Only empty fields, or fields still holding a previous lookup's values, are replaced
+     */
+    async lookupISBN(value, { force = false } = {}) {
+        const { lookupBook } = this.options;
+        const isbn = toISBN13(value);
+        if (!lookupBook || !isbn || (isbn === this.lastLookup && !force)) return;
+
+        this.lastLookup = isbn;
+        const status = this.modal.querySelector('.isbn-status');
+        status.textContent = 'Looking up ISBN...';
+
+        let book;
+        try {
+            book = await lookupBook(isbn);
+        } catch (error) {
+            console.error('Error looking up ISBN:', error);
+            if (this.isOpen()) status.textContent = 'ISBN lookup is unavailable right now. Fill in the details below.';
+            return;
+        }
+
+        // The form may have closed, or a newer ISBN been entered, while waiting
+        if (!this.isOpen() || this.lastLookup !== isbn) return;
+
+        if (!book) {
+            status.textContent = 'No details found for this ISBN. Fill them in below.';
+            return;
+        }
+
+        const form = this.modal.querySelector('.sell-form');
+        const details = {
+            title: book.title || '',
+            author: (book.authors || []).join(', '),
+            edition: book.edition || ''
+        };
+
+        Object.entries(details).forEach(([name, detail]) => {
+            const input = form.elements[name];
+            if (!detail || (input.value.trim() && input.value !== this.prefilled[name])) return;
+            input.value = detail;
+            this.prefilled[name] = detail;
+            if (this.touched.has(name)) this.validateFieldInput(name);
+        });
+        form.elements.categorySlug.value = 'textbooks';
+
+        status.textContent = `Found “${details.title}”${details.author ? ` by ${details.author}` : ''}`;
+        this.scheduleDraftSave();
+    }
+
+    /**
+     * Validate one field and show its error
+     */
+    validateFieldInput(name) {
+        this.showFieldError(name, validateField(this.getValues()[name], listingSchema[name]));
+    }
+
+    /**
+     * Show or clear a field's inline error
+     */
+    showFieldError(name, message) {
+        const field = this.modal?.querySelector(`.form-field[data-field="${name}"]`);
+        if (!field) return;
+
+        const control = field.querySelector('input, select, textarea');
+        field.classList.toggle('has-error', !!message);
+        field.querySelector('.field-error').textContent = message || '';
+        control.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (message) control.setAttribute('aria-describedby', `sell-${name}-error`);
+        else control.removeAttribute('aria-describedby');
+    }
+
+    /**
+     * Read form values
+     */
+    getValues() {
+        const form = this.modal.querySelector('.sell-form');
+        return Object.fromEntries(new FormData(form).entries());
+    }
+
+    /**
+     * Fill the form from a saved draft
+     */
+    async restoreDraft() {
+        const draftKey = this.draftKey;
+        if (!draftKey) return;
+
+        let record = null;
+        try {
+            record = await loadDraft(draftKey);
+        } catch (error) {
+            console.warn('Drafts unavailable:', error);
+        }
+
+        // The form may have been closed or reopened while loading
+        if (!this.isOpen() || this.draftKey !== draftKey) return;
+        this.draftReady = true;
+        if (!record) return;
+
+        const form = this.modal.querySelector('.sell-form');
+        Object.entries(record.data.values || {}).forEach(([name, value]) => {
+            if (form.elements[name]) form.elements[name].value = value;
+        });
+        if (record.data.images) this.imageUpload.restoreDraft(record.data.images);
+        this.updateCourseHint();
+
+        const notice = this.modal.querySelector('.draft-notice');
+        notice.innerHTML = `
+            <span>📝 Restored your draft from ${formatRelativeTime(record.savedAt)}.</span>
+            <button type="button" class="btn-secondary btn-sm discard-draft-btn">Discard draft</button>
+        `;
+        notice.hidden = false;
+        notice.querySelector('.discard-draft-btn').addEventListener('click', () => this.discardDraft());
+    }
+
+    /**
+     * Delete the saved draft and start over from the listing (or a blank form)
+     */
+    async discardDraft() {
+        const draftKey = this.draftKey;
+        this.draftKey = null;
+        clearTimeout(this.draftTimer);
+
+        try {
+            await deleteDraft(draftKey);
+        } catch (error) {
+            console.warn('Could not delete draft:', error);
+        }
+
+        this.showModal(this.options);
+    }
+
+    /**
+     * Save the draft shortly after the last change
+     */
+    scheduleDraftSave() {
+        if (!this.draftKey || !this.draftReady) return;
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.saveDraftNow(), config.listing.draftSaveDelay);
+    }
+
+    /**
+     * Save a pending draft immediately
+     */
+    flushDraft() {
+        if (!this.draftTimer) return;
+        this.saveDraftNow();
+    }
+
+    /**
+     * Write the current form state to IndexedDB
+     */
+    saveDraftNow() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        if (!this.draftKey || !this.draftReady || !this.modal) return;
+
+        saveDraft(this.draftKey, {
+            values: this.getValues(),
+            images: this.imageUpload.getDraft()
+        }).catch(error => console.warn('Could not save draft:', error));
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal, keeping any unsaved changes in the draft
+     */
+    closeModal() {
+        this.flushDraft();
+
+        if (this.scanner) {
+            this.scanner.stop();
+            this.scanner = null;
+        }
+        if (this.pageHideHandler) {
+            window.removeEventListener('pagehide', this.pageHideHandler);
+            this.pageHideHandler = null;
+        }
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        if (this.imageUpload) {
+            this.imageUpload.reset();
+            this.imageUpload = null;
+        }
+        this.modal = null;
+        this.draftKey = null;
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Toast History Component
+ * Past notifications, for messages that disappeared before they were read
+ */
+
+import { escapeHTML, formatRelativeTime } from '../utils/helpers.js';
+import { TOAST_TYPES } from '../utils/toast.js';
+
+export class ToastHistoryComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Check if the history is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Show the history, or re-render it in place when already open
+     * entries: [{ id, message, type, createdAt }], newest first
+     * handlers: { onClear() }
+     */
+    showModal(entries, handlers) {
+        if (!this.isOpen()) {
+            this.modal = document.createElement('div');
+            this.modal.className = 'form-modal toast-history-modal';
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>🕘 Recent Notifications</h3>
+                        <button class="modal-close">✕</button>
+                    </div>
+                    <div class="modal-body"></div>
+                    <div class="modal-footer">
+                        <button class="btn-secondary clear-history-btn">Clear</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(this.modal);
+
+            this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal) this.dismiss();
+            });
+        }
+
+        const clearButton = this.modal.querySelector('.clear-history-btn');
+        clearButton.disabled = entries.length === 0;
+        clearButton.onclick = () => handlers.onClear();
+
+        this.modal.querySelector('.modal-body').innerHTML = entries.length === 0 ? `
+            <div class="empty-state">
+                <div class="empty-icon">🕘</div>
+                <p>Notifications from this visit will show up here.</p>
+            </div>
+        ` : `
+            <ul class="toast-history-list">
+                ${entries.map(entry => `
+                    <li class="toast-history-item toast-history-${entry.type}">
+                        <span class="toast-icon" aria-hidden="true">${TOAST_TYPES[entry.type].icon}</span>
+                        <span class="toast-history-text">
+                            <span class="sr-only">${TOAST_TYPES[entry.type].label}: </span>
+                            ${escapeHTML(entry.message)}
+                            <small>${formatRelativeTime(entry.createdAt)}</small>
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Wishlist Component
+ * Saved products with price-drop, back-in-stock and sold-out indicators
+ */
+
+import { getCategoryEmoji, formatCurrency, escapeHTML } from '../utils/helpers.js';
+import { getWishlistChanges } from '../utils/wishlist.js';
+
+export class WishlistComponent {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Check if the wishlist is open
+     */
+    isOpen() {
+        return !!(this.modal && this.modal.parentElement);
+    }
+
+    /**
+     * Update navbar count of saved items that got cheaper or came back in stock
+     */
+    updateBadge(count) {
+        const badge = document.querySelector('.wishlist-badge');
+        if (badge) {
+            badge.textContent = count;
+            badge.style.display = count > 0 ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Show the wishlist, or re-render it in place when already open
+     * items: [{ productId, product, savedPrice, savedQuantity }]
+     * handlers: { onView(productId), onAddToCart(productId), onRemove(productId) }
+     */
+    showModal(items, handlers) {
+        if (!this.isOpen()) {
+            this.modal = document.createElement('div');
+            this.modal.className = 'form-modal wishlist-modal';
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3></h3>
+                        <button class="modal-close">✕</button>
+                    </div>
+                    <div class="modal-body"></div>
+                </div>
+            `;
+
+            document.body.appendChild(this.modal);
+
+            this.modal.querySelector('.modal-close').addEventListener('click', () => this.dismiss());
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal) this.dismiss();
+            });
+        }
+
+        // Deleted listings come back without a product
+        const available = items.filter(item => item.product);
+
+        this.modal.querySelector('.modal-header h3').textContent = `❤️ My Wishlist (${available.length})`;
+        const body = this.modal.querySelector('.modal-body');
+        body.innerHTML = available.length === 0 ? `
+            <div class="empty-state">
+                <div class="empty-icon">🤍</div>
+                <h3>Nothing saved yet</h3>
+                <p>Tap the heart on any listing to keep an eye on its price and stock.</p>
+            </div>
+        ` : `
+            <div class="my-listings-container">
+                ${available.map(item => this.createItemCard(item)).join('')}
+            </div>
+        `;
+
+        body.querySelectorAll('.wishlist-card').forEach(card => {
+            const productId = card.dataset.productId;
+            card.querySelector('.view-btn').addEventListener('click', () => handlers.onView(productId));
+            card.querySelector('.add-to-cart-btn').addEventListener('click', () => handlers.onAddToCart(productId));
+            card.querySelector('.remove-btn').addEventListener('click', () => handlers.onRemove(productId));
+        });
+    }
+
+    /**
+     * Create one saved product row
+     */
+    createItemCard(item) {
+        const { product } = item;
+        const { priceDrop, backInStock, soldOut } = getWishlistChanges(item);
+
+        return `
+            <div class="my-listing-card wishlist-card" data-product-id="${product.id}">
+                <div class="listing-image">
+                    ${product.imageUrl
+                        ? `<img src="${escapeHTML(product.imageUrl)}" alt="${escapeHTML(product.title)}" />`
+                        : getCategoryEmoji(product.category)
+                    }
+                </div>
+                <div class="listing-info">
+                    <h4>${escapeHTML(product.title)}</h4>
+                    <p>${escapeHTML(product.courseCode || 'General')} • ${escapeHTML(product.condition || '')}</p>
+                    <div class="wishlist-indicators">
+                        ${priceDrop > 0 ? `<span class="wishlist-tag price-drop">⬇️ ${formatCurrency(priceDrop)} cheaper</span>` : ''}
+                        ${backInStock ? '<span class="wishlist-tag back-in-stock">✅ Back in stock</span>' : ''}
+                        ${soldOut ? '<span class="wishlist-tag sold-out">Out of stock</span>' : ''}
+                    </div>
+                    <strong>${formatCurrency(product.price)}</strong>
+                    ${priceDrop > 0 ? `<s class="wishlist-was">${formatCurrency(item.savedPrice)}</s>` : ''}
+                </div>
+                <div class="listing-actions">
+                    <button class="btn-primary btn-sm add-to-cart-btn" ${soldOut ? 'disabled' : ''}>🛒 Add to Cart</button>
+                    <button class="btn-secondary btn-sm view-btn">👁️ View</button>
+                    <button class="btn-secondary btn-sm remove-btn" title="Remove from wishlist">✕ Remove</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Close modal in response to user action and notify listener
+     */
+    dismiss() {
+        this.closeModal();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (this.modal && this.modal.parentElement) {
+            this.modal.remove();
+        }
+        this.modal = null;
+    }
+}
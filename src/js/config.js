@@ -8,10 +8,119 @@ export const config = {
     domain: 'yorku.ca',
     version: '1.0.0',
     debug: true,
+    logActions: false,  // Print every store action with before/after state
     apiBaseUrl: 'http://localhost:3001/api',
-    tokenKey: 'campusswap_token'
+    tokenKey: 'campusswap_token',
+    productsPageSize: 12,
+    relatedListingsLimit: 6,
+    imageUpload: {
+        maxImages: 8,
+        maxSourceSize: 30 * 1024 * 1024,  // Original photo from the device
+        maxUploadSize: 5 * 1024 * 1024,   // Server limit after compression
+        maxDimension: 1600,
+        quality: 0.85,
+        minQuality: 0.5,
+        timeout: 60000                     // ms before a stalled upload gives up
+    },
+    messaging: {
+        transport: 'polling',     // See services/message-transport.js
+        pollInterval: 15000,
+        maxPollInterval: 120000,  // Back-off ceiling while the API is failing
+        maxMessageLength: 2000
+    },
+    meetup: {
+        slotMinutes: 30,
+        daysAhead: 14,
+        minLeadMinutes: 120    // Earliest slot offered is this far from now
+    },
+    listing: {
+        titleMinLength: 5,
+        titleMaxLength: 100,
+        descriptionMaxLength: 2000,
+        authorMaxLength: 200,
+        editionMaxLength: 50,
+        maxPrice: 10000,
+        maxQuantity: 99,
+        draftSaveDelay: 500,   // Debounce for autosaving sell form drafts
+        importMaxRows: 200,    // CSV import limit per file
+        importBatchSize: 5     // Listings posted in parallel during a CSV import
+    },
+    books: {
+        providers: ['local', 'openlibrary']   // ISBN lookup order, see book-metadata.service.js
+    },
+    courses: {
+        maxEnrolled: 10,         // Courses a student can list on "My Courses"
+        materialsPerCourse: 12,  // Listings shown per course on "My Courses"
+        suggestionLimit: 8       // Course-code autocomplete results
+    },
+    sales: {
+        pollInterval: 60000,   // How often a signed-in seller's incoming orders are refreshed
+        maxPollInterval: 300000
+    },
+    notifications: {
+        transport: 'polling',  // See services/message-transport.js
+        pollInterval: 60000,
+        maxPollInterval: 300000,
+        maxStored: 50          // Newest notifications kept in the centre
+    },
+    cart: {
+        updateDelay: 400,      // ms to wait for more +/- clicks before sending the quantity
+        reservationMinutes: 10 // Stock held for the buyer while they pay
+    },
+    payments: {
+        methods: ['card', 'etransfer', 'cash'],  // Offered at checkout, in this order
+        cardGateway: 'gateway',  // 'mock' for the in-browser test gateway (only with debug on)
+        timeout: 20000,          // ms before giving up on a provider
+        etransfer: {
+            recipient: 'payments@campusswap.ca'
+        },
+        mock: {
+            latency: 800         // Simulated gateway round trip
+        }
+    },
+    toasts: {
+        maxVisible: 4,         // More wait in a queue
+        historySize: 30,
+        actionDuration: 8000,  // Minimum for toasts with an Undo / Retry / View button
+        durations: {           // ms on screen by severity; 0 = until dismissed
+            success: 4000,
+            info: 5000,
+            warning: 8000,
+            error: 10000
+        }
+    }
 };
 
+/**
+ * Approved meetup spots on York campuses
+ * Public, staffed, well-lit places; edit this list to add or retire spots
+ */
+export const meetupSpots = [
+    { id: 'scott-library', name: 'Scott Library', details: 'Main entrance, Ross Building side' },
+    { id: 'vari-hall', name: 'Vari Hall', details: 'Rotunda, by the information desk' },
+    { id: 'york-lanes', name: 'York Lanes', details: 'Centre court seating area' },
+    { id: 'student-centre', name: 'Student Centre', details: 'Main floor food court' },
+    { id: 'steacie-library', name: 'Steacie Science & Engineering Library', details: 'Ground floor lobby' },
+    { id: 'bergeron-centre', name: 'Bergeron Centre', details: 'Front atrium' },
+    { id: 'york-station', name: 'York University Station', details: 'Street-level entrance by Vari Hall' },
+    { id: 'glendon-york-hall', name: 'Glendon York Hall', details: 'Main lobby (Glendon campus)' }
+];
+
+// Listing categories by slug; the API needs the category ID (see listing.service.js)
+export const listingCategories = [
+    { slug: 'textbooks', label: 'Textbooks' },
+    { slug: 'electronics', label: 'Electronics' },
+    { slug: 'lab-equipment', label: 'Lab Equipment' },
+    { slug: 'stationery', label: 'Stationery' }
+];
+
+export const listingConditions = [
+    { value: 'LIKE_NEW', label: 'Like New' },
+    { value: 'EXCELLENT', label: 'Excellent' },
+    { value: 'GOOD', label: 'Good' },
+    { value: 'FAIR', label: 'Fair' }
+];
+
 export const categoryEmojis = {
     'textbooks': '📖',
     'electronics': '💻',
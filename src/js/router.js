@@ -0,0 +1,189 @@
+/**
+ * Router
+ * Hash-based client-side router so views can be bookmarked, shared
+ * and restored with the browser back/forward buttons
+ *
+ * Routes look like `#/product/:id` or `#/admin/sales?start=2025-01-01`.
+ * Plain anchors such as `#about` are left alone for in-page scrolling.
+ */
+
+class Router {
+    constructor() {
+        this.routes = [];
+        this.notFoundHandler = null;
+        this.currentRoute = null;
+        this.started = false;
+    }
+
+    /**
+     * Register a route pattern (e.g. '/product/:id') and its handler
+     */
+    on(pattern, handler) {
+        const paramNames = [];
+        const source = pattern
+            .replace(/\/+$/, '')
+            .replace(/:([a-zA-Z_]+)/g, (_, name) => {
+                paramNames.push(name);
+                return '([^/]+)';
+            });
+
+        this.routes.push({
+            pattern,
+            regex: new RegExp(`^${source || ''}/?$`),
+            paramNames,
+            handler
+        });
+
+        return this;
+    }
+
+    /**
+     * Register a handler for paths that match no route
+     */
+    notFound(handler) {
+        this.notFoundHandler = handler;
+        return this;
+    }
+
+    /**
+     * Start listening for hash changes and resolve the current URL
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+
+    /**
+     * Navigate to a path, optionally replacing the current history entry
+     */
+    navigate(path, { replace = false } = {}) {
+        const hash = `#${path}`;
+
+        if (window.location.hash === hash) {
+            this.resolve();
+            return;
+        }
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+            this.resolve();
+        } else {
+            window.location.hash = path;
+        }
+    }
+
+    /**
+     * Update the URL without running any route handler
+     * Used when a view changes its own state (e.g. switching admin tabs)
+     */
+    replace(path) {
+        history.replaceState(null, '', `#${path}`);
+        this.currentRoute = this.match(path);
+    }
+
+    /**
+     * Go back one entry in the browser history
+     */
+    back() {
+        history.back();
+    }
+
+    /**
+     * Get the current route path (without the leading '#')
+     */
+    getCurrentPath() {
+        const hash = window.location.hash;
+        return hash.startsWith('#/') ? hash.slice(1) : '/';
+    }
+
+    /**
+     * Check if the URL currently points at a route pathname
+     * In-page anchors never match
+     */
+    isCurrent(pathname) {
+        const hash = window.location.hash;
+        if (hash && !hash.startsWith('#/')) return false;
+        return this.parse(this.getCurrentPath()).pathname === pathname;
+    }
+
+    /**
+     * Split a path into pathname and query object
+     */
+    parse(path) {
+        const [pathname, queryString = ''] = path.split('?');
+        const query = Object.fromEntries(new URLSearchParams(queryString));
+        return { pathname: pathname || '/', query };
+    }
+
+    /**
+     * Find the route matching a path
+     * Malformed escapes (e.g. #/product/%E0) count as no match
+     */
+    match(path) {
+        const { pathname, query } = this.parse(path);
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(pathname);
+            if (!result) continue;
+
+            const params = {};
+            try {
+                route.paramNames.forEach((name, i) => {
+                    params[name] = decodeURIComponent(result[i + 1]);
+                });
+            } catch (error) {
+                if (error instanceof URIError) return null;
+                throw error;
+            }
+
+            return { route, path, pathname, params, query };
+        }
+
+        return null;
+    }
+
+    /**
+     * Run the handler for the current URL
+     */
+    async resolve() {
+        const hash = window.location.hash;
+
+        // In-page anchors (#about, #browse) are not routes
+        if (hash && !hash.startsWith('#/')) return;
+
+        const path = this.getCurrentPath();
+        const match = this.match(path);
+        const previous = this.currentRoute;
+        this.currentRoute = match;
+
+        try {
+            if (match) {
+                await match.route.handler({ ...match, previous });
+            } else if (this.notFoundHandler) {
+                await this.notFoundHandler({ path, previous });
+            }
+        } catch (error) {
+            console.error(`Error resolving route ${path}:`, error);
+        }
+    }
+}
+
+/**
+ * Build a route path with an optional query string
+ */
+export function buildPath(pathname, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.append(key, value);
+        }
+    });
+
+    const queryString = params.toString();
+    return queryString ? `${pathname}?${queryString}` : pathname;
+}
+
+export default new Router();
@@ -40,18 +40,52 @@ class APIService {
     }
 
     // Product APIs
-    async getProducts(sortBy = '', sortOrder = '') {
+
+    /**
+     * Get a page of products matching a query
+     * Query keys: searchTerm, category, condition, minPrice, maxPrice,
+     * courseCode, sellerId, page, cursor, pageSize, sortBy, sortOrder
+     * Response: { data: [...], pagination: { page, pageSize, total, totalPages, nextCursor } }
+     */
+    async getProducts(query = {}) {
+        const paramNames = {
+            searchTerm: 'search',
+            category: 'category',
+            condition: 'condition',
+            minPrice: 'minPrice',
+            maxPrice: 'maxPrice',
+            courseCode: 'courseCode',
+            sellerId: 'sellerId',
+            page: 'page',
+            cursor: 'cursor',
+            pageSize: 'limit',
+            sortBy: 'sortBy',
+            sortOrder: 'sortOrder'
+        };
+
         let url = '/products';
         const params = new URLSearchParams();
-        
-        if (sortBy) params.append('sortBy', sortBy);
-        if (sortOrder) params.append('sortOrder', sortOrder);
+
+        Object.entries(paramNames).forEach(([key, param]) => {
+            const value = query[key];
+            if (value === undefined || value === null || value === '') return;
+            if (key === 'category' && value === 'all') return;
+            params.append(param, value);
+        });
         
         if (params.toString()) url += `?${params.toString()}`;
         
         return this.fetch(url);
     }
 
+    async getMyListings() {
+        return this.fetch('/products/my-listings');
+    }
+
+    async getProduct(productId) {
+        return this.fetch(`/products/${encodeURIComponent(productId)}`);
+    }
+
     async createProduct(productData) {
         return this.fetch('/products', {
             method: 'POST',
@@ -60,43 +94,153 @@ class APIService {
     }
 
     async updateProduct(productId, productData) {
-        return this.fetch(`/products/${productId}`, {
+        return this.fetch(`/products/${encodeURIComponent(productId)}`, {
             method: 'PUT',
             body: JSON.stringify(productData)
         });
     }
 
     async deleteProduct(productId) {
-        return this.fetch(`/products/${productId}`, {
+        return this.fetch(`/products/${encodeURIComponent(productId)}`, {
             method: 'DELETE'
         });
     }
 
     /**
      * Upload product image
+     * Uses XHR so callers can follow upload progress via onProgress(fraction)
      */
-    async uploadProductImage(file) {
+    uploadProductImage(file, { onProgress } = {}) {
         const formData = new FormData();
         formData.append('image', file);
 
-        const token = localStorage.getItem(this.tokenKey);
-        const headers = {};
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${this.baseUrl}/products/upload`);
+            xhr.timeout = config.imageUpload.timeout;
+
+            const token = localStorage.getItem(this.tokenKey);
+            if (token) {
+                xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+            }
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded / e.total);
+                });
+            }
+
+            xhr.addEventListener('load', () => {
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject(new Error(`API ${xhr.status}: ${xhr.responseText}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(xhr.responseText));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            xhr.addEventListener('error', () => reject(new Error('Network error during upload')));
+            xhr.addEventListener('timeout', () => reject(new Error('Upload timed out. Check your connection and try again.')));
+            xhr.addEventListener('abort', () => reject(new Error('Upload cancelled')));
+
+            xhr.send(formData);
+        });
+    }
+
+    // Message APIs
+    async getConversations() {
+        return this.fetch('/messages/conversations');
+    }
+
+    async getConversationMessages(conversationId, { after } = {}) {
+        const params = after ? `?after=${encodeURIComponent(after)}` : '';
+        return this.fetch(`/messages/conversations/${encodeURIComponent(conversationId)}/messages${params}`);
+    }
 
-        const response = await fetch(`${this.baseUrl}/products/upload`, {
+    /**
+     * Send a message
+     * Pass conversationId to reply, or productId + recipientId to start a conversation
+     */
+    async sendMessage({ conversationId, productId, recipientId, body }) {
+        return this.fetch('/messages', {
             method: 'POST',
-            headers: headers,
-            body: formData
+            body: JSON.stringify({ conversationId, productId, recipientId, body })
         });
+    }
 
-        if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`API ${response.status}: ${text}`);
-        }
+    async markConversationRead(conversationId) {
+        return this.fetch(`/messages/conversations/${encodeURIComponent(conversationId)}/read`, {
+            method: 'POST'
+        });
+    }
 
-        return response.json();
+    // Wishlist APIs
+    // Items: { productId, product, savedPrice, savedQuantity, createdAt }
+    async getWishlist() {
+        return this.fetch('/wishlist');
+    }
+
+    async addToWishlist(productId) {
+        return this.fetch('/wishlist', {
+            method: 'POST',
+            body: JSON.stringify({ productId })
+        });
+    }
+
+    async removeFromWishlist(productId) {
+        return this.fetch(`/wishlist/${encodeURIComponent(productId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Add several products at once (likes saved on this device before signing in)
+     * Already-saved and deleted products are skipped by the server
+     */
+    async importWishlist(productIds) {
+        return this.fetch('/wishlist/import', {
+            method: 'POST',
+            body: JSON.stringify({ productIds })
+        });
+    }
+
+    // Notification APIs
+    // Notification: { id, type: 'PRICE_DROP' | 'BACK_IN_STOCK', product, oldPrice, newPrice, read, createdAt }
+    async getNotifications({ after } = {}) {
+        const params = after ? `?after=${encodeURIComponent(after)}` : '';
+        return this.fetch(`/notifications${params}`);
+    }
+
+    async markNotificationsRead(ids) {
+        return this.fetch('/notifications/read', {
+            method: 'POST',
+            body: JSON.stringify({ ids })
+        });
+    }
+
+    // Product watches ("notify me"): { productId, events: ['PRICE_DROP', 'BACK_IN_STOCK'] }
+    async getWatches() {
+        return this.fetch('/notifications/watches');
+    }
+
+    async watchProduct(productId, events) {
+        return this.fetch(`/products/${encodeURIComponent(productId)}/watch`, {
+            method: 'PUT',
+            body: JSON.stringify({ events })
+        });
+    }
+
+    async unwatchProduct(productId) {
+        return this.fetch(`/products/${encodeURIComponent(productId)}/watch`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Search APIs
+    async getTrendingSearches(limit = 5) {
+        return this.fetch(`/search/trending?limit=${limit}`);
     }
 
     // Cart APIs
@@ -131,6 +275,52 @@ class APIService {
         });
     }
 
+    async reserveCart(items) {
+        return this.fetch('/cart/reservations', {
+            method: 'POST',
+            body: JSON.stringify({ items })
+        });
+    }
+
+    async releaseReservation(reservationId) {
+        return this.fetch(`/cart/reservations/${encodeURIComponent(reservationId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Payment APIs
+    async authorizePayment(paymentData) {
+        return this.fetch('/payments', {
+            method: 'POST',
+            body: JSON.stringify(paymentData)
+        });
+    }
+
+    async confirmPayment(paymentId, data) {
+        return this.fetch(`/payments/${encodeURIComponent(paymentId)}/confirm`, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async capturePayment(paymentId, amount) {
+        return this.fetch(`/payments/${encodeURIComponent(paymentId)}/capture`, {
+            method: 'POST',
+            body: JSON.stringify({ amount })
+        });
+    }
+
+    async refundPayment(paymentId, amount) {
+        return this.fetch(`/payments/${encodeURIComponent(paymentId)}/refund`, {
+            method: 'POST',
+            body: JSON.stringify({ amount })
+        });
+    }
+
+    async getPayment(paymentId) {
+        return this.fetch(`/payments/${encodeURIComponent(paymentId)}`);
+    }
+
     // Order APIs
     async createOrder(orderData) {
         return this.fetch('/orders', {
@@ -143,6 +333,50 @@ class APIService {
         return this.fetch('/orders');
     }
 
+    async getPurchases() {
+        return this.fetch('/orders/purchases');
+    }
+
+    async getSales() {
+        return this.fetch('/orders/sales');
+    }
+
+    async getOrder(orderId) {
+        return this.fetch(`/orders/${encodeURIComponent(orderId)}`);
+    }
+
+    async updateOrderStatus(orderId, status) {
+        return this.fetch(`/orders/${encodeURIComponent(orderId)}/status`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status })
+        });
+    }
+
+    // Meetup APIs
+    async getSellerAvailability(sellerId) {
+        return this.fetch(`/users/${encodeURIComponent(sellerId)}/availability`);
+    }
+
+    async updateAvailability(windows) {
+        return this.fetch('/users/me/availability', {
+            method: 'PUT',
+            body: JSON.stringify({ windows })
+        });
+    }
+
+    async proposeMeetup(orderId, meetup) {
+        return this.fetch(`/orders/${encodeURIComponent(orderId)}/meetup`, {
+            method: 'POST',
+            body: JSON.stringify(meetup)
+        });
+    }
+
+    async confirmMeetup(orderId) {
+        return this.fetch(`/orders/${encodeURIComponent(orderId)}/meetup/confirm`, {
+            method: 'POST'
+        });
+    }
+
     // Auth APIs
     async login(email, password) {
         return this.fetch('/auth/login', {
@@ -182,7 +416,7 @@ class APIService {
     }
 
     async updateProductQuantity(productId, quantity) {
-        return this.fetch(`/admin/products/${productId}/quantity`, {
+        return this.fetch(`/admin/products/${encodeURIComponent(productId)}/quantity`, {
             method: 'PUT',
             body: JSON.stringify({ quantity })
         });
@@ -193,7 +427,7 @@ class APIService {
     }
 
     async toggleAdminStatus(userId) {
-        return this.fetch(`/admin/users/${userId}/toggle-admin`, {
+        return this.fetch(`/admin/users/${encodeURIComponent(userId)}/toggle-admin`, {
             method: 'PUT'
         });
     }
@@ -5,11 +5,18 @@
 
 import { config } from '../config.js';
 import apiService from './api.service.js';
+import store, { actions, selectCurrentUser } from '../store.js';
 
 class AuthService {
     constructor() {
         this.tokenKey = config.tokenKey;
-        this.currentUser = null;
+    }
+
+    /**
+     * Get the user held in the store (no API call)
+     */
+    getUser() {
+        return selectCurrentUser(store.getState());
     }
 
     /**
@@ -48,7 +55,7 @@ class AuthService {
         
         if (response.data && response.data.token) {
             this.setToken(response.data.token);
-            this.currentUser = response.data.user;
+            store.dispatch(actions.setUser(response.data.user));
         }
         
         return response;
@@ -62,7 +69,7 @@ class AuthService {
         
         if (response.data && response.data.token) {
             this.setToken(response.data.token);
-            this.currentUser = response.data.user;
+            store.dispatch(actions.setUser(response.data.user));
         }
         
         return response;
@@ -73,7 +80,7 @@ class AuthService {
      */
     logout() {
         this.removeToken();
-        this.currentUser = null;
+        store.dispatch(actions.setUser(null));
     }
 
     /**
@@ -86,8 +93,8 @@ class AuthService {
 
         try {
             const response = await apiService.getCurrentUser();
-            this.currentUser = response.data;
-            return this.currentUser;
+            store.dispatch(actions.setUser(response.data));
+            return this.getUser();
         } catch (error) {
             // Token invalid or expired
             this.logout();
@@ -99,7 +106,7 @@ class AuthService {
      * Check if current user is admin
      */
     isAdmin() {
-        return this.currentUser?.isAdmin || false;
+        return this.getUser()?.isAdmin || false;
     }
 }
 
@@ -0,0 +1,112 @@
+/**
+ * Book Metadata Service
+ * Looks up a textbook's title, authors and edition by ISBN to prefill the sell form
+ *
+ * A provider implements:
+ *   name
+ *   requiresNetwork   skipped while the browser is offline
+ *   lookup(isbn13)    resolves to { title, authors, edition, publisher, year } or null
+ *
+ * Providers are tried in config.books.providers order; the first match wins.
+ * Register another source (e.g. the campus bookstore) with registerProvider().
+ */
+
+import { config } from '../config.js';
+import { toISBN13 } from '../utils/isbn.js';
+
+/**
+ * Bundled JSON list of common course textbooks, used offline and as a stand-in
+ */
+export class LocalBookProvider {
+    constructor(url) {
+        this.name = 'local';
+        this.requiresNetwork = false;
+        this.url = url;
+        this.books = null;
+    }
+
+    async lookup(isbn) {
+        if (!this.books) {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`Could not load ${this.url}`);
+            this.books = await response.json();
+        }
+        return this.books.find(book => book.isbn === isbn) || null;
+    }
+}
+
+/**
+ * Open Library books API (https://openlibrary.org/dev/docs/api/books)
+ */
+export class OpenLibraryProvider {
+    constructor() {
+        this.name = 'openlibrary';
+        this.requiresNetwork = true;
+    }
+
+    async lookup(isbn) {
+        const key = `ISBN:${isbn}`;
+        const response = await fetch(`https://openlibrary.org/api/books?bibkeys=${key}&format=json&jscmd=details`);
+        if (!response.ok) throw new Error(`Open Library ${response.status}`);
+
+        const details = (await response.json())[key]?.details;
+        if (!details) return null;
+
+        const year = parseInt((details.publish_date || '').match(/\d{4}/)?.[0], 10);
+        return {
+            title: details.subtitle ? `${details.title}: ${details.subtitle}` : details.title,
+            authors: (details.authors || []).map(author => author.name),
+            edition: details.edition_name || '',
+            publisher: details.publishers?.[0] || '',
+            year: Number.isNaN(year) ? null : year
+        };
+    }
+}
+
+class BookMetadataService {
+    constructor() {
+        this.providers = new Map();
+        this.cache = new Map();
+
+        this.registerProvider(new LocalBookProvider(new URL('../../data/books.json', import.meta.url)));
+        this.registerProvider(new OpenLibraryProvider());
+    }
+
+    /**
+     * Add or replace a provider by name
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * Look up a book by ISBN-10 or ISBN-13
+     * Resolves to { isbn, title, authors, edition, publisher, year, source } or null
+     */
+    async lookup(value) {
+        const isbn = toISBN13(value);
+        if (!isbn) throw new Error('Enter a valid ISBN-10 or ISBN-13');
+        if (this.cache.has(isbn)) return this.cache.get(isbn);
+
+        for (const name of config.books.providers) {
+            const provider = this.providers.get(name);
+            if (!provider || (provider.requiresNetwork && !navigator.onLine)) continue;
+
+            try {
+                const book = await provider.lookup(isbn);
+                if (book) {
+                    const result = { ...book, isbn, source: provider.name };
+                    this.cache.set(isbn, result);
+                    return result;
+                }
+            } catch (error) {
+                // Fall through to the next provider
+                console.warn(`Book lookup via ${name} failed:`, error);
+            }
+        }
+
+        return null;
+    }
+}
+
+export default new BookMetadataService();
@@ -1,111 +1,422 @@
 /**
  * Cart Service
  * Manages shopping cart state and operations
+ *
+ * Changes are applied to the store first and rolled back if the API refuses them,
+ * so the cart responds to every click without waiting for the server.
+ *
+ * Guests get a cart on this device, kept under the key the legacy main.js used
+ * ('campusswap_cart'); mergeGuestCart() moves it into the account on sign-in.
  */
 
 import apiService from './api.service.js';
 import authService from './auth.service.js';
+import { config } from '../config.js';
+import { getItemSeller, getAvailableQuantity, getStockIssues } from '../utils/cart.js';
+import store, { actions, selectCartItems, selectCartTotal, selectCartCount } from '../store.js';
+
+const GUEST_CART_KEY = 'campusswap_cart';
 
 class CartService {
     constructor() {
-        this.cart = [];
+        this.pendingUpdates = new Map();  // productId -> { timer, confirmed, resolve }
+        this.reservation = null;          // { id, expiresAt } while stock is held for payment
     }
 
     /**
-     * Load cart from API
+     * Replace cart items in the store (and on this device for guests)
      */
-    async loadCart() {
+    setCart(items) {
+        store.dispatch(actions.setCartItems(items));
+
         if (!authService.isAuthenticated()) {
-            this.cart = [];
+            try {
+                localStorage.setItem(GUEST_CART_KEY, JSON.stringify(items));
+            } catch (error) {
+                console.warn('Failed to save cart to storage:', error);
+            }
+        }
+    }
+
+    /**
+     * Items in this device's guest cart
+     */
+    getGuestCart() {
+        try {
+            const items = JSON.parse(localStorage.getItem(GUEST_CART_KEY) || '[]');
+            return items.filter(item => item.productId && item.quantity > 0);
+        } catch (error) {
             return [];
         }
+    }
+
+    /**
+     * Load cart from API (or this device's guest cart)
+     */
+    async loadCart() {
+        if (!authService.isAuthenticated()) {
+            this.setCart(this.getGuestCart());
+            return this.getCart();
+        }
 
         try {
             const response = await apiService.getCart();
             
             if (response.success) {
-                this.cart = response.data.items.map(item => ({
+                this.setCart(response.data.items.map(item => ({
                     productId: item.productId,
                     quantity: item.quantity,
                     dateAdded: item.createdAt,
                     product: item.product
-                }));
+                })));
             }
             
-            return this.cart;
+            return this.getCart();
         } catch (error) {
             console.error('Error loading cart:', error);
-            this.cart = [];
+            this.setCart([]);
             return [];
         }
     }
 
+    /**
+     * Put one item back as it was (null removes it), leaving other items alone
+     * so rolling back one request can't undo another that succeeded
+     */
+    restoreItem(productId, item, index = -1) {
+        const cart = this.getCart().filter(entry => entry.productId !== productId);
+        if (item) {
+            cart.splice(index >= 0 ? Math.min(index, cart.length) : cart.length, 0, item);
+        }
+        this.setCart(cart);
+    }
+
     /**
      * Add item to cart
+     * Shows in the cart straight away and is taken out again if the API fails
      */
-    async addItem(productId, quantity = 1) {
-        if (!authService.isAuthenticated()) {
-            throw new Error('Please login to add items to cart');
+    async addItem(productId, quantity = 1, product = null) {
+        const cart = this.getCart();
+        const index = cart.findIndex(entry => entry.productId === productId);
+        const previous = cart[index] || null;
+
+        // Fold into an unsent quantity change rather than racing it
+        if (previous && this.pendingUpdates.has(productId)) {
+            return this.updateQuantity(productId, previous.quantity + quantity);
         }
 
-        const response = await apiService.addToCart(productId, quantity);
-        await this.loadCart();
-        return response;
+        const next = previous
+            ? { ...previous, quantity: previous.quantity + quantity }
+            : { productId, quantity, dateAdded: new Date().toISOString(), product };
+
+        const available = getAvailableQuantity(next);
+        if (next.quantity > available) {
+            throw new Error(available === 0 ? 'This item is sold out' : `Only ${available} available`);
+        }
+
+        this.restoreItem(productId, next, index);
+        if (!authService.isAuthenticated()) return null;
+
+        try {
+            return await apiService.addToCart(productId, quantity);
+        } catch (error) {
+            this.restoreItem(productId, previous, index);
+            throw error;
+        }
     }
 
     /**
      * Update cart item quantity
+     * The cart changes immediately; the API call waits config.cart.updateDelay ms
+     * so a burst of +/- clicks sends one update with the final quantity.
+     * Resolves null for calls overtaken by a newer one before anything was sent.
      */
-    async updateQuantity(productId, quantity) {
+    updateQuantity(productId, quantity) {
         if (quantity <= 0) {
             return this.removeItem(productId);
         }
 
-        const response = await apiService.updateCartItem(productId, quantity);
-        await this.loadCart();
-        return response;
+        const cart = this.getCart();
+        const index = cart.findIndex(entry => entry.productId === productId);
+        if (index === -1) return Promise.resolve(null);
+
+        // Going down is always allowed so over-stock lines can be fixed
+        const available = getAvailableQuantity(cart[index]);
+        if (quantity > cart[index].quantity && quantity > available) {
+            return Promise.reject(new Error(`Only ${available} available`));
+        }
+
+        // Remember what the server last agreed to, for rollback
+        const pending = this.cancelPendingUpdate(productId) || { confirmed: cart[index] };
+        this.restoreItem(productId, { ...cart[index], quantity }, index);
+        if (!authService.isAuthenticated()) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            pending.resolve = resolve;
+            pending.timer = setTimeout(async () => {
+                this.pendingUpdates.delete(productId);
+                try {
+                    resolve(await apiService.updateCartItem(productId, quantity));
+                } catch (error) {
+                    const current = this.getCart();
+                    const currentIndex = current.findIndex(entry => entry.productId === productId);
+                    if (currentIndex !== -1) {
+                        this.restoreItem(productId, pending.confirmed, currentIndex);
+                    }
+                    reject(error);
+                }
+            }, config.cart.updateDelay);
+            this.pendingUpdates.set(productId, pending);
+        });
+    }
+
+    /**
+     * Drop a quantity update that hasn't been sent yet
+     * Returns it so the caller can reuse its last confirmed item
+     */
+    cancelPendingUpdate(productId) {
+        const pending = this.pendingUpdates.get(productId);
+        if (!pending) return null;
+
+        clearTimeout(pending.timer);
+        pending.resolve(null);
+        this.pendingUpdates.delete(productId);
+        return pending;
     }
 
     /**
      * Remove item from cart
+     * Returns the removed entries ([{ item, index }]) for restoreItems()
      */
     async removeItem(productId) {
-        const response = await apiService.removeFromCart(productId);
-        await this.loadCart();
-        return response;
+        const pending = this.cancelPendingUpdate(productId);
+        const cart = this.getCart();
+        const index = cart.findIndex(entry => entry.productId === productId);
+        if (index === -1) return [];
+
+        // An unsent quantity change never reached the server; undo brings back the chosen quantity
+        const item = cart[index];
+        this.restoreItem(productId, null);
+        if (!authService.isAuthenticated()) return [{ item, index }];
+
+        try {
+            await apiService.removeFromCart(productId);
+        } catch (error) {
+            this.restoreItem(productId, pending ? pending.confirmed : item, index);
+            throw error;
+        }
+        return [{ item, index }];
     }
 
     /**
      * Clear entire cart
+     * Returns the removed entries ([{ item, index }]) for restoreItems()
      */
     async clearCart() {
-        const response = await apiService.clearCart();
-        this.cart = [];
-        return response;
+        [...this.pendingUpdates.keys()].forEach(productId => this.cancelPendingUpdate(productId));
+
+        const removed = this.getCart().map((item, index) => ({ item, index }));
+        this.setCart([]);
+        if (!authService.isAuthenticated()) return removed;
+
+        try {
+            await apiService.clearCart();
+        } catch (error) {
+            this.setCart(removed.map(entry => entry.item));
+            throw error;
+        }
+        return removed;
+    }
+
+    /**
+     * Forget the signed-in user's cart on sign-out
+     * Only the copy in memory goes: the account cart stays on the server and the
+     * guest cart saved on this device is kept for the next sign-in
+     */
+    reset() {
+        [...this.pendingUpdates.keys()].forEach(productId => this.cancelPendingUpdate(productId));
+        this.reservation = null;
+        store.dispatch(actions.setCartItems([]));
+    }
+
+    /**
+     * Put removed items back in their old places (undo for removeItem / clearCart)
+     * Items the API won't take back are dropped again
+     */
+    async restoreItems(removed) {
+        removed.forEach(({ item, index }) => this.restoreItem(item.productId, item, index));
+        if (!authService.isAuthenticated()) return;
+
+        const results = await Promise.allSettled(
+            removed.map(({ item }) => apiService.addToCart(item.productId, item.quantity))
+        );
+
+        const failed = removed.filter((entry, i) => results[i].status === 'rejected');
+        failed.forEach(({ item }) => this.restoreItem(item.productId, null));
+        if (failed.length > 0) {
+            throw new Error(`Could not restore ${failed.length} item${failed.length === 1 ? '' : 's'}`);
+        }
+    }
+
+    /**
+     * Move the guest cart into the signed-in user's cart
+     * Quantities for products already in the account cart are added together and
+     * capped at what's in stock; sold-out, removed and own listings are left out.
+     * Items the API refuses stay in the guest cart for the next sign-in.
+     * Returns null when there was nothing to merge, else
+     * { merged: [{ title, quantity }], reduced: [{ title, requested, quantity }],
+     *   skipped: [{ title, reason }], failed: [{ title }] }
+     */
+    async mergeGuestCart() {
+        const guestItems = this.getGuestCart();
+        if (guestItems.length === 0) {
+            await this.loadCart();
+            return null;
+        }
+
+        const accountItems = await this.loadCart();
+        const userId = authService.getUser()?.id;
+        const summary = { merged: [], reduced: [], skipped: [], failed: [] };
+        const leftover = [];
+
+        // Current stock and price; the copy saved with the guest cart may be stale
+        const products = await Promise.allSettled(guestItems.map(item => apiService.getProduct(item.productId)));
+
+        const requests = guestItems.map((item, i) => {
+            const product = products[i].status === 'fulfilled' ? products[i].value.data : null;
+            const title = product?.title || item.product?.title || 'An item';
+            const existing = accountItems.find(entry => entry.productId === item.productId);
+            const requested = (existing?.quantity || 0) + item.quantity;
+
+            if (!product) {
+                summary.skipped.push({ title, reason: 'no longer listed' });
+                return null;
+            }
+            if (getItemSeller({ product }).id === userId) {
+                summary.skipped.push({ title, reason: 'your own listing' });
+                return null;
+            }
+
+            const quantity = Math.min(requested, product.quantity);
+            if (quantity <= (existing?.quantity || 0)) {
+                summary.skipped.push({ title, reason: existing ? 'already in your cart at the most available' : 'out of stock' });
+                return null;
+            }
+
+            const request = existing
+                ? apiService.updateCartItem(item.productId, quantity)
+                : apiService.addToCart(item.productId, quantity);
+
+            return request.then(
+                () => {
+                    if (quantity < requested) summary.reduced.push({ title, requested, quantity });
+                    else summary.merged.push({ title, quantity: item.quantity });
+                },
+                (error) => {
+                    console.error('Error merging cart item:', error);
+                    summary.failed.push({ title });
+                    leftover.push(item);
+                }
+            );
+        });
+
+        await Promise.all(requests);
+
+        try {
+            if (leftover.length > 0) {
+                localStorage.setItem(GUEST_CART_KEY, JSON.stringify(leftover));
+            } else {
+                localStorage.removeItem(GUEST_CART_KEY);
+            }
+        } catch (error) {
+            console.warn('Failed to save cart to storage:', error);
+        }
+
+        await this.loadCart();
+        return summary;
+    }
+
+    /**
+     * Re-fetch every cart product so stock and prices are current
+     * Returns the lines asking for more than is now available ([{ item, available }])
+     */
+    async refreshAvailability() {
+        const cart = this.getCart();
+        const results = await Promise.allSettled(cart.map(item => apiService.getProduct(item.productId)));
+
+        const fresh = new Map();
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled' && result.value.data) {
+                fresh.set(cart[i].productId, result.value.data);
+            } else if (result.status === 'rejected') {
+                console.warn('Could not refresh cart item:', result.reason);
+            }
+        });
+
+        // Map over the current cart in case it changed while fetching
+        this.setCart(this.getCart().map(item => (fresh.has(item.productId)
+            ? { ...item, product: { ...item.product, ...fresh.get(item.productId) } }
+            : item
+        )));
+
+        return getStockIssues(this.getCart());
+    }
+
+    /**
+     * Hold the cart's stock for config.cart.reservationMinutes while the user pays
+     * Rejects if the server can't hold everything (e.g. something just sold out)
+     */
+    async reserve() {
+        await this.releaseReservation();
+
+        const response = await apiService.reserveCart(this.getCart().map(item => ({
+            productId: item.productId,
+            quantity: item.quantity
+        })));
+
+        this.reservation = {
+            id: response.data.id,
+            expiresAt: response.data.expiresAt
+                || new Date(Date.now() + config.cart.reservationMinutes * 60 * 1000).toISOString()
+        };
+        return this.reservation;
+    }
+
+    /**
+     * Give held stock back (payment cancelled or the hold ran out)
+     */
+    async releaseReservation() {
+        const reservation = this.reservation;
+        if (!reservation) return;
+        this.reservation = null;
+
+        try {
+            await apiService.releaseReservation(reservation.id);
+        } catch (error) {
+            // The hold expires on its own
+            console.warn('Failed to release reservation:', error);
+        }
     }
 
     /**
      * Get cart total
      */
     getTotal() {
-        return this.cart.reduce((total, item) => {
-            const price = parseFloat(item.product?.price || 0);
-            return total + (price * item.quantity);
-        }, 0);
+        return selectCartTotal(store.getState());
     }
 
     /**
      * Get cart item count
      */
     getItemCount() {
-        return this.cart.reduce((count, item) => count + item.quantity, 0);
+        return selectCartCount(store.getState());
     }
 
     /**
      * Get current cart
      */
     getCart() {
-        return this.cart;
+        return selectCartItems(store.getState());
     }
 }
 
@@ -0,0 +1,225 @@
+/**
+ * Course Service
+ * Course registry loaded from data/courses.json, browsing by faculty and term,
+ * and each student's enrolled courses with the listings that match them
+ *
+ * The JSON has one record per offering: { faculty, code, title, term }.
+ * Offerings are merged into courses: { code, title, faculty, terms: [] }.
+ */
+
+import apiService from './api.service.js';
+import authService from './auth.service.js';
+import { config } from '../config.js';
+import { formatCourseCode } from '../utils/helpers.js';
+import { COURSE_CODE_PATTERN } from '../utils/listing-schema.js';
+
+const ENROLLED_KEY_PREFIX = 'campusswap_my_courses';
+
+/**
+ * Compare codes ignoring case and spacing ("math1013" matches "MATH 1013")
+ */
+function courseKey(code) {
+    return formatCourseCode(code).replace(/\s+/g, '');
+}
+
+class CourseService {
+    constructor() {
+        this.url = new URL('../../data/courses.json', import.meta.url);
+        this.courses = [];
+        this.byKey = new Map();
+        this.loading = null;
+    }
+
+    /**
+     * Load the registry once; later calls share the same request
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load ${this.url}`);
+                    return response.json();
+                })
+                .then(offerings => {
+                    this.setOfferings(offerings);
+                    return this.courses;
+                })
+                .catch(error => {
+                    // Allow a retry on the next call
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Merge offerings into courses, sorted by code
+     */
+    setOfferings(offerings) {
+        this.byKey = new Map();
+
+        offerings.forEach(({ faculty, code, title, term }) => {
+            const key = courseKey(code);
+            if (!this.byKey.has(key)) {
+                this.byKey.set(key, { code: formatCourseCode(code), title, faculty, terms: [] });
+            }
+            const course = this.byKey.get(key);
+            if (term && !course.terms.includes(term)) course.terms.push(term);
+        });
+
+        this.courses = Array.from(this.byKey.values()).sort((a, b) => a.code.localeCompare(b.code));
+    }
+
+    /**
+     * Look up a course by code; null when it is not in the registry (or not loaded yet)
+     */
+    find(code) {
+        return this.byKey.get(courseKey(code)) || null;
+    }
+
+    /**
+     * Faculties in the registry, alphabetically
+     */
+    getFaculties() {
+        return [...new Set(this.courses.map(course => course.faculty))].sort();
+    }
+
+    /**
+     * Terms in the registry, in the order they first appear in the JSON
+     */
+    getTerms() {
+        return [...new Set(this.courses.flatMap(course => course.terms))];
+    }
+
+    /**
+     * Courses matching a code or title fragment, best matches first
+     * Synchronous so it can feed autocomplete; returns [] until load() finishes
+     */
+    search(query, limit = config.courses.suggestionLimit) {
+        const key = courseKey(query);
+        const text = query.trim().toLowerCase();
+        if (!text) return [];
+
+        const ranked = this.courses
+            .map(course => {
+                const codeKey = courseKey(course.code);
+                let rank = -1;
+                if (codeKey === key) rank = 0;
+                else if (key && codeKey.startsWith(key)) rank = 1;
+                else if (course.title.toLowerCase().includes(text)) rank = 2;
+                return { course, rank };
+            })
+            .filter(({ rank }) => rank >= 0)
+            .sort((a, b) => a.rank - b.rank);
+
+        return ranked.slice(0, limit).map(({ course }) => course);
+    }
+
+    /**
+     * Courses filtered by faculty, term and text, grouped by faculty
+     * filters: { faculty, term, q }
+     * Returns [{ faculty, courses }]
+     */
+    browse({ faculty = '', term = '', q = '' } = {}) {
+        const text = q.trim().toLowerCase();
+        const key = courseKey(q);
+
+        const matches = this.courses.filter(course =>
+            (!faculty || course.faculty === faculty) &&
+            (!term || course.terms.includes(term)) &&
+            (!text || courseKey(course.code).includes(key) || course.title.toLowerCase().includes(text))
+        );
+
+        return this.getFaculties()
+            .map(name => ({ faculty: name, courses: matches.filter(course => course.faculty === name) }))
+            .filter(group => group.courses.length > 0);
+    }
+
+    /**
+     * Storage key for the current user (guests share one list per device)
+     */
+    getEnrolledKey() {
+        const userId = authService.getUser()?.id || 'guest';
+        return `${ENROLLED_KEY_PREFIX}_${userId}`;
+    }
+
+    /**
+     * Codes of the courses the student is taking
+     */
+    getEnrolled() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getEnrolledKey()) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Add a course to "My Courses"; throws when it can't be added
+     */
+    addEnrolled(code) {
+        const normalized = formatCourseCode(code);
+        if (!normalized) throw new Error('Enter a course code');
+        if (!this.find(normalized) && !COURSE_CODE_PATTERN.test(normalized)) {
+            throw new Error('Choose a course from the list or enter a code like MATH 1013');
+        }
+
+        const enrolled = this.getEnrolled();
+        if (enrolled.some(existing => courseKey(existing) === courseKey(normalized))) {
+            throw new Error(`${normalized} is already in your courses`);
+        }
+        if (enrolled.length >= config.courses.maxEnrolled) {
+            throw new Error(`You can add up to ${config.courses.maxEnrolled} courses`);
+        }
+
+        // Prefer the registry's spelling when the course is known
+        enrolled.push(this.find(normalized)?.code || normalized);
+        this.saveEnrolled(enrolled);
+        return enrolled;
+    }
+
+    /**
+     * Remove a course from "My Courses"
+     */
+    removeEnrolled(code) {
+        const enrolled = this.getEnrolled().filter(existing => courseKey(existing) !== courseKey(code));
+        this.saveEnrolled(enrolled);
+        return enrolled;
+    }
+
+    /**
+     * Write "My Courses" to this device
+     */
+    saveEnrolled(enrolled) {
+        try {
+            localStorage.setItem(this.getEnrolledKey(), JSON.stringify(enrolled));
+        } catch (error) {
+            console.warn('Failed to save courses:', error);
+            throw new Error('Could not save your courses on this device');
+        }
+    }
+
+    /**
+     * Listings for each enrolled course
+     * Returns [{ course, products, error }] in enrolment order; one failed request doesn't hide the rest
+     */
+    async getRequiredMaterials(codes = this.getEnrolled()) {
+        const results = await Promise.allSettled(codes.map(code =>
+            apiService.getProducts({ courseCode: code, pageSize: config.courses.materialsPerCourse })
+        ));
+
+        return codes.map((code, index) => {
+            const result = results[index];
+            const course = this.find(code) || { code, title: '', faculty: '', terms: [] };
+
+            if (result.status === 'rejected') {
+                console.error(`Error loading listings for ${code}:`, result.reason);
+                return { course, products: [], error: true };
+            }
+            return { course, products: result.value.data || [], error: false };
+        });
+    }
+}
+
+export default new CourseService();
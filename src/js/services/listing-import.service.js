@@ -0,0 +1,153 @@
+/**
+ * Listing Import Service
+ * Bulk listing import from CSV: parse and validate rows against listingSchema,
+ * post valid rows in batches and build an error file for the rest
+ *
+ * Row: { number, record: [original fields], values, errors: [messages],
+ *        status: 'valid' | 'invalid' | 'posted' | 'failed', product }
+ */
+
+import listingService from './listing.service.js';
+import { config } from '../config.js';
+import { formatCourseCode } from '../utils/helpers.js';
+import { parseCSV, toCSV } from '../utils/csv.js';
+import { validate } from '../utils/validation.js';
+import { listingSchema } from '../utils/listing-schema.js';
+
+// Header spellings accepted for each field (compared lowercase without spaces or punctuation)
+const COLUMN_ALIASES = {
+    title: 'title',
+    price: 'price',
+    quantity: 'quantity',
+    qty: 'quantity',
+    coursecode: 'courseCode',
+    course: 'courseCode',
+    condition: 'condition',
+    category: 'categorySlug',
+    categoryslug: 'categorySlug',
+    description: 'description',
+    isbn: 'isbn',
+    author: 'author',
+    edition: 'edition'
+};
+
+const REQUIRED_COLUMNS = ['title', 'price', 'condition', 'categorySlug'];
+
+const TEMPLATE = [
+    ['title', 'price', 'quantity', 'course code', 'condition', 'category slug', 'description'],
+    ['Calculus: Early Transcendentals 8th ed.', '45.00', '1', 'MATH 1013', 'GOOD', 'textbooks', 'Some highlighting in ch. 3'],
+    ['TI-84 Plus graphing calculator', '60', '1', 'MATH 1014', 'EXCELLENT', 'electronics', '']
+];
+
+class ListingImportService {
+    /**
+     * Example CSV users can download and fill in
+     */
+    getTemplate() {
+        return toCSV(TEMPLATE);
+    }
+
+    /**
+     * Parse and validate a CSV file's text
+     * Returns { header, rows }; throws if the file itself is unusable
+     */
+    parse(text) {
+        const [header = [], ...records] = parseCSV(text);
+        const columns = header.map(name => COLUMN_ALIASES[name.toLowerCase().replace(/[^a-z]/g, '')] || null);
+
+        const missing = REQUIRED_COLUMNS.filter(field => !columns.includes(field));
+        if (missing.length > 0) {
+            throw new Error(`Missing column(s): ${missing.map(field => listingSchema[field].label).join(', ')}`);
+        }
+
+        // Spreadsheet row numbers: the header is row 1
+        const rows = records
+            .map((record, index) => ({ number: index + 2, record }))
+            .filter(({ record }) => record.some(field => field.trim() !== ''));
+
+        if (rows.length === 0) throw new Error('The file has no listings');
+        if (rows.length > config.listing.importMaxRows) {
+            throw new Error(`Import up to ${config.listing.importMaxRows} listings at a time`);
+        }
+
+        return {
+            header,
+            rows: rows.map(({ number, record }) => this.toRow(number, record, columns))
+        };
+    }
+
+    /**
+     * Map one record to form values and validate it
+     */
+    toRow(number, record, columns) {
+        const values = { quantity: '1', courseCode: '', description: '', isbn: '', author: '', edition: '' };
+        columns.forEach((field, index) => {
+            if (field) values[field] = (record[index] || '').trim();
+        });
+
+        // Accept friendly spellings: "Like New" → LIKE_NEW, "$45" → 45, "math1013" → MATH 1013
+        values.condition = values.condition.toUpperCase().replace(/[\s-]+/g, '_');
+        values.categorySlug = values.categorySlug.toLowerCase().replace(/\s+/g, '-');
+        values.price = values.price.replace(/^\$/, '');
+        if (values.quantity === '') values.quantity = '1';
+        if (values.courseCode) values.courseCode = formatCourseCode(values.courseCode);
+
+        const errors = Object.values(validate(values, listingSchema));
+        return {
+            number,
+            record,
+            values,
+            errors,
+            status: errors.length > 0 ? 'invalid' : 'valid',
+            product: null
+        };
+    }
+
+    /**
+     * Post valid rows in batches; updates each row's status and errors in place
+     * onProgress({ done, total, posted, failed }) runs after every batch
+     */
+    async importRows(rows, { onProgress } = {}) {
+        const pending = rows.filter(row => row.status === 'valid');
+        const progress = { done: 0, total: pending.length, posted: 0, failed: 0 };
+
+        // Load category IDs once rather than once per parallel request
+        await listingService.getCategories();
+
+        for (let i = 0; i < pending.length; i += config.listing.importBatchSize) {
+            const batch = pending.slice(i, i + config.listing.importBatchSize);
+            const results = await Promise.allSettled(batch.map(row => listingService.create(row.values)));
+
+            results.forEach((result, index) => {
+                const row = batch[index];
+                if (result.status === 'fulfilled') {
+                    row.status = 'posted';
+                    row.product = result.value;
+                    progress.posted++;
+                } else {
+                    row.status = 'failed';
+                    row.errors = [result.reason.message];
+                    progress.failed++;
+                }
+            });
+
+            progress.done += batch.length;
+            if (onProgress) onProgress({ ...progress });
+        }
+
+        return progress;
+    }
+
+    /**
+     * CSV of rows that were not posted, with their errors, ready to fix and re-import
+     */
+    buildErrorFile({ header, rows }) {
+        const failed = rows.filter(row => row.status === 'invalid' || row.status === 'failed');
+        return toCSV([
+            ['row', ...header, 'errors'],
+            ...failed.map(row => [row.number, ...header.map((_, index) => row.record[index] || ''), row.errors.join('; ')])
+        ]);
+    }
+}
+
+export default new ListingImportService();
@@ -0,0 +1,110 @@
+/**
+ * Listing Service
+ * The current user's own listings: load, create, update and delete
+ * Maps category slugs to the IDs the API expects
+ */
+
+import apiService from './api.service.js';
+import courseService from './course.service.js';
+import { formatCourseCode } from '../utils/helpers.js';
+import { toISBN13 } from '../utils/isbn.js';
+import { validate } from '../utils/validation.js';
+import { listingSchema } from '../utils/listing-schema.js';
+
+class ListingService {
+    constructor() {
+        this.categories = null;
+    }
+
+    /**
+     * Get the current user's listings
+     */
+    async getMyListings() {
+        const response = await apiService.getMyListings();
+        return response.data || [];
+    }
+
+    /**
+     * Load categories ({ id, slug, name }) once
+     * There is no /categories endpoint yet, so they are collected from products
+     */
+    async getCategories() {
+        if (this.categories) return this.categories;
+
+        const response = await apiService.getProducts({ pageSize: 100 });
+        const bySlug = new Map();
+        (response.data || []).forEach(product => {
+            if (product.category?.slug && !bySlug.has(product.category.slug)) {
+                bySlug.set(product.category.slug, { id: product.categoryId, ...product.category });
+            }
+        });
+
+        this.categories = Array.from(bySlug.values());
+        return this.categories;
+    }
+
+    /**
+     * Category ID for a slug
+     */
+    async getCategoryId(slug) {
+        const categories = await this.getCategories();
+        const category = categories.find(c => c.slug === slug);
+        if (!category) {
+            // Forget the cache so a retry picks up newly seen categories
+            this.categories = null;
+            throw new Error('Category not found. Please refresh and try again.');
+        }
+        return category.id;
+    }
+
+    /**
+     * Build the API payload from form values; throws if they fail listingSchema
+     * values: { title, price, quantity, categorySlug, courseCode, condition, description, isbn, author, edition, images }
+     */
+    async toPayload({ categorySlug, images = [], ...values }) {
+        const [error] = Object.values(validate({ categorySlug, ...values }, listingSchema));
+        if (error) throw new Error(error);
+
+        return {
+            title: values.title.trim(),
+            price: parseFloat(values.price),
+            quantity: parseInt(values.quantity, 10),
+            description: (values.description || '').trim(),
+            courseCode: formatCourseCode(values.courseCode),
+            // Only set for registry courses so an edit keeps any name the listing already has
+            courseName: courseService.find(values.courseCode)?.title,
+            condition: values.condition,
+            isbn: values.isbn ? toISBN13(values.isbn) : null,
+            author: (values.author || '').trim(),
+            edition: (values.edition || '').trim(),
+            imageUrl: images[0] || null,
+            images,
+            categoryId: await this.getCategoryId(categorySlug)
+        };
+    }
+
+    /**
+     * Post a new listing
+     */
+    async create(values) {
+        const response = await apiService.createProduct(await this.toPayload(values));
+        return response.data;
+    }
+
+    /**
+     * Update one of the current user's listings
+     */
+    async update(productId, values) {
+        const response = await apiService.updateProduct(productId, await this.toPayload(values));
+        return response.data;
+    }
+
+    /**
+     * Delete one of the current user's listings
+     */
+    async remove(productId) {
+        await apiService.deleteProduct(productId);
+    }
+}
+
+export default new ListingService();
@@ -0,0 +1,235 @@
+/**
+ * Meetup Service
+ * Approved campus spots, seller availability windows, slot generation,
+ * two-sided confirmation and calendar export
+ *
+ * Availability window: { day: 0-6 (Sunday = 0), start: 'HH:MM', end: 'HH:MM', spotIds: [...] }
+ * Order meetup: { spotId, startsAt, endsAt, proposedBy, buyerConfirmedAt, sellerConfirmedAt }
+ */
+
+import apiService from './api.service.js';
+import authService from './auth.service.js';
+import { config, meetupSpots } from '../config.js';
+import { buildICS, downloadICS } from '../utils/ics.js';
+import { DAY_NAMES } from '../utils/helpers.js';
+import { getOrderRole } from '../utils/order-status.js';
+
+/**
+ * Minutes since midnight for an 'HH:MM' string
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Local calendar date key, e.g. 2025-01-15
+ */
+function dateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+class MeetupService {
+    /**
+     * All approved spots
+     */
+    getSpots() {
+        return meetupSpots;
+    }
+
+    /**
+     * Look up a spot by ID
+     */
+    getSpot(spotId) {
+        return meetupSpots.find(spot => spot.id === spotId) || null;
+    }
+
+    /**
+     * Get a seller's weekly availability (empty if not set)
+     */
+    async getAvailability(sellerId) {
+        try {
+            const response = await apiService.getSellerAvailability(sellerId);
+            return response.data || [];
+        } catch (error) {
+            console.warn('Seller availability unavailable:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the current user's weekly availability
+     */
+    async saveAvailability(windows) {
+        const errors = windows.map(window => this.validateWindow(window)).filter(Boolean);
+        if (errors.length > 0) throw new Error(errors[0]);
+
+        const response = await apiService.updateAvailability(windows);
+        return response.data || windows;
+    }
+
+    /**
+     * Validate one availability window; returns an error message or null
+     */
+    validateWindow(window) {
+        if (!(window.day >= 0 && window.day <= 6)) return 'Choose a day for each window';
+        if (!/^\d{2}:\d{2}$/.test(window.start || '') || !/^\d{2}:\d{2}$/.test(window.end || '')) {
+            return 'Enter a start and end time for each window';
+        }
+        if (toMinutes(window.end) - toMinutes(window.start) < config.meetup.slotMinutes) {
+            return `${DAY_NAMES[window.day]}: windows must be at least ${config.meetup.slotMinutes} minutes long`;
+        }
+        if (!window.spotIds?.length || window.spotIds.some(id => !this.getSpot(id))) {
+            return `${DAY_NAMES[window.day]}: choose at least one approved meetup spot`;
+        }
+        return null;
+    }
+
+    /**
+     * Expand weekly windows into concrete slots over the next few days
+     * Returns [{ date, label, slots: [{ startsAt, endsAt, spotIds }] }] with ISO timestamps
+     */
+    generateSlots(windows, {
+        from = new Date(),
+        days = config.meetup.daysAhead,
+        slotMinutes = config.meetup.slotMinutes,
+        minLeadMinutes = config.meetup.minLeadMinutes
+    } = {}) {
+        const earliest = from.getTime() + minLeadMinutes * 60000;
+        const byStart = new Map();
+
+        for (let offset = 0; offset < days; offset++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+
+            windows.filter(window => window.day === day.getDay()).forEach(window => {
+                const end = toMinutes(window.end);
+                for (let minute = toMinutes(window.start); minute + slotMinutes <= end; minute += slotMinutes) {
+                    const startsAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minute);
+                    if (startsAt.getTime() < earliest) continue;
+
+                    // Overlapping windows offer the union of their spots
+                    const key = startsAt.getTime();
+                    const slot = byStart.get(key) || {
+                        startsAt: startsAt.toISOString(),
+                        endsAt: new Date(key + slotMinutes * 60000).toISOString(),
+                        spotIds: []
+                    };
+                    slot.spotIds = [...new Set([...slot.spotIds, ...window.spotIds])];
+                    byStart.set(key, slot);
+                }
+            });
+        }
+
+        const groups = new Map();
+        [...byStart.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .forEach(([, slot]) => {
+                const date = new Date(slot.startsAt);
+                const key = dateKey(date);
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        date: key,
+                        label: date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }),
+                        slots: []
+                    });
+                }
+                groups.get(key).slots.push(slot);
+            });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Format a meetup time range, e.g. "Wed, Jan 15, 1:30 – 2:00 p.m."
+     */
+    formatTime(startsAt, endsAt) {
+        const start = new Date(startsAt);
+        const day = start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        const time = (date) => date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+        return `${day}, ${time(start)} – ${time(new Date(endsAt))}`;
+    }
+
+    /**
+     * The current user's side of an order
+     */
+    getRole(order) {
+        return getOrderRole(order, authService.getUser()?.id);
+    }
+
+    /**
+     * Confirmation state of an order's meetup for the current user
+     * Returns { role, confirmed, awaitingYou, awaitingOther }
+     */
+    getStatus(order) {
+        const meetup = order.meetup;
+        const role = this.getRole(order);
+        if (!meetup) return { role, confirmed: false, awaitingYou: false, awaitingOther: false };
+
+        const confirmed = !!(meetup.buyerConfirmedAt && meetup.sellerConfirmedAt);
+        const yours = role === 'buyer' ? meetup.buyerConfirmedAt : meetup.sellerConfirmedAt;
+        const theirs = role === 'buyer' ? meetup.sellerConfirmedAt : meetup.buyerConfirmedAt;
+
+        return {
+            role,
+            confirmed,
+            awaitingYou: !!role && !confirmed && !yours,
+            awaitingOther: !!role && !confirmed && !!yours && !theirs
+        };
+    }
+
+    /**
+     * Validate a chosen meetup; returns an error message or null
+     */
+    validateSelection({ spotId, startsAt, endsAt } = {}) {
+        if (!this.getSpot(spotId)) return 'Choose an approved meetup spot';
+        if (!startsAt || !endsAt) return 'Choose a meetup time';
+        if (new Date(startsAt).getTime() <= Date.now()) return 'Choose a meetup time in the future';
+        return null;
+    }
+
+    /**
+     * Propose a meetup (counts as the proposer's confirmation)
+     */
+    async propose(orderId, { spotId, startsAt, endsAt }) {
+        const error = this.validateSelection({ spotId, startsAt, endsAt });
+        if (error) throw new Error(error);
+
+        const response = await apiService.proposeMeetup(orderId, { spotId, startsAt, endsAt });
+        return response.data;
+    }
+
+    /**
+     * Accept the other side's proposal
+     */
+    async confirm(orderId) {
+        const response = await apiService.confirmMeetup(orderId);
+        return response.data;
+    }
+
+    /**
+     * Download the agreed meetup as a calendar file
+     */
+    downloadCalendar(order) {
+        const { meetup } = order;
+        const spot = this.getSpot(meetup.spotId);
+        const other = this.getRole(order) === 'buyer' ? order.seller : order.buyer;
+        const otherName = other?.firstName ? `${other.firstName} ${other.lastName || ''}`.trim() : 'CampusSwap user';
+        const items = (order.items || order.orderItems || [])
+            .map(item => `${item.quantity} × ${item.product?.title || 'item'}`)
+            .join('\n');
+
+        const content = buildICS({
+            uid: `meetup-${order.id}@campusswap`,
+            title: `CampusSwap meetup with ${otherName}`,
+            description: [`Order #${order.orderNumber || order.id}`, items, spot?.details].filter(Boolean).join('\n'),
+            location: spot ? `${spot.name}, ${config.university}` : config.university,
+            start: meetup.startsAt,
+            end: meetup.endsAt
+        });
+
+        downloadICS(`campusswap-meetup-${order.orderNumber || order.id}`, content);
+    }
+}
+
+export default new MeetupService();
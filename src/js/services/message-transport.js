@@ -0,0 +1,102 @@
+/**
+ * Message Transport
+ * Tells the message service when conversations may have changed
+ *
+ * A transport implements:
+ *   connect(onUpdate)  start delivering updates; onUpdate() returns a promise
+ *                      that rejects when refreshing failed
+ *   disconnect()       stop delivering updates
+ *   poke()             request an update now (e.g. after sending a message)
+ *
+ * Polling is the only transport today. A WebSocket transport would call
+ * onUpdate() when the server pushes a "message" event and can be selected
+ * with config.messaging.transport without touching the service or UI.
+ * The notification service uses the same transports (config.notifications).
+ */
+
+import { config } from '../config.js';
+
+export class PollingTransport {
+    constructor({ interval, maxInterval }) {
+        this.interval = interval;
+        this.maxInterval = maxInterval;
+        this.currentInterval = interval;
+        this.onUpdate = null;
+        this.timer = null;
+        this.visibilityHandler = null;
+    }
+
+    /**
+     * Start polling immediately
+     */
+    connect(onUpdate) {
+        this.disconnect();
+        this.onUpdate = onUpdate;
+        this.currentInterval = this.interval;
+
+        // Skip polls while the tab is hidden, catch up when it is shown again
+        this.visibilityHandler = () => {
+            if (!document.hidden) this.poke();
+        };
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+
+        this.poke();
+    }
+
+    /**
+     * Stop polling
+     */
+    disconnect() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.onUpdate = null;
+
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+    }
+
+    /**
+     * Poll now and reschedule
+     */
+    async poke() {
+        if (!this.onUpdate) return;
+        clearTimeout(this.timer);
+
+        try {
+            await this.onUpdate();
+            this.currentInterval = this.interval;
+        } catch (error) {
+            // Back off while the API is unavailable
+            this.currentInterval = Math.min(this.currentInterval * 2, this.maxInterval);
+        }
+
+        if (this.onUpdate) this.schedule();
+    }
+
+    /**
+     * Queue the next poll
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            if (document.hidden) this.schedule();
+            else this.poke();
+        }, this.currentInterval);
+    }
+}
+
+/**
+ * Create a transport from a config section ({ transport, pollInterval, maxPollInterval })
+ */
+export function createTransport(settings = config.messaging) {
+    if (settings.transport === 'polling') {
+        return new PollingTransport({
+            interval: settings.pollInterval,
+            maxInterval: settings.maxPollInterval
+        });
+    }
+
+    throw new Error(`Unknown transport: ${settings.transport}`);
+}
@@ -0,0 +1,146 @@
+/**
+ * Message Service
+ * Buyer–seller conversations, one thread per listing and buyer
+ */
+
+import apiService from './api.service.js';
+import authService from './auth.service.js';
+import { createTransport } from './message-transport.js';
+import { config } from '../config.js';
+import { getItemSeller } from '../utils/cart.js';
+import store, { actions, selectConversations } from '../store.js';
+
+class MessageService {
+    constructor() {
+        this.transport = null;
+    }
+
+    /**
+     * Start receiving conversation updates for the signed-in user
+     */
+    start() {
+        if (this.transport) return;
+        this.transport = createTransport();
+        this.transport.connect(() => this.refresh());
+    }
+
+    /**
+     * Stop updates and forget conversations (on logout)
+     */
+    stop() {
+        if (this.transport) {
+            this.transport.disconnect();
+            this.transport = null;
+        }
+        store.dispatch(actions.setConversations([]));
+    }
+
+    /**
+     * Fetch conversations into the store
+     */
+    async refresh() {
+        const response = await apiService.getConversations();
+        const conversations = response.data || [];
+        store.dispatch(actions.setConversations(conversations));
+        return conversations;
+    }
+
+    /**
+     * Get conversations from the store
+     */
+    getConversations() {
+        return selectConversations(store.getState());
+    }
+
+    /**
+     * Get a conversation by ID
+     */
+    getConversation(conversationId) {
+        return this.getConversations().find(c => c.id === conversationId) || null;
+    }
+
+    /**
+     * The current user's conversation about a listing they are buying
+     */
+    findForProduct(productId) {
+        const userId = authService.getUser()?.id;
+        return this.getConversations().find(c => c.product?.id === productId && c.buyer?.id === userId) || null;
+    }
+
+    /**
+     * The other participant in a conversation
+     */
+    getOtherParty(conversation) {
+        const userId = authService.getUser()?.id;
+        return conversation.buyer?.id === userId ? conversation.seller : conversation.buyer;
+    }
+
+    /**
+     * Group conversations by listing, most recent activity first
+     * Returns [{ product, conversations, unreadCount }]
+     */
+    groupByListing(conversations = this.getConversations()) {
+        const groups = new Map();
+        const latest = (c) => new Date(c.lastMessage?.createdAt || c.updatedAt || 0).getTime();
+
+        [...conversations]
+            .sort((a, b) => latest(b) - latest(a))
+            .forEach(conversation => {
+                const productId = conversation.product?.id || 'unknown';
+                if (!groups.has(productId)) {
+                    groups.set(productId, { product: conversation.product, conversations: [], unreadCount: 0 });
+                }
+                const group = groups.get(productId);
+                group.conversations.push(conversation);
+                group.unreadCount += conversation.unreadCount || 0;
+            });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Load a thread and mark it read
+     */
+    async loadMessages(conversationId) {
+        const response = await apiService.getConversationMessages(conversationId);
+        const messages = response.data || [];
+
+        const conversation = this.getConversation(conversationId);
+        if (conversation?.unreadCount > 0) {
+            // Clear the badge locally; the server is told in the background
+            store.dispatch(actions.setConversations(this.getConversations().map(c =>
+                c.id === conversationId ? { ...c, unreadCount: 0 } : c
+            )));
+            apiService.markConversationRead(conversationId)
+                .catch(error => console.warn('Failed to mark conversation read:', error));
+        }
+
+        return messages;
+    }
+
+    /**
+     * Send a message
+     * target: { conversationId } to reply, or { product } to message its seller
+     * Resolves to the sent message (with its conversationId)
+     */
+    async send(target, body) {
+        const text = body.trim();
+        if (!text) throw new Error('Message cannot be empty');
+        if (text.length > config.messaging.maxMessageLength) {
+            throw new Error(`Messages are limited to ${config.messaging.maxMessageLength} characters`);
+        }
+
+        const payload = target.conversationId
+            ? { conversationId: target.conversationId, body: text }
+            : { productId: target.product.id, recipientId: getItemSeller({ product: target.product }).id, body: text };
+
+        const response = await apiService.sendMessage(payload);
+
+        // New conversations and last-message previews come from the server
+        if (this.transport) this.transport.poke();
+
+        return response.data;
+    }
+}
+
+export default new MessageService();
@@ -0,0 +1,180 @@
+/**
+ * Notification Service
+ * Price-drop and back-in-stock alerts for products the user asked to watch
+ *
+ * The server records events for watched products; this service fetches them
+ * through a transport from message-transport.js (polling today). A push
+ * transport only has to call onUpdate() when the server sends an event.
+ * Notifications are cached per user so the centre fills in before the first poll.
+ */
+
+import apiService from './api.service.js';
+import authService from './auth.service.js';
+import { createTransport } from './message-transport.js';
+import { config } from '../config.js';
+import { formatCurrency } from '../utils/helpers.js';
+import store, { actions, selectNotifications, selectWatches } from '../store.js';
+
+const CACHE_KEY_PREFIX = 'campusswap_notifications';
+
+export const NOTIFICATION_TYPES = {
+    PRICE_DROP: { icon: '⬇️', label: 'Price drop' },
+    BACK_IN_STOCK: { icon: '✅', label: 'Back in stock' }
+};
+
+class NotificationService {
+    constructor() {
+        this.transport = null;
+    }
+
+    /**
+     * Storage key for the current user
+     */
+    getCacheKey() {
+        return `${CACHE_KEY_PREFIX}_${authService.getUser()?.id}`;
+    }
+
+    /**
+     * Start receiving notifications for the signed-in user
+     */
+    start() {
+        if (this.transport) return;
+
+        try {
+            store.dispatch(actions.setNotifications(JSON.parse(localStorage.getItem(this.getCacheKey()) || '[]')));
+        } catch (error) {
+            console.warn('Failed to read cached notifications:', error);
+        }
+
+        this.loadWatches().catch(error => console.error('Error loading watched products:', error));
+
+        this.transport = createTransport(config.notifications);
+        this.transport.connect(() => this.refresh());
+    }
+
+    /**
+     * Stop updates and forget notifications (on logout)
+     */
+    stop() {
+        if (this.transport) {
+            this.transport.disconnect();
+            this.transport = null;
+        }
+        store.dispatch(actions.setNotifications([]));
+        store.dispatch(actions.setWatches([]));
+    }
+
+    /**
+     * Get notifications from the store, newest first
+     */
+    getAll() {
+        return selectNotifications(store.getState());
+    }
+
+    /**
+     * Fetch notifications newer than the latest one we have
+     */
+    async refresh() {
+        const [latest] = this.getAll();
+        const response = await apiService.getNotifications({ after: latest?.createdAt });
+        const incoming = response.data || [];
+        if (incoming.length === 0) return;
+
+        const known = new Set(this.getAll().map(notification => notification.id));
+        this.save([...incoming.filter(notification => !known.has(notification.id)), ...this.getAll()]);
+    }
+
+    /**
+     * Sort, trim, cache and publish notifications
+     */
+    save(notifications) {
+        const sorted = [...notifications]
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, config.notifications.maxStored);
+
+        try {
+            localStorage.setItem(this.getCacheKey(), JSON.stringify(sorted));
+        } catch (error) {
+            console.warn('Failed to cache notifications:', error);
+        }
+        store.dispatch(actions.setNotifications(sorted));
+    }
+
+    /**
+     * Mark notifications as read (all unread ones when ids is omitted)
+     */
+    async markRead(ids = this.getAll().filter(notification => !notification.read).map(notification => notification.id)) {
+        if (ids.length === 0) return;
+
+        this.save(this.getAll().map(notification =>
+            (ids.includes(notification.id) ? { ...notification, read: true } : notification)
+        ));
+
+        try {
+            await apiService.markNotificationsRead(ids);
+        } catch (error) {
+            // Read state is cached locally; the server catches up on the next mark
+            console.warn('Failed to mark notifications read:', error);
+        }
+    }
+
+    /**
+     * Listing title and what happened to it, e.g. "dropped from $50.00 to $40.00"
+     */
+    describe(notification) {
+        const title = notification.product?.title || 'A listing you follow';
+
+        if (notification.type === 'PRICE_DROP') {
+            const hasPrices = notification.oldPrice != null && notification.newPrice != null;
+            return {
+                title,
+                detail: hasPrices
+                    ? `dropped from ${formatCurrency(notification.oldPrice)} to ${formatCurrency(notification.newPrice)}`
+                    : 'dropped in price'
+            };
+        }
+        return { title, detail: 'is back in stock' };
+    }
+
+    /**
+     * Load the products the user is watching
+     */
+    async loadWatches() {
+        const response = await apiService.getWatches();
+        store.dispatch(actions.setWatches(response.data || []));
+    }
+
+    /**
+     * The user's watch on a product, or null
+     */
+    getWatch(productId) {
+        return selectWatches(store.getState()).find(watch => watch.productId === productId) || null;
+    }
+
+    /**
+     * Events worth watching for a product: restocks only matter while it is sold out
+     */
+    getWatchEvents(product) {
+        return product.quantity > 0 ? ['PRICE_DROP'] : ['BACK_IN_STOCK', 'PRICE_DROP'];
+    }
+
+    /**
+     * Watch or stop watching a product; returns true when now watching
+     */
+    async toggleWatch(product) {
+        const watches = selectWatches(store.getState());
+
+        if (this.getWatch(product.id)) {
+            await apiService.unwatchProduct(product.id);
+            store.dispatch(actions.setWatches(watches.filter(watch => watch.productId !== product.id)));
+            return false;
+        }
+
+        const events = this.getWatchEvents(product);
+        await apiService.watchProduct(product.id, events);
+        store.dispatch(actions.setWatches([...watches, { productId: product.id, events }]));
+        return true;
+    }
+}
+
+export default new NotificationService();
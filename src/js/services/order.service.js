@@ -0,0 +1,137 @@
+/**
+ * Order Service
+ * Loads orders and moves them through the lifecycle in utils/order-status.js
+ * Keeps the signed-in seller's incoming orders (sales) in the store
+ */
+
+import apiService from './api.service.js';
+import authService from './auth.service.js';
+import { PollingTransport } from './message-transport.js';
+import store, { actions, selectSales } from '../store.js';
+import { config } from '../config.js';
+import { getOrderRole, getAvailableActions, assertTransition, normalizeStatus } from '../utils/order-status.js';
+
+class OrderService {
+    constructor() {
+        this.salesTransport = null;
+    }
+
+    /**
+     * Start refreshing incoming orders (on login)
+     */
+    start() {
+        if (this.salesTransport) return;
+        this.salesTransport = new PollingTransport({
+            interval: config.sales.pollInterval,
+            maxInterval: config.sales.maxPollInterval
+        });
+        this.salesTransport.connect(() => this.refreshSales());
+    }
+
+    /**
+     * Stop refreshing and forget incoming orders (on logout)
+     */
+    stop() {
+        if (this.salesTransport) {
+            this.salesTransport.disconnect();
+            this.salesTransport = null;
+        }
+        store.dispatch(actions.setSales([]));
+    }
+
+    /**
+     * Fetch orders placed on the current user's listings into the store
+     */
+    async refreshSales() {
+        const response = await apiService.getSales();
+        store.dispatch(actions.setSales(response.data || []));
+    }
+
+    /**
+     * Get a single order
+     */
+    async getOrder(orderId) {
+        const response = await apiService.getOrder(orderId);
+        return response.data;
+    }
+
+    /**
+     * The current user's side of an order
+     */
+    getRole(order) {
+        return getOrderRole(order, authService.getUser()?.id);
+    }
+
+    /**
+     * Actions the current user may take on an order
+     */
+    getActions(order) {
+        return getAvailableActions(order, this.getRole(order));
+    }
+
+    /**
+     * Apply an action after checking it is allowed; resolves to the updated order
+     */
+    async transition(order, actionId) {
+        const action = assertTransition(order, actionId, this.getRole(order));
+        const response = await apiService.updateOrderStatus(order.id, action.to);
+        const updated = response.data || { ...order, status: action.to };
+
+        // Keep the sales dashboard and navbar count in step without waiting for the next poll
+        const sales = selectSales(store.getState());
+        if (sales.some(sale => sale.id === order.id)) {
+            store.dispatch(actions.setSales(sales.map(sale => sale.id === order.id ? { ...sale, ...updated } : sale)));
+        }
+
+        return updated;
+    }
+
+    /**
+     * Filter orders by status key, 'action' (waiting on the current user) or 'all'
+     */
+    filterOrders(orders, filter = 'all') {
+        if (filter === 'all') return orders;
+        if (filter === 'action') return orders.filter(order => this.getActions(order).length > 0);
+        return orders.filter(order => normalizeStatus(order.status) === filter);
+    }
+
+    /**
+     * Number of orders in each status
+     */
+    countByStatus(orders) {
+        return orders.reduce((counts, order) => {
+            const status = normalizeStatus(order.status);
+            counts[status] = (counts[status] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    /**
+     * Revenue per calendar month, newest first
+     * Only completed orders count; until the buyer confirms receipt the sale can still fall through
+     * Returns [{ month: '2025-01', label, revenue, orderCount }]
+     */
+    getMonthlyRevenue(orders) {
+        const months = new Map();
+
+        orders
+            .filter(order => normalizeStatus(order.status) === 'COMPLETED')
+            .forEach(order => {
+                const date = new Date(order.createdAt);
+                const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+                const entry = months.get(month) || {
+                    month,
+                    label: date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+                    revenue: 0,
+                    orderCount: 0
+                };
+                entry.revenue += parseFloat(order.totalAmount || 0);
+                entry.orderCount += 1;
+                months.set(month, entry);
+            });
+
+        return Array.from(months.values()).sort((a, b) => b.month.localeCompare(a.month));
+    }
+}
+
+export default new OrderService();
@@ -0,0 +1,418 @@
+/**
+ * Payment Service
+ * Takes payment for a checkout through one of several providers
+ *
+ * A provider implements:
+ *   name, label, description   method id ('card', 'etransfer', 'cash') and how it's shown
+ *   method                     value stored on the order (e.g. 'CARD')
+ *   authorize(request)         request: { amount, details }; resolves to
+ *                              { paymentId, status, reference?, instructions?, challenge?, message? }
+ *   confirm(payment, input)    finish a step the buyer had to take: a 3-D Secure
+ *                              code for cards, "I've sent it" for e-Transfers
+ *   capture(payment, amount)   take the money (up to the authorized amount)
+ *   refund(payment, amount)    give money back, or release an uncaptured authorization
+ *   getStatus(payment)         resolves to { status }
+ *   describe(payment)          one line for receipts, e.g. "Visa ending in 0366"
+ *
+ * Statuses are PAYMENT_STATUS values from utils/payment.js. Methods offered at
+ * checkout are listed in config.payments.methods. config.payments.cardGateway
+ * picks the real card gateway or the local mock; the mock approves cards without
+ * taking money, so it's only used when config.debug is on. Register another
+ * provider with registerProvider().
+ */
+
+import apiService from './api.service.js';
+import { config } from '../config.js';
+import { formatCurrency } from '../utils/helpers.js';
+import { PAYMENT_STATUS } from '../utils/payment.js';
+
+/**
+ * Pay the seller in cash at the meetup; nothing is collected online
+ */
+export class CashOnPickupProvider {
+    constructor() {
+        this.name = 'cash';
+        this.label = 'Cash on pickup';
+        this.description = 'Pay each seller in cash when you meet.';
+        this.method = 'CASH_ON_PICKUP';
+    }
+
+    async authorize({ amount }) {
+        return {
+            paymentId: `cash_${Date.now()}`,
+            status: PAYMENT_STATUS.PENDING,
+            instructions: `Bring ${formatCurrency(amount)} in cash to your meetups.`
+        };
+    }
+
+    async confirm(payment) {
+        return { status: payment.status };
+    }
+
+    // Sellers mark cash as received when they complete the order
+    async capture() {
+        return { status: PAYMENT_STATUS.CAPTURED };
+    }
+
+    async refund() {
+        return { status: PAYMENT_STATUS.REFUNDED };
+    }
+
+    async getStatus(payment) {
+        return { status: payment.status };
+    }
+
+    describe() {
+        return 'Cash on pickup';
+    }
+}
+
+/**
+ * Interac e-Transfer to the CampusSwap payments account, matched by a reference code
+ * The buyer confirms once they've sent it; the payment is captured when it arrives
+ */
+export class ETransferProvider {
+    constructor({ recipient }) {
+        this.name = 'etransfer';
+        this.label = 'Interac e-Transfer';
+        this.description = 'Send an e-Transfer from your bank with a reference code.';
+        this.method = 'E_TRANSFER';
+        this.recipient = recipient;
+    }
+
+    /**
+     * Short code for the e-Transfer message, e.g. "CS-7K3P9Q" (no 0/O or 1/I)
+     */
+    generateReference() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const random = crypto.getRandomValues(new Uint8Array(6));
+        return `CS-${Array.from(random, value => alphabet[value % alphabet.length]).join('')}`;
+    }
+
+    async authorize({ amount }) {
+        const reference = this.generateReference();
+        const response = await apiService.authorizePayment({ method: this.method, amount, reference });
+
+        return {
+            paymentId: response.data.id,
+            status: response.data.status || PAYMENT_STATUS.REQUIRES_ACTION,
+            reference,
+            instructions: `Send ${formatCurrency(amount)} by Interac e-Transfer to ${this.recipient} `
+                + `and put ${reference} in the message.`
+        };
+    }
+
+    async confirm(payment) {
+        const response = await apiService.confirmPayment(payment.paymentId, { sent: true });
+        return { status: response.data.status || PAYMENT_STATUS.PENDING };
+    }
+
+    async capture(payment, amount) {
+        const response = await apiService.capturePayment(payment.paymentId, amount);
+        return { status: response.data.status };
+    }
+
+    async refund(payment, amount) {
+        const response = await apiService.refundPayment(payment.paymentId, amount);
+        return { status: response.data.status };
+    }
+
+    async getStatus(payment) {
+        const response = await apiService.getPayment(payment.paymentId);
+        return { status: response.data.status };
+    }
+
+    describe(payment) {
+        return `Interac e-Transfer (reference ${payment.reference})`;
+    }
+}
+
+/**
+ * Card payments through the payment gateway; the API passes card details
+ * on to the gateway and keeps only the masked number
+ */
+export class CardGatewayProvider {
+    constructor() {
+        this.name = 'card';
+        this.label = 'Credit or debit card';
+        this.description = 'Visa, Mastercard, American Express or Discover.';
+        this.method = 'CARD';
+    }
+
+    async authorize({ amount, details }) {
+        const response = await apiService.authorizePayment({ method: this.method, amount, card: details });
+        return {
+            paymentId: response.data.id,
+            status: response.data.status,
+            challenge: response.data.challenge || null,
+            message: response.data.message
+        };
+    }
+
+    async confirm(payment, code) {
+        const response = await apiService.confirmPayment(payment.paymentId, { code });
+        return { status: response.data.status, message: response.data.message };
+    }
+
+    async capture(payment, amount) {
+        const response = await apiService.capturePayment(payment.paymentId, amount);
+        return { status: response.data.status };
+    }
+
+    async refund(payment, amount) {
+        const response = await apiService.refundPayment(payment.paymentId, amount);
+        return { status: response.data.status };
+    }
+
+    async getStatus(payment) {
+        const response = await apiService.getPayment(payment.paymentId);
+        return { status: response.data.status };
+    }
+
+    describe(payment) {
+        return `${payment.details.cardType} ending in ${payment.details.lastFourDigits}`;
+    }
+}
+
+/**
+ * Card numbers the mock gateway reacts to; any other valid number is approved
+ */
+export const MOCK_TEST_CARDS = [
+    { number: '4532015112830366', label: 'Visa, approved' },
+    { number: '5425233430109903', label: 'Mastercard, approved' },
+    { number: '374245455400126', label: 'Amex, approved' },
+    { number: '4000000000000002', label: 'Declined', outcome: 'decline' },
+    { number: '4000000000003220', label: '3-D Secure (code 123456)', outcome: 'challenge' },
+    { number: '4000000000000119', label: 'Times out', outcome: 'timeout' }
+];
+
+const MOCK_CHALLENGE_CODE = '123456';
+
+/**
+ * Card gateway stand-in that runs in the browser, for development and testing
+ * Special card numbers trigger a decline, a 3-D Secure challenge or a timeout
+ */
+export class MockGatewayProvider extends CardGatewayProvider {
+    constructor({ latency }) {
+        super();
+        this.latency = latency;
+        this.payments = new Map();  // paymentId -> { status, amount, captured, refunded }
+    }
+
+    /**
+     * Wait like a network round trip would
+     */
+    delay() {
+        return new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    async authorize({ amount, details }) {
+        await this.delay();
+
+        const card = MOCK_TEST_CARDS.find(entry => entry.number === details.number);
+        const paymentId = `mock_${crypto.randomUUID()}`;
+
+        if (card?.outcome === 'timeout') {
+            // Never answers; the payment service's timeout gives up
+            return new Promise(() => {});
+        }
+        if (card?.outcome === 'decline') {
+            return { paymentId, status: PAYMENT_STATUS.DECLINED, message: 'Your card was declined.' };
+        }
+
+        const status = card?.outcome === 'challenge' ? PAYMENT_STATUS.REQUIRES_ACTION : PAYMENT_STATUS.AUTHORIZED;
+        this.payments.set(paymentId, { status, amount, captured: 0, refunded: 0 });
+
+        return {
+            paymentId,
+            status,
+            challenge: status === PAYMENT_STATUS.REQUIRES_ACTION
+                ? { prompt: `Enter the code your bank sent you (test code ${MOCK_CHALLENGE_CODE}).` }
+                : null
+        };
+    }
+
+    async confirm(payment, code) {
+        await this.delay();
+
+        const record = this.payments.get(payment.paymentId);
+        if (!record || record.status !== PAYMENT_STATUS.REQUIRES_ACTION) {
+            throw new Error('This payment is not waiting for verification');
+        }
+
+        record.status = code === MOCK_CHALLENGE_CODE ? PAYMENT_STATUS.AUTHORIZED : PAYMENT_STATUS.DECLINED;
+        return {
+            status: record.status,
+            message: record.status === PAYMENT_STATUS.DECLINED ? 'Verification failed. Your card was not charged.' : undefined
+        };
+    }
+
+    async capture(payment, amount) {
+        await this.delay();
+
+        const record = this.payments.get(payment.paymentId);
+        if (!record || record.status !== PAYMENT_STATUS.AUTHORIZED) {
+            throw new Error('Only authorized payments can be captured');
+        }
+        if (amount > record.amount) {
+            throw new Error('Cannot capture more than was authorized');
+        }
+
+        record.status = PAYMENT_STATUS.CAPTURED;
+        record.captured = amount;
+        return { status: record.status };
+    }
+
+    async refund(payment, amount) {
+        await this.delay();
+
+        const record = this.payments.get(payment.paymentId);
+        if (!record) throw new Error('Unknown payment');
+
+        // An uncaptured authorization is released in full
+        if (record.status !== PAYMENT_STATUS.CAPTURED) {
+            record.status = PAYMENT_STATUS.REFUNDED;
+            return { status: record.status };
+        }
+
+        const refundable = record.captured - record.refunded;
+        if (amount > refundable) {
+            throw new Error('Cannot refund more than was captured');
+        }
+
+        record.refunded += amount;
+        if (record.refunded >= record.captured) record.status = PAYMENT_STATUS.REFUNDED;
+        return { status: record.status };
+    }
+
+    async getStatus(payment) {
+        return { status: this.payments.get(payment.paymentId)?.status || PAYMENT_STATUS.DECLINED };
+    }
+}
+
+class PaymentService {
+    constructor() {
+        this.providers = new Map();
+
+        this.registerProvider(this.useMockGateway()
+            ? new MockGatewayProvider(config.payments.mock)
+            : new CardGatewayProvider());
+        this.registerProvider(new ETransferProvider(config.payments.etransfer));
+        this.registerProvider(new CashOnPickupProvider());
+    }
+
+    /**
+     * Whether cards go to the mock gateway; never outside debug builds
+     */
+    useMockGateway() {
+        if (config.payments.cardGateway !== 'mock') return false;
+        if (!config.debug) {
+            console.warn('The mock card gateway is only available with debug on; using the card gateway');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Add or replace a provider by name
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * Get a provider, failing loudly for unknown names
+     */
+    getProvider(name) {
+        const provider = this.providers.get(name);
+        if (!provider) throw new Error(`Unknown payment method: ${name}`);
+        return provider;
+    }
+
+    /**
+     * Methods to offer at checkout: [{ id, label, description }]
+     */
+    getMethods() {
+        return config.payments.methods
+            .filter(name => this.providers.has(name))
+            .map(name => {
+                const { label, description } = this.providers.get(name);
+                return { id: name, label, description };
+            });
+    }
+
+    /**
+     * Numbers the mock gateway reacts to (empty with a real gateway)
+     */
+    getTestCards() {
+        const card = this.providers.get('card');
+        return card instanceof MockGatewayProvider ? MOCK_TEST_CARDS : [];
+    }
+
+    /**
+     * Give up on a provider call after config.payments.timeout ms
+     */
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(
+                'The payment is taking too long. Check My Purchases before trying again.'
+            )), config.payments.timeout);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Start a payment
+     * details: masked card fields for receipts plus whatever the provider needs
+     * Returns the payment: { provider, method, amount, details, paymentId, status, ... }
+     */
+    async authorize(name, { amount, details = {} }) {
+        const provider = this.getProvider(name);
+        const result = await this.withTimeout(provider.authorize({ amount, details }));
+
+        // Full card numbers and CVVs go to the provider only
+        const { number, cvv, ...safeDetails } = details;
+        return { ...result, provider: name, method: provider.method, amount, details: safeDetails };
+    }
+
+    /**
+     * Complete a step the buyer had to take (3-D Secure code, e-Transfer sent)
+     */
+    async confirm(payment, input) {
+        const result = await this.withTimeout(this.getProvider(payment.provider).confirm(payment, input));
+        return { ...payment, ...result };
+    }
+
+    /**
+     * Take the money for what was ordered
+     */
+    async capture(payment, amount = payment.amount) {
+        const result = await this.withTimeout(this.getProvider(payment.provider).capture(payment, amount));
+        return { ...payment, ...result };
+    }
+
+    /**
+     * Return money, or release an authorization that won't be captured
+     */
+    async refund(payment, amount = payment.amount) {
+        const result = await this.withTimeout(this.getProvider(payment.provider).refund(payment, amount));
+        return { ...payment, ...result };
+    }
+
+    /**
+     * Current status from the provider
+     */
+    async getStatus(payment) {
+        return this.getProvider(payment.provider).getStatus(payment);
+    }
+
+    /**
+     * One line for receipts
+     */
+    describe(payment) {
+        return this.getProvider(payment.provider).describe(payment);
+    }
+}
+
+export default new PaymentService();
@@ -0,0 +1,194 @@
+/**
+ * Saved Search Service
+ * Stores users' saved searches locally and tracks new listings that match them
+ */
+
+import authService from './auth.service.js';
+import searchService from './search.service.js';
+import store, { actions, selectSavedSearches } from '../store.js';
+
+const STORAGE_KEY_PREFIX = 'campusswap_saved_searches';
+const MAX_NEW_MATCHES = 20;
+
+class SavedSearchService {
+    /**
+     * Storage key for the current user
+     */
+    getStorageKey() {
+        const userId = authService.getUser()?.id || 'guest';
+        return `${STORAGE_KEY_PREFIX}_${userId}`;
+    }
+
+    /**
+     * Load saved searches for the current user into the store
+     */
+    load() {
+        let searches = [];
+        try {
+            searches = JSON.parse(localStorage.getItem(this.getStorageKey()) || '[]');
+        } catch (error) {
+            console.warn('Failed to read saved searches:', error);
+        }
+
+        store.dispatch(actions.setSavedSearches(searches));
+        return searches;
+    }
+
+    /**
+     * Persist and publish saved searches
+     * If storage is full or unavailable they last until the page is closed
+     */
+    save(searches) {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(searches));
+        } catch (error) {
+            console.warn('Failed to save saved searches:', error);
+        }
+        store.dispatch(actions.setSavedSearches(searches));
+    }
+
+    /**
+     * Get saved searches from the store
+     */
+    getAll() {
+        return selectSavedSearches(store.getState());
+    }
+
+    /**
+     * Pick the saved-search criteria out of catalogue filters
+     */
+    criteriaFromFilters(filters) {
+        return {
+            searchTerm: (filters.searchTerm || '').trim(),
+            category: filters.category || 'all',
+            maxPrice: filters.maxPrice || '',
+            condition: filters.condition || ''
+        };
+    }
+
+    /**
+     * Check if criteria contain anything worth saving
+     */
+    hasCriteria(criteria) {
+        return !!(criteria.searchTerm || criteria.category !== 'all' || criteria.maxPrice || criteria.condition);
+    }
+
+    /**
+     * Find a saved search with identical criteria
+     */
+    find(criteria) {
+        return this.getAll().find(search =>
+            search.searchTerm === criteria.searchTerm &&
+            search.category === criteria.category &&
+            String(search.maxPrice) === String(criteria.maxPrice) &&
+            search.condition === criteria.condition
+        );
+    }
+
+    /**
+     * Save the given criteria (no-op if already saved)
+     */
+    add(criteria) {
+        const existing = this.find(criteria);
+        if (existing) return existing;
+
+        const now = new Date().toISOString();
+        const search = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...criteria,
+            createdAt: now,
+            lastViewedAt: now,
+            newMatches: []
+        };
+
+        this.save([...this.getAll(), search]);
+        return search;
+    }
+
+    /**
+     * Delete a saved search
+     */
+    remove(searchId) {
+        this.save(this.getAll().filter(search => search.id !== searchId));
+    }
+
+    /**
+     * Human-readable label, e.g. "calculus" in textbooks under $50
+     */
+    describe(search) {
+        const parts = [];
+        parts.push(search.searchTerm ? `"${search.searchTerm}"` : 'All listings');
+        if (search.category && search.category !== 'all') parts.push(`in ${search.category}`);
+        if (search.maxPrice) parts.push(`under $${search.maxPrice}`);
+        if (search.condition) parts.push(`(${search.condition.replace('_', ' ').toLowerCase()})`);
+        return parts.join(' ');
+    }
+
+    /**
+     * Check if a product matches a saved search
+     */
+    matches(search, product) {
+        const productCategory = product.category?.slug ||
+            (typeof product.category === 'string' ? product.category : null);
+
+        if (search.category !== 'all' && productCategory !== search.category) return false;
+        if (search.condition && product.condition !== search.condition) return false;
+        if (search.maxPrice && parseFloat(product.price) > parseFloat(search.maxPrice)) return false;
+        if (search.searchTerm) {
+            const [result] = searchService.rank([product], search.searchTerm);
+            if (!result || result.score === 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Record products listed since each search was last viewed
+     * Returns the number of newly found matches
+     */
+    checkProducts(products) {
+        const searches = this.getAll();
+        if (searches.length === 0) return 0;
+
+        let found = 0;
+        const updated = searches.map(search => {
+            const known = new Set(search.newMatches.map(match => match.id));
+            const fresh = products.filter(product =>
+                product.createdAt &&
+                new Date(product.createdAt) > new Date(search.lastViewedAt) &&
+                !known.has(product.id) &&
+                this.matches(search, product)
+            );
+
+            if (fresh.length === 0) return search;
+            found += fresh.length;
+
+            const newMatches = [
+                ...fresh.map(product => ({
+                    id: product.id,
+                    title: product.title,
+                    price: product.price,
+                    createdAt: product.createdAt
+                })),
+                ...search.newMatches
+            ].slice(0, MAX_NEW_MATCHES);
+
+            return { ...search, newMatches };
+        });
+
+        if (found > 0) this.save(updated);
+        return found;
+    }
+
+    /**
+     * Mark every saved search as viewed (clears new matches)
+     */
+    markAllViewed() {
+        const now = new Date().toISOString();
+        const searches = this.getAll();
+        if (searches.length === 0) return;
+
+        this.save(searches.map(search => ({ ...search, lastViewedAt: now, newMatches: [] })));
+    }
+}
+
+export default new SavedSearchService();
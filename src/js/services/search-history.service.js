@@ -0,0 +1,116 @@
+/**
+ * Search History Service
+ * Remembers each user's recent searches locally and provides trending queries
+ */
+
+import apiService from './api.service.js';
+import authService from './auth.service.js';
+
+const RECENT_KEY_PREFIX = 'campusswap_recent_searches';
+const COUNTS_KEY = 'campusswap_search_counts';
+const MAX_RECENT = 10;
+
+class SearchHistoryService {
+    constructor() {
+        this.trending = [];
+    }
+
+    /**
+     * Storage key for the current user (guests share one list per device)
+     */
+    getRecentKey() {
+        const userId = authService.getUser()?.id || 'guest';
+        return `${RECENT_KEY_PREFIX}_${userId}`;
+    }
+
+    /**
+     * Get recent searches, newest first
+     */
+    getRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getRecentKey()) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Record a committed search
+     */
+    addRecent(query) {
+        const trimmed = query.trim();
+        if (!trimmed) return;
+
+        const recent = this.getRecent().filter(q => q.toLowerCase() !== trimmed.toLowerCase());
+        recent.unshift(trimmed);
+        try {
+            localStorage.setItem(this.getRecentKey(), JSON.stringify(recent.slice(0, MAX_RECENT)));
+        } catch (error) {
+            console.warn('Failed to save recent searches:', error);
+        }
+
+        this.incrementCount(trimmed.toLowerCase());
+    }
+
+    /**
+     * Clear the current user's recent searches
+     */
+    clearRecent() {
+        localStorage.removeItem(this.getRecentKey());
+    }
+
+    /**
+     * Count searches on this device (fallback for trending)
+     */
+    incrementCount(query) {
+        try {
+            const counts = JSON.parse(localStorage.getItem(COUNTS_KEY) || '{}');
+            counts[query] = (counts[query] || 0) + 1;
+            localStorage.setItem(COUNTS_KEY, JSON.stringify(counts));
+        } catch (error) {
+            console.warn('Failed to update search counts:', error);
+        }
+    }
+
+    /**
+     * Load trending queries from the API, falling back to local counts
+     */
+    async loadTrending(limit = 5) {
+        try {
+            const response = await apiService.getTrendingSearches(limit);
+            this.trending = (response.data || [])
+                .map(item => (typeof item === 'string' ? item : item.query))
+                .filter(Boolean)
+                .slice(0, limit);
+        } catch (error) {
+            console.warn('Trending searches unavailable, using local history:', error);
+            this.trending = this.getLocalPopular(limit);
+        }
+
+        return this.trending;
+    }
+
+    /**
+     * Most frequent searches on this device
+     */
+    getLocalPopular(limit = 5) {
+        try {
+            const counts = JSON.parse(localStorage.getItem(COUNTS_KEY) || '{}');
+            return Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, limit)
+                .map(([query]) => query);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get cached trending queries
+     */
+    getTrending() {
+        return this.trending;
+    }
+}
+
+export default new SearchHistoryService();
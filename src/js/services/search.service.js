@@ -0,0 +1,302 @@
+/**
+ * Search Service
+ * Client-side search index over loaded products
+ * Tokenisation, course-code normalisation, typo tolerance and field weighting
+ */
+
+/**
+ * Field weights: course code > title > course name > description
+ */
+const FIELD_WEIGHTS = {
+    courseCode: 5,
+    title: 3,
+    courseName: 2,
+    description: 1
+};
+
+const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.6
+};
+
+/**
+ * Normalise a course code so "MATH 1013", "math1013" and "Math-1013" compare equal
+ */
+export function normalizeCourseCode(code) {
+    return (code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split text into lowercase, accent-free word tokens
+ */
+export function tokenize(text) {
+    return (text || '')
+        .toString()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment)
+ * Stops early once the distance is known to exceed maxDistance
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        let rowMin = Infinity;
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, d[i][j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Allowed typos for a token of a given length
+ */
+function allowedTypos(token) {
+    if (token.length <= 3) return 0;
+    if (token.length <= 6) return 1;
+    return 2;
+}
+
+class SearchService {
+    constructor() {
+        this.documents = new Map();
+        this.vocabulary = null;
+    }
+
+    /**
+     * Add (or refresh) products in the index
+     */
+    addProducts(products) {
+        products.forEach(product => {
+            const fields = {};
+            Object.keys(FIELD_WEIGHTS).forEach(field => {
+                fields[field] = tokenize(product[field]);
+            });
+
+            this.documents.set(product.id, {
+                product,
+                fields,
+                courseKey: normalizeCourseCode(product.courseCode)
+            });
+        });
+
+        this.vocabulary = null;
+    }
+
+    /**
+     * Search every indexed product, best match first
+     * Returns [{ product, score, terms }]
+     */
+    search(query) {
+        return this.rank(Array.from(this.documents.values()).map(doc => doc.product), query)
+            .filter(result => result.score > 0);
+    }
+
+    /**
+     * Rank a list of products against a query
+     * Products that do not match keep their relative order at the end
+     */
+    rank(products, query) {
+        const queryTokens = tokenize(query);
+        const queryCourseKey = normalizeCourseCode(query);
+
+        return products
+            .map((product, index) => ({ index, ...this.scoreProduct(product, queryTokens, queryCourseKey) }))
+            .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+            .map(({ index, ...result }) => result);
+    }
+
+    /**
+     * Score one product; every query token must match some field
+     */
+    scoreProduct(product, queryTokens, queryCourseKey) {
+        const doc = this.documents.get(product.id) || {
+            fields: Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(f => [f, tokenize(product[f])])),
+            courseKey: normalizeCourseCode(product.courseCode)
+        };
+        const terms = new Set();
+
+        if (queryTokens.length === 0) return { product, score: 0, terms: [] };
+
+        // "math1013" / "MATH 1013" typed as a whole course code
+        if (doc.courseKey && queryCourseKey.length >= 4 && doc.courseKey.startsWith(queryCourseKey)) {
+            doc.fields.courseCode.forEach(t => terms.add(t));
+            return { product, score: FIELD_WEIGHTS.courseCode * 2, terms: [...terms] };
+        }
+
+        let score = 0;
+        for (const queryToken of queryTokens) {
+            let best = 0;
+            let bestTerm = null;
+
+            Object.entries(doc.fields).forEach(([field, tokens]) => {
+                tokens.forEach(token => {
+                    const match = this.matchToken(queryToken, token) * FIELD_WEIGHTS[field];
+                    if (match > best) {
+                        best = match;
+                        bestTerm = token;
+                    }
+                });
+            });
+
+            if (best === 0) return { product, score: 0, terms: [] };
+            score += best;
+            terms.add(bestTerm);
+        }
+
+        return { product, score, terms: [...terms] };
+    }
+
+    /**
+     * How well a query token matches an indexed token (0 when it does not)
+     */
+    matchToken(queryToken, token) {
+        if (queryToken === token) return MATCH_SCORES.exact;
+        if (queryToken.length >= 2 && token.startsWith(queryToken)) return MATCH_SCORES.prefix;
+
+        const maxTypos = allowedTypos(queryToken);
+        if (maxTypos === 0) return 0;
+
+        const distance = editDistance(queryToken, token, maxTypos);
+        return distance <= maxTypos ? MATCH_SCORES.fuzzy - 0.1 * (distance - 1) : 0;
+    }
+
+    /**
+     * Typeahead suggestions: matching course codes, categories and titles
+     * Returns [{ type: 'course' | 'category' | 'title', label, value }]
+     */
+    autocomplete(query, limit = 8) {
+        const queryTokens = tokenize(query);
+        const queryCourseKey = normalizeCourseCode(query);
+        if (queryTokens.length === 0) return [];
+
+        const suggestions = new Map();
+        const add = (type, label, value, score) => {
+            const key = `${type}:${label.toLowerCase()}`;
+            const existing = suggestions.get(key);
+            if (!existing || existing.score < score) {
+                suggestions.set(key, { type, label, value, score });
+            }
+        };
+
+        this.documents.forEach(({ product, courseKey }) => {
+            if (courseKey && courseKey.startsWith(queryCourseKey)) {
+                const code = product.courseCode.trim();
+                add('course', code, code, 3);
+            }
+
+            const categoryName = product.category?.name ||
+                (typeof product.category === 'string' ? product.category : '');
+            const categorySlug = product.category?.slug || categoryName.toLowerCase();
+            if (categoryName && tokenize(categoryName).some(t => queryTokens.some(q => t.startsWith(q)))) {
+                add('category', categoryName, categorySlug, 2);
+            }
+
+            const titleTokens = tokenize(product.title);
+            const titleScore = queryTokens.reduce((total, queryToken) => {
+                if (total === null) return null;
+                const best = Math.max(0, ...titleTokens.map(t => this.matchToken(queryToken, t)));
+                return best > 0 ? total + best : null;
+            }, 0);
+            if (titleScore) {
+                add('title', product.title, product.title, 1 + titleScore / queryTokens.length);
+            }
+        });
+
+        return Array.from(suggestions.values())
+            .sort((a, b) => (b.score - a.score) || a.label.localeCompare(b.label))
+            .slice(0, limit)
+            .map(({ score, ...suggestion }) => suggestion);
+    }
+
+    /**
+     * "Did you mean" suggestions for a query with no results
+     */
+    suggest(query, limit = 3) {
+        const queryTokens = tokenize(query);
+        if (queryTokens.length === 0) return [];
+
+        const vocabulary = this.getVocabulary();
+        const suggestions = new Set();
+
+        // Closest course code for course-code-like queries
+        const queryCourseKey = normalizeCourseCode(query);
+        if (/\d/.test(queryCourseKey)) {
+            const code = this.closestTerm(queryCourseKey, vocabulary.courseCodes, 2);
+            if (code) suggestions.add(vocabulary.courseLabels.get(code));
+        }
+
+        // Replace each token with its closest known word
+        const corrected = queryTokens.map(token => this.closestTerm(token, vocabulary.words, 2) || token);
+        const correctedQuery = corrected.join(' ');
+        if (correctedQuery !== queryTokens.join(' ')) suggestions.add(correctedQuery);
+
+        return [...suggestions].filter(Boolean).slice(0, limit);
+    }
+
+    /**
+     * Find the closest term within maxDistance, preferring frequent terms
+     */
+    closestTerm(token, terms, maxDistance) {
+        let best = null;
+        let bestDistance = maxDistance + 1;
+        let bestCount = 0;
+
+        terms.forEach((count, term) => {
+            const distance = editDistance(token, term, maxDistance);
+            if (distance < bestDistance || (distance === bestDistance && count > bestCount)) {
+                best = term;
+                bestDistance = distance;
+                bestCount = count;
+            }
+        });
+
+        return bestDistance <= maxDistance && best !== token ? best : null;
+    }
+
+    /**
+     * Word and course code frequencies across the index (cached)
+     */
+    getVocabulary() {
+        if (this.vocabulary) return this.vocabulary;
+
+        const words = new Map();
+        const courseCodes = new Map();
+        const courseLabels = new Map();
+
+        this.documents.forEach(doc => {
+            Object.values(doc.fields).flat().forEach(token => {
+                words.set(token, (words.get(token) || 0) + 1);
+            });
+            if (doc.courseKey) {
+                courseCodes.set(doc.courseKey, (courseCodes.get(doc.courseKey) || 0) + 1);
+                courseLabels.set(doc.courseKey, doc.product.courseCode.trim());
+            }
+        });
+
+        this.vocabulary = { words, courseCodes, courseLabels };
+        return this.vocabulary;
+    }
+}
+
+export default new SearchService();
@@ -0,0 +1,129 @@
+/**
+ * Wishlist Service
+ * Products the user has liked, saved to their account so they follow them
+ * across devices and count towards each listing's likes
+ *
+ * Guests' likes stay on this device under the key the legacy main.js used
+ * ('campusswap_likes') and are moved to the account on the next sign-in.
+ */
+
+import apiService from './api.service.js';
+import authService from './auth.service.js';
+import store, { actions, selectWishlist, selectProductById } from '../store.js';
+
+const LOCAL_LIKES_KEY = 'campusswap_likes';
+
+class WishlistService {
+    /**
+     * Get wishlist items from the store
+     */
+    getItems() {
+        return selectWishlist(store.getState());
+    }
+
+    /**
+     * Check if a product is on the wishlist
+     */
+    isLiked(productId) {
+        return this.getItems().some(item => item.productId === productId);
+    }
+
+    /**
+     * Product IDs liked on this device while signed out
+     */
+    getLocalLikes() {
+        try {
+            return JSON.parse(localStorage.getItem(LOCAL_LIKES_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Load the wishlist for the current user (or this device's likes for guests)
+     */
+    async load() {
+        if (!authService.isAuthenticated()) {
+            store.dispatch(actions.setWishlist(this.getLocalLikes().map(productId => ({ productId, product: null }))));
+            return;
+        }
+
+        await this.migrateLocalLikes();
+
+        const response = await apiService.getWishlist();
+        store.dispatch(actions.setWishlist(response.data || []));
+    }
+
+    /**
+     * Move likes saved on this device into the account
+     * Kept locally if the upload fails so the next sign-in retries
+     */
+    async migrateLocalLikes() {
+        const productIds = this.getLocalLikes();
+        if (productIds.length === 0) return;
+
+        try {
+            await apiService.importWishlist(productIds);
+            localStorage.removeItem(LOCAL_LIKES_KEY);
+        } catch (error) {
+            console.warn('Could not move local likes to your account:', error);
+        }
+    }
+
+    /**
+     * Like or unlike a product; updates the store first and rolls back if saving fails
+     * Returns true when the product is now liked
+     */
+    async toggle(product) {
+        const previous = this.getItems();
+        const liked = !this.isLiked(product.id);
+
+        store.dispatch(actions.setWishlist(liked
+            ? [{
+                productId: product.id,
+                product,
+                savedPrice: product.price,
+                savedQuantity: product.quantity,
+                createdAt: new Date().toISOString()
+            }, ...previous]
+            : previous.filter(item => item.productId !== product.id)
+        ));
+        this.adjustLikeCount(product, liked ? 1 : -1);
+
+        try {
+            if (!authService.isAuthenticated()) {
+                localStorage.setItem(LOCAL_LIKES_KEY, JSON.stringify(this.getItems().map(item => item.productId)));
+            } else if (liked) {
+                await apiService.addToWishlist(product.id);
+            } else {
+                await apiService.removeFromWishlist(product.id);
+            }
+        } catch (error) {
+            store.dispatch(actions.setWishlist(previous));
+            this.adjustLikeCount(product, liked ? -1 : 1);
+            throw error;
+        }
+
+        return liked;
+    }
+
+    /**
+     * Keep the like count on a loaded product card in step with a toggle
+     */
+    adjustLikeCount(product, delta) {
+        const current = selectProductById(store.getState(), product.id) || product;
+        store.dispatch(actions.updateProduct(product.id, {
+            likeCount: Math.max(0, (current.likeCount || 0) + delta)
+        }));
+    }
+
+    /**
+     * Remove a product from the wishlist
+     */
+    async remove(productId) {
+        const item = this.getItems().find(entry => entry.productId === productId);
+        if (item) await this.toggle(item.product || { id: productId });
+    }
+}
+
+export default new WishlistService();
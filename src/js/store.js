@@ -0,0 +1,312 @@
+/**
+ * Store
+ * Single observable application state with actions, selectors and subscriptions
+ *
+ * Replaces the state that used to live on AppController fields,
+ * cartService.cart, authService.currentUser and the legacy CampusSwap.state.
+ * Components subscribe to the slice they render and are notified only when
+ * that slice changes.
+ */
+
+import { config } from './config.js';
+import { DEFAULT_FILTERS } from './utils/catalog-query.js';
+import { getAvailableActions } from './utils/order-status.js';
+import { hasWishlistAlert } from './utils/wishlist.js';
+
+const MAX_LOG_ENTRIES = 100;
+
+const initialState = {
+    products: {
+        items: [],
+        pagination: {
+            page: 1,
+            pageSize: DEFAULT_FILTERS.pageSize,
+            total: 0,
+            totalPages: 1
+        }
+    },
+    filters: { ...DEFAULT_FILTERS },
+    cart: {
+        items: []
+    },
+    auth: {
+        user: null
+    },
+    savedSearches: {
+        items: []
+    },
+    messages: {
+        conversations: []
+    },
+    sales: {
+        orders: []
+    },
+    wishlist: {
+        items: []
+    },
+    notifications: {
+        items: [],
+        watches: []
+    }
+};
+
+/**
+ * Reducers keyed by action type
+ * Each returns a new state object and never mutates the previous one
+ */
+const reducers = {
+    SET_PRODUCTS: (state, { products, pagination }) => ({
+        ...state,
+        products: { ...state.products, items: products, pagination }
+    }),
+
+    UPDATE_PRODUCT: (state, { productId, changes }) => ({
+        ...state,
+        products: {
+            ...state.products,
+            items: state.products.items.map(product => (product.id === productId ? { ...product, ...changes } : product))
+        }
+    }),
+
+    SET_FILTERS: (state, filters) => ({
+        ...state,
+        filters: { ...state.filters, ...filters }
+    }),
+
+    SET_CART_ITEMS: (state, { items }) => ({
+        ...state,
+        cart: { ...state.cart, items }
+    }),
+
+    SET_USER: (state, { user }) => ({
+        ...state,
+        auth: { ...state.auth, user }
+    }),
+
+    SET_SAVED_SEARCHES: (state, { items }) => ({
+        ...state,
+        savedSearches: { ...state.savedSearches, items }
+    }),
+
+    SET_CONVERSATIONS: (state, { conversations }) => ({
+        ...state,
+        messages: { ...state.messages, conversations }
+    }),
+
+    SET_SALES: (state, { orders }) => ({
+        ...state,
+        sales: { ...state.sales, orders }
+    }),
+
+    SET_WISHLIST: (state, { items }) => ({
+        ...state,
+        wishlist: { ...state.wishlist, items }
+    }),
+
+    SET_NOTIFICATIONS: (state, { items }) => ({
+        ...state,
+        notifications: { ...state.notifications, items }
+    }),
+
+    SET_WATCHES: (state, { watches }) => ({
+        ...state,
+        notifications: { ...state.notifications, watches }
+    })
+};
+
+/**
+ * Action creators
+ */
+export const actions = {
+    setProducts: (products, pagination) => ({ type: 'SET_PRODUCTS', payload: { products, pagination } }),
+    updateProduct: (productId, changes) => ({ type: 'UPDATE_PRODUCT', payload: { productId, changes } }),
+    // Changing any filter returns to the first page unless a page is given
+    setFilters: (filters) => ({ type: 'SET_FILTERS', payload: { page: 1, ...filters } }),
+    setCategory: (category) => actions.setFilters({ category }),
+    setSearchTerm: (searchTerm) => actions.setFilters({ searchTerm }),
+    setSort: (sortBy, sortOrder) => actions.setFilters({ sortBy, sortOrder }),
+    setPage: (page) => ({ type: 'SET_FILTERS', payload: { page } }),
+    setCartItems: (items) => ({ type: 'SET_CART_ITEMS', payload: { items } }),
+    setUser: (user) => ({ type: 'SET_USER', payload: { user } }),
+    setSavedSearches: (items) => ({ type: 'SET_SAVED_SEARCHES', payload: { items } }),
+    setConversations: (conversations) => ({ type: 'SET_CONVERSATIONS', payload: { conversations } }),
+    setSales: (orders) => ({ type: 'SET_SALES', payload: { orders } }),
+    setWishlist: (items) => ({ type: 'SET_WISHLIST', payload: { items } }),
+    setNotifications: (items) => ({ type: 'SET_NOTIFICATIONS', payload: { items } }),
+    setWatches: (watches) => ({ type: 'SET_WATCHES', payload: { watches } })
+};
+
+/**
+ * Selectors
+ */
+export const selectProducts = (state) => state.products.items;
+export const selectPagination = (state) => state.products.pagination;
+export const selectFilters = (state) => state.filters;
+export const selectCartItems = (state) => state.cart.items;
+export const selectCurrentUser = (state) => state.auth.user;
+export const selectSavedSearches = (state) => state.savedSearches.items;
+export const selectConversations = (state) => state.messages.conversations;
+export const selectSales = (state) => state.sales.orders;
+export const selectWishlist = (state) => state.wishlist.items;
+export const selectNotifications = (state) => state.notifications.items;
+export const selectWatches = (state) => state.notifications.watches;
+
+export const selectNewMatchCount = (state) =>
+    state.savedSearches.items.reduce((count, search) => count + search.newMatches.length, 0);
+
+export const selectUnreadMessageCount = (state) =>
+    state.messages.conversations.reduce((count, conversation) => count + (conversation.unreadCount || 0), 0);
+
+// Incoming orders waiting on the seller (accept, mark ready, hand over)
+export const selectPendingSalesCount = (state) =>
+    state.sales.orders.filter(order => getAvailableActions(order, 'seller').length > 0).length;
+
+// Saved products that got cheaper or came back in stock
+export const selectWishlistAlertCount = (state) =>
+    state.wishlist.items.filter(hasWishlistAlert).length;
+
+export const selectUnreadNotificationCount = (state) =>
+    state.notifications.items.filter(notification => !notification.read).length;
+
+export const selectCartCount = (state) =>
+    state.cart.items.reduce((count, item) => count + item.quantity, 0);
+
+export const selectCartTotal = (state) =>
+    state.cart.items.reduce((total, item) => {
+        const price = parseFloat(item.product?.price || 0);
+        return total + (price * item.quantity);
+    }, 0);
+
+export const selectProductById = (state, productId) =>
+    state.products.items.find(p => p.id === productId);
+
+/**
+ * Compare two objects one level deep
+ * Useful for selectors that combine several slices
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+
+    return keysA.every(key => Object.is(a[key], b[key]));
+}
+
+class Store {
+    constructor(reducers, initialState) {
+        this.reducers = reducers;
+        this.state = initialState;
+        this.subscriptions = new Set();
+        this.actionLog = [];
+    }
+
+    /**
+     * Get current state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Dispatch an action through its reducer and notify subscribers
+     */
+    dispatch(action) {
+        const reducer = this.reducers[action.type];
+        if (!reducer) {
+            console.warn(`Unknown store action: ${action.type}`);
+            return action;
+        }
+
+        const prevState = this.state;
+        this.state = reducer(prevState, action.payload || {});
+
+        if (config.debug) {
+            this.logAction(action, prevState, this.state);
+        }
+
+        if (this.state !== prevState) {
+            this.notify();
+        }
+
+        return action;
+    }
+
+    /**
+     * Subscribe to a slice of state
+     * The listener runs only when the selected value changes
+     * Returns an unsubscribe function
+     */
+    subscribe(selector, listener, { equals = Object.is, immediate = false } = {}) {
+        const subscription = {
+            selector,
+            listener,
+            equals,
+            value: selector(this.state)
+        };
+
+        this.subscriptions.add(subscription);
+
+        if (immediate) {
+            listener(subscription.value, undefined);
+        }
+
+        return () => this.subscriptions.delete(subscription);
+    }
+
+    /**
+     * Notify subscribers whose slice changed
+     */
+    notify() {
+        Array.from(this.subscriptions).forEach(subscription => {
+            if (!this.subscriptions.has(subscription)) return;
+
+            const next = subscription.selector(this.state);
+            if (subscription.equals(next, subscription.value)) return;
+
+            const previous = subscription.value;
+            subscription.value = next;
+
+            try {
+                subscription.listener(next, previous);
+            } catch (error) {
+                console.error('Store subscriber error:', error);
+            }
+        });
+    }
+
+    /**
+     * Record an action in the devtools-style log
+     * Printed to the console only with config.logActions on
+     */
+    logAction(action, prevState, nextState) {
+        this.actionLog.push({
+            type: action.type,
+            payload: action.payload,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.actionLog.length > MAX_LOG_ENTRIES) {
+            this.actionLog.shift();
+        }
+
+        if (!config.logActions) return;
+
+        console.groupCollapsed(`🗂️ ${action.type}`);
+        console.log('prev state', prevState);
+        console.log('action', action);
+        console.log('next state', nextState);
+        console.groupEnd();
+    }
+}
+
+const store = new Store(reducers, initialState);
+
+// Expose store for inspection from the browser console while debugging
+if (config.debug) {
+    window.__CAMPUSSWAP_STORE__ = store;
+}
+
+export default store;
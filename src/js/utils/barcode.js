@@ -0,0 +1,208 @@
+/**
+ * Barcode Utilities
+ * Read EAN-13 barcodes (the barcode printed on books) from images and video frames.
+ * Uses the browser BarcodeDetector when it supports EAN-13, otherwise a pure-JS decoder
+ * that scans horizontal lines of the image.
+ */
+
+// Bar/space widths (in modules) of each digit's L-code; R-codes share them, G-codes are reversed
+const DIGIT_WIDTHS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+
+// L/G parity of the six left-hand digits encodes the first digit
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Runs in a full symbol: start guard 3, six digits × 4, middle guard 5, six digits × 4, end guard 3
+const SYMBOL_RUNS = 59;
+
+const MAX_SCAN_WIDTH = 1000;
+const SCAN_LINES = 24;
+
+let nativeDetector;
+
+/**
+ * BarcodeDetector instance when the browser supports EAN-13, otherwise null
+ */
+async function getNativeDetector() {
+    if (nativeDetector !== undefined) return nativeDetector;
+
+    nativeDetector = null;
+    if (typeof window !== 'undefined' && 'BarcodeDetector' in window) {
+        try {
+            const formats = await window.BarcodeDetector.getSupportedFormats();
+            if (formats.includes('ean_13')) {
+                nativeDetector = new window.BarcodeDetector({ formats: ['ean_13'] });
+            }
+        } catch (error) {
+            console.warn('BarcodeDetector unavailable:', error);
+        }
+    }
+    return nativeDetector;
+}
+
+/**
+ * Validate an EAN-13 check digit
+ */
+export function isValidEAN13(code) {
+    if (!/^\d{13}$/.test(code)) return false;
+    const sum = code.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+}
+
+/**
+ * Best-matching digit for four run widths; returns { digit, reversed, error }
+ */
+function matchDigit(runs) {
+    const total = runs.reduce((sum, run) => sum + run, 0);
+    const normalized = runs.map(run => (run * 7) / total);
+
+    let best = { digit: -1, reversed: false, error: Infinity };
+    DIGIT_WIDTHS.forEach((widths, digit) => {
+        [false, true].forEach(reversed => {
+            const expected = reversed ? [...widths].reverse() : widths;
+            const error = expected.reduce((sum, width, i) => sum + Math.abs(width - normalized[i]), 0);
+            if (error < best.error) best = { digit, reversed, error };
+        });
+    });
+    return best;
+}
+
+/**
+ * Decode one symbol from run widths starting at a bar; returns the code or null
+ */
+function decodeRuns(runs) {
+    const module = (runs[0] + runs[1] + runs[2]) / 3;
+    const guardOk = (start, count) => runs
+        .slice(start, start + count)
+        .every(run => run > module * 0.5 && run < module * 1.5);
+
+    if (!guardOk(0, 3) || !guardOk(27, 5) || !guardOk(56, 3)) return null;
+
+    let parity = '';
+    const digits = [];
+
+    for (let i = 0; i < 12; i++) {
+        const start = i < 6 ? 3 + i * 4 : 32 + (i - 6) * 4;
+        const match = matchDigit(runs.slice(start, start + 4));
+        if (match.error > 2.5) return null;
+
+        if (i < 6) {
+            // Left half: L-codes read as-is, G-codes are the reversed R-code widths
+            parity += match.reversed ? 'G' : 'L';
+        } else if (match.reversed) {
+            return null;
+        }
+        digits.push(match.digit);
+    }
+
+    const first = FIRST_DIGIT_PARITY.indexOf(parity);
+    if (first === -1) return null;
+
+    const code = `${first}${digits.join('')}`;
+    return isValidEAN13(code) ? code : null;
+}
+
+/**
+ * Alternating run lengths of one row, starting with the first dark run
+ */
+function rowRuns(data, width, y) {
+    const luminance = new Array(width);
+    let min = 255;
+    let max = 0;
+
+    for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const value = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        luminance[x] = value;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+
+    // Not enough contrast to hold a barcode
+    if (max - min < 40) return [];
+
+    const threshold = (min + max) / 2;
+    const runs = [];
+    let dark = luminance[0] < threshold;
+    let length = 0;
+
+    luminance.forEach(value => {
+        const isDark = value < threshold;
+        if (isDark === dark) {
+            length++;
+        } else {
+            runs.push({ dark, length });
+            dark = isDark;
+            length = 1;
+        }
+    });
+    runs.push({ dark, length });
+
+    return runs;
+}
+
+/**
+ * Pure-JS EAN-13 decoder for ImageData; returns the 13-digit code or null
+ */
+export function decodeEAN13(imageData) {
+    const { data, width, height } = imageData;
+
+    for (let line = 0; line < SCAN_LINES; line++) {
+        // Start in the middle and work outwards, where the barcode most likely is
+        const offset = Math.ceil(line / 2) * (line % 2 === 0 ? 1 : -1);
+        const y = Math.round(height / 2 + (offset * height) / (SCAN_LINES + 2));
+        if (y < 0 || y >= height) continue;
+
+        const runs = rowRuns(data, width, y);
+
+        // Try both directions so upside-down barcodes read too
+        for (const ordered of [runs, [...runs].reverse()]) {
+            for (let start = 0; start + SYMBOL_RUNS <= ordered.length; start++) {
+                if (!ordered[start].dark) continue;
+                const code = decodeRuns(ordered.slice(start, start + SYMBOL_RUNS).map(run => run.length));
+                if (code) return code;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Draw an image, canvas, bitmap or current video frame and read its pixels
+ */
+function toImageData(source) {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, MAX_SCAN_WIDTH / sourceWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(sourceWidth * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Read an EAN-13 barcode from an image element, canvas, ImageBitmap or playing video
+ * Resolves to the 13-digit code or null
+ */
+export async function detectBarcode(source) {
+    const detector = await getNativeDetector();
+    if (detector) {
+        try {
+            const [barcode] = await detector.detect(source);
+            return barcode && isValidEAN13(barcode.rawValue) ? barcode.rawValue : null;
+        } catch (error) {
+            console.warn('BarcodeDetector failed, using fallback decoder:', error);
+        }
+    }
+
+    const imageData = toImageData(source);
+    return imageData ? decodeEAN13(imageData) : null;
+}
@@ -0,0 +1,67 @@
+/**
+ * Cart Utilities
+ * Grouping a cart by seller (every seller gets their own order, meetup and subtotal)
+ * and checking cart quantities against stock
+ *
+ * Item: { productId, quantity, product }
+ */
+
+/**
+ * Seller of a cart item (products loaded without the seller only carry sellerId)
+ */
+export function getItemSeller(item) {
+    return item.product?.seller || { id: item.product?.sellerId ?? null };
+}
+
+/**
+ * Seller's display name
+ */
+export function getSellerName(seller) {
+    if (seller?.firstName && seller?.lastName) return `${seller.firstName} ${seller.lastName}`;
+    return seller?.username ? `@${seller.username}` : 'Unknown seller';
+}
+
+/**
+ * Price of one cart line
+ */
+export function getLineTotal(item) {
+    return parseFloat(item.product?.price || 0) * item.quantity;
+}
+
+/**
+ * Cart items grouped by seller, in the order sellers first appear
+ * Returns [{ seller, items, subtotal }]
+ */
+export function groupCartBySeller(cart) {
+    const groups = new Map();
+
+    cart.forEach(item => {
+        const seller = getItemSeller(item);
+        if (!groups.has(seller.id)) {
+            groups.set(seller.id, { seller, items: [], subtotal: 0 });
+        }
+        const group = groups.get(seller.id);
+        group.items.push(item);
+        group.subtotal += getLineTotal(item);
+    });
+
+    return Array.from(groups.values());
+}
+
+/**
+ * How many of an item's product can be bought (Infinity when stock is unknown)
+ */
+export function getAvailableQuantity(item) {
+    const stock = item.product?.quantity;
+    return Number.isFinite(stock) ? Math.max(0, stock) : Infinity;
+}
+
+/**
+ * Cart lines asking for more than is in stock
+ * Returns [{ item, available }]; available is 0 for sold-out products
+ */
+export function getStockIssues(cart) {
+    return cart
+        .map(item => ({ item, available: getAvailableQuantity(item) }))
+        .filter(({ item, available }) => item.quantity > available);
+}
@@ -0,0 +1,81 @@
+/**
+ * Catalogue Query Utilities
+ * Converts product filters to and from the URL query string
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Default catalogue filters
+ */
+export const DEFAULT_FILTERS = {
+    searchTerm: '',
+    category: 'all',
+    condition: '',
+    minPrice: '',
+    maxPrice: '',
+    courseCode: '',
+    sellerId: '',
+    sortBy: '',
+    sortOrder: '',
+    page: 1,
+    pageSize: config.productsPageSize
+};
+
+/**
+ * Filter key → URL key
+ * Short keys keep shared links readable
+ */
+const URL_KEYS = {
+    searchTerm: 'q',
+    category: 'category',
+    condition: 'condition',
+    minPrice: 'min',
+    maxPrice: 'max',
+    courseCode: 'course',
+    sellerId: 'seller',
+    page: 'page',
+    pageSize: 'size'
+};
+
+/**
+ * Convert filters to URL query params, omitting defaults
+ */
+export function filtersToQuery(filters) {
+    const query = {};
+
+    Object.entries(URL_KEYS).forEach(([key, urlKey]) => {
+        const value = filters[key];
+        if (value === undefined || value === null || value === '') return;
+        if (String(value) === String(DEFAULT_FILTERS[key])) return;
+        query[urlKey] = value;
+    });
+
+    if (filters.sortBy) {
+        query.sort = filters.sortOrder ? `${filters.sortBy}-${filters.sortOrder}` : filters.sortBy;
+    }
+
+    return query;
+}
+
+/**
+ * Convert URL query params back to a complete filters object
+ */
+export function queryToFilters(query = {}) {
+    const filters = { ...DEFAULT_FILTERS };
+
+    Object.entries(URL_KEYS).forEach(([key, urlKey]) => {
+        if (query[urlKey] !== undefined) filters[key] = query[urlKey];
+    });
+
+    if (query.sort) {
+        const [sortBy, sortOrder = ''] = query.sort.split('-');
+        filters.sortBy = sortBy;
+        filters.sortOrder = sortOrder;
+    }
+
+    filters.page = Math.max(1, parseInt(filters.page, 10) || 1);
+    filters.pageSize = Math.min(100, Math.max(1, parseInt(filters.pageSize, 10) || DEFAULT_FILTERS.pageSize));
+
+    return filters;
+}
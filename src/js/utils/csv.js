@@ -0,0 +1,67 @@
+/**
+ * CSV Utilities
+ * Parse and build RFC 4180 CSV (quoted fields, escaped quotes, line breaks inside quotes)
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip the byte order mark Excel adds to UTF-8 exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Quote a field when it contains a comma, quote or line break
+ */
+function escapeField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows of fields
+ */
+export function toCSV(rows) {
+    return rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
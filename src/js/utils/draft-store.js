@@ -0,0 +1,72 @@
+/**
+ * Draft Store
+ * Keeps unsaved form drafts in IndexedDB so they survive closing the modal or the tab
+ * IndexedDB (unlike localStorage) can hold the photo files a draft refers to
+ */
+
+const DB_NAME = 'campusswap';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the database
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Run one request against the drafts store
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Load a draft; resolves to { key, data, savedAt } or null
+ */
+export async function loadDraft(key) {
+    const record = await withStore('readonly', store => store.get(key));
+    return record || null;
+}
+
+/**
+ * Save (replace) a draft
+ */
+export function saveDraft(key, data) {
+    return withStore('readwrite', store => store.put({ key, data, savedAt: new Date().toISOString() }));
+}
+
+/**
+ * Delete a draft
+ */
+export function deleteDraft(key) {
+    return withStore('readwrite', store => store.delete(key));
+}
@@ -4,6 +4,9 @@
  */
 
 import { categoryEmojis } from '../config.js';
+import { showToast } from './toast.js';
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 /**
  * Format currency
@@ -19,6 +22,27 @@ export function formatDate(date) {
     return new Date(date).toLocaleDateString();
 }
 
+/**
+ * Format how long ago a date was, e.g. "3 days ago"
+ */
+export function formatRelativeTime(date) {
+    const seconds = Math.round((Date.now() - new Date(date).getTime()) / 1000);
+    if (Number.isNaN(seconds)) return '';
+    if (seconds < 60) return 'just now';
+
+    const units = [
+        ['year', 31536000],
+        ['month', 2592000],
+        ['week', 604800],
+        ['day', 86400],
+        ['hour', 3600],
+        ['minute', 60]
+    ];
+    const [unit, size] = units.find(([, size]) => seconds >= size);
+    const value = Math.floor(seconds / size);
+    return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
+}
+
 /**
  * Get category emoji
  */
@@ -44,25 +68,66 @@ export function debounce(func, wait) {
 
 /**
  * Show notification
+ * Queued and stacked with any others (see utils/toast.js); type is
+ * 'success', 'info', 'warning' or 'error'
+ * options: { actions: [{ label, onClick }], duration }
+ */
+export function showNotification(message, type = 'success', options = {}) {
+    return showToast(message, { ...options, type });
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+export function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text and wrap words found in terms with <mark>
+ * Terms are lowercase, accent-free tokens (see search.service.js)
+ */
+export function highlightText(text, terms = []) {
+    const termSet = new Set(terms);
+
+    return String(text ?? '')
+        .split(/([A-Za-z0-9\u00C0-\u024F]+)/)
+        .map(part => {
+            const key = part.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            return termSet.has(key) ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part);
+        })
+        .join('');
+}
+
+/**
+ * Trigger a browser download of generated text content
+ */
+export function downloadFile(filename, content, type = 'text/plain;charset=utf-8') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Format a course code for display as "DEPT 1234", e.g. "math1013" → "MATH 1013"
  */
-export function showNotification(message, type = 'success') {
-    const existing = document.querySelector('.notification');
-    if (existing) existing.remove();
-    
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.innerHTML = `
-        <span>${message}</span>
-        <button onclick="this.parentElement.remove()">✕</button>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    setTimeout(() => {
-        if (notification.parentElement) {
-            notification.remove();
-        }
-    }, 3000);
+export function formatCourseCode(code) {
+    const compact = String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+    const match = compact.match(/^([A-Z]+)(\d+)$/);
+    return match ? `${match[1]} ${match[2]}` : compact;
 }
 
 /**
@@ -0,0 +1,100 @@
+/**
+ * iCalendar Utilities
+ * Build and download .ics files (RFC 5545) for agreed meetups
+ */
+
+import { downloadFile } from './helpers.js';
+
+/**
+ * Format a date as a UTC iCalendar timestamp, e.g. 20250115T173000Z
+ */
+export function toICSDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text values (backslash, semicolon, comma, newline)
+ */
+export function escapeICSText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Bytes a code point takes in UTF-8
+ */
+function utf8Length(char) {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    if (codePoint < 0x10000) return 3;
+    return 4;
+}
+
+/**
+ * Fold lines longer than 75 octets as required by RFC 5545
+ * Splits only between code points so multi-byte characters and emoji stay whole
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    // for...of walks code points, keeping surrogate pairs together
+    for (const char of line) {
+        const size = utf8Length(char);
+        if (octets + size > MAX_LINE_OCTETS) {
+            parts.push(current);
+            // The leading space of a continuation line counts towards its limit
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+/**
+ * Build a single-event calendar
+ * event: { uid, title, description, location, start, end }
+ */
+export function buildICS({ uid, title, description = '', location = '', start, end }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CampusSwap//Meetups//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${toICSDate(new Date())}`,
+        `DTSTART:${toICSDate(start)}`,
+        `DTEND:${toICSDate(end)}`,
+        `SUMMARY:${escapeICSText(title)}`,
+        `DESCRIPTION:${escapeICSText(description)}`,
+        `LOCATION:${escapeICSText(location)}`,
+        'BEGIN:VALARM',
+        'TRIGGER:-PT30M',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeICSText(title)}`,
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Trigger a browser download of an .ics file
+ */
+export function downloadICS(filename, content) {
+    downloadFile(filename.endsWith('.ics') ? filename : `${filename}.ics`, content, 'text/calendar;charset=utf-8');
+}
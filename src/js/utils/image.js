@@ -0,0 +1,139 @@
+/**
+ * Image Utilities
+ * Client-side crop, rotate, downscale and re-encode before upload
+ */
+
+import { config } from '../config.js';
+
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Crop aspect ratios offered by the editor (null keeps the original shape)
+ */
+export const CROP_ASPECTS = {
+    original: null,
+    square: 1,
+    landscape: 4 / 3,
+    portrait: 3 / 4
+};
+
+let webpSupported = null;
+
+/**
+ * Check if the browser can encode WebP from a canvas
+ */
+export function supportsWebP() {
+    if (webpSupported === null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        webpSupported = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+    }
+    return webpSupported;
+}
+
+/**
+ * Decode a File/Blob into an image element
+ */
+export function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not read image "${file.name}"`));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Canvas toBlob as a promise
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image encoding failed'))), type, quality);
+    });
+}
+
+/**
+ * Largest centred rectangle of the given aspect ratio inside width × height
+ */
+export function centredCrop(width, height, aspect) {
+    if (!aspect) return { x: 0, y: 0, width, height };
+
+    let cropWidth = width;
+    let cropHeight = Math.round(width / aspect);
+    if (cropHeight > height) {
+        cropHeight = height;
+        cropWidth = Math.round(height * aspect);
+    }
+
+    return {
+        x: Math.round((width - cropWidth) / 2),
+        y: Math.round((height - cropHeight) / 2),
+        width: cropWidth,
+        height: cropHeight
+    };
+}
+
+/**
+ * Draw an image rotated (multiples of 90°), cropped and scaled to fit maxDimension
+ */
+export function drawEdited(image, { rotation = 0, aspect = 'original', maxDimension = Infinity } = {}) {
+    const quarterTurn = rotation % 180 !== 0;
+    const rotatedWidth = quarterTurn ? image.naturalHeight : image.naturalWidth;
+    const rotatedHeight = quarterTurn ? image.naturalWidth : image.naturalHeight;
+
+    // Rotate onto a full-size canvas first
+    const rotated = document.createElement('canvas');
+    rotated.width = rotatedWidth;
+    rotated.height = rotatedHeight;
+    const rctx = rotated.getContext('2d');
+    rctx.translate(rotatedWidth / 2, rotatedHeight / 2);
+    rctx.rotate((rotation * Math.PI) / 180);
+    rctx.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+
+    // Then crop and downscale in one draw
+    const crop = centredCrop(rotatedWidth, rotatedHeight, CROP_ASPECTS[aspect]);
+    const scale = Math.min(1, maxDimension / Math.max(crop.width, crop.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(crop.width * scale);
+    canvas.height = Math.round(crop.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(rotated, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+    return canvas;
+}
+
+/**
+ * Produce an upload-ready file: edited, downscaled and re-encoded as WebP (JPEG fallback)
+ * Lowers quality until the result fits the server's upload limit
+ */
+export async function processImage(file, edits = {}) {
+    const { maxDimension, quality, minQuality, maxUploadSize } = config.imageUpload;
+    const image = await loadImage(file);
+    const canvas = drawEdited(image, { ...edits, maxDimension });
+
+    const type = supportsWebP() ? 'image/webp' : 'image/jpeg';
+    let currentQuality = quality;
+    let blob = await canvasToBlob(canvas, type, currentQuality);
+
+    while (blob.size > maxUploadSize && currentQuality > minQuality) {
+        currentQuality = Math.max(minQuality, currentQuality - 0.1);
+        blob = await canvasToBlob(canvas, type, currentQuality);
+    }
+
+    if (blob.size > maxUploadSize) {
+        throw new Error(`"${file.name}" is still too large after compression`);
+    }
+
+    const extension = type === 'image/webp' ? 'webp' : 'jpg';
+    const name = `${file.name.replace(/\.[^.]+$/, '') || 'image'}.${extension}`;
+    return new File([blob], name, { type });
+}
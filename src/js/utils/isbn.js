@@ -0,0 +1,56 @@
+/**
+ * ISBN Utilities
+ * Clean, validate (checksum) and convert ISBN-10 / ISBN-13
+ */
+
+/**
+ * Strip hyphens, spaces and any other separators
+ */
+export function cleanISBN(value) {
+    return String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+}
+
+/**
+ * ISBN-10: weights 10..1, X = 10 in the check position, sum divisible by 11
+ */
+export function isValidISBN10(value) {
+    const isbn = cleanISBN(value);
+    if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+    const sum = isbn.split('').reduce((total, char, index) => {
+        const digit = char === 'X' ? 10 : Number(char);
+        return total + digit * (10 - index);
+    }, 0);
+    return sum % 11 === 0;
+}
+
+/**
+ * ISBN-13: a 978/979 EAN-13 with weights 1,3,1,3... summing to a multiple of 10
+ */
+export function isValidISBN13(value) {
+    const isbn = cleanISBN(value);
+    if (!/^97[89]\d{10}$/.test(isbn)) return false;
+
+    const sum = isbn.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+}
+
+/**
+ * Valid ISBN-10 or ISBN-13
+ */
+export function isValidISBN(value) {
+    return isValidISBN10(value) || isValidISBN13(value);
+}
+
+/**
+ * Canonical ISBN-13 for any valid ISBN, or null
+ */
+export function toISBN13(value) {
+    const isbn = cleanISBN(value);
+    if (isValidISBN13(isbn)) return isbn;
+    if (!isValidISBN10(isbn)) return null;
+
+    const body = `978${isbn.slice(0, 9)}`;
+    const sum = body.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+    return `${body}${(10 - (sum % 10)) % 10}`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Listing Schema
+ * Validation rules for the sell / edit form, shared with listing.service.js
+ */
+
+import { config, listingCategories, listingConditions } from '../config.js';
+import { isValidISBN } from './isbn.js';
+
+// Subject code and four-digit course number, e.g. MATH 1013 or EECS1012
+export const COURSE_CODE_PATTERN = /^[A-Za-z]{2,4}\s?\d{4}$/;
+
+export const listingSchema = {
+    title: {
+        label: 'Title',
+        required: true,
+        minLength: config.listing.titleMinLength,
+        maxLength: config.listing.titleMaxLength
+    },
+    price: {
+        label: 'Price',
+        required: true,
+        type: 'number',
+        exclusiveMin: 0,
+        max: config.listing.maxPrice,
+        messages: { exclusiveMin: 'Price must be more than $0' }
+    },
+    quantity: {
+        label: 'Quantity',
+        required: true,
+        type: 'integer',
+        min: 1,
+        max: config.listing.maxQuantity
+    },
+    categorySlug: {
+        label: 'Category',
+        required: true,
+        oneOf: listingCategories.map(category => category.slug)
+    },
+    courseCode: {
+        label: 'Course code',
+        pattern: COURSE_CODE_PATTERN,
+        messages: { pattern: 'Use a course code like MATH 1013' }
+    },
+    condition: {
+        label: 'Condition',
+        required: true,
+        oneOf: listingConditions.map(condition => condition.value)
+    },
+    description: {
+        label: 'Description',
+        maxLength: config.listing.descriptionMaxLength
+    },
+    isbn: {
+        label: 'ISBN',
+        check: isValidISBN,
+        messages: { check: 'Enter a valid ISBN-10 or ISBN-13 (check the digits)' }
+    },
+    author: {
+        label: 'Author',
+        maxLength: config.listing.authorMaxLength
+    },
+    edition: {
+        label: 'Edition',
+        maxLength: config.listing.editionMaxLength
+    }
+};
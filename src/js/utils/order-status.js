@@ -0,0 +1,122 @@
+/**
+ * Order Status
+ * Single source of truth for the order lifecycle, shared by buyer and seller views
+ *
+ *   PENDING ──accept──▶ ACCEPTED ──ready──▶ READY_FOR_MEETUP ──hand over──▶ HANDED_OVER ──received──▶ COMPLETED
+ *      └──cancel / decline──▶ CANCELLED
+ */
+
+export const ORDER_STATUSES = {
+    PENDING: { label: 'Pending', badge: 'status-pending' },
+    ACCEPTED: { label: 'Accepted', badge: 'status-processing' },
+    READY_FOR_MEETUP: { label: 'Ready for meetup', badge: 'status-processing' },
+    HANDED_OVER: { label: 'Handed over', badge: 'status-processing' },
+    COMPLETED: { label: 'Completed', badge: 'status-completed' },
+    CANCELLED: { label: 'Cancelled', badge: 'status-cancelled' }
+};
+
+/**
+ * Happy-path order, used to draw the timeline
+ */
+export const STATUS_FLOW = ['PENDING', 'ACCEPTED', 'READY_FOR_MEETUP', 'HANDED_OVER', 'COMPLETED'];
+
+/**
+ * Older orders were stored with PROCESSING before the lifecycle existed
+ */
+const LEGACY_STATUSES = {
+    PROCESSING: 'ACCEPTED'
+};
+
+/**
+ * Every allowed transition and who may perform it
+ */
+export const ORDER_ACTIONS = [
+    { id: 'accept', label: 'Accept order', from: 'PENDING', to: 'ACCEPTED', role: 'seller' },
+    { id: 'decline', label: 'Decline', from: 'PENDING', to: 'CANCELLED', role: 'seller', confirm: 'Decline this order?' },
+    { id: 'cancel', label: 'Cancel order', from: 'PENDING', to: 'CANCELLED', role: 'buyer', confirm: 'Cancel this order?' },
+    { id: 'ready', label: 'Mark ready for meetup', from: 'ACCEPTED', to: 'READY_FOR_MEETUP', role: 'seller' },
+    { id: 'handOver', label: 'Mark handed over', from: 'READY_FOR_MEETUP', to: 'HANDED_OVER', role: 'seller' },
+    { id: 'confirmReceived', label: 'Confirm received', from: 'HANDED_OVER', to: 'COMPLETED', role: 'buyer' }
+];
+
+/**
+ * Map legacy values to the current lifecycle
+ */
+export function normalizeStatus(status) {
+    const upper = String(status || 'PENDING').toUpperCase();
+    return LEGACY_STATUSES[upper] || upper;
+}
+
+/**
+ * Display info for a status
+ */
+export function getStatusInfo(status) {
+    const key = normalizeStatus(status);
+    return { key, ...(ORDER_STATUSES[key] || { label: key, badge: 'status-pending' }) };
+}
+
+/**
+ * Which side of the order a user is on ('buyer', 'seller' or null)
+ */
+export function getOrderRole(order, userId) {
+    if (!userId) return null;
+    if ((order.buyer?.id || order.buyerId) === userId) return 'buyer';
+    if ((order.seller?.id || order.sellerId) === userId) return 'seller';
+    return null;
+}
+
+/**
+ * Actions a role may take on an order right now
+ */
+export function getAvailableActions(order, role) {
+    const status = normalizeStatus(order.status);
+    return ORDER_ACTIONS.filter(action => action.from === status && action.role === role);
+}
+
+/**
+ * Check a transition; returns the action or throws
+ */
+export function assertTransition(order, actionId, role) {
+    const action = getAvailableActions(order, role).find(a => a.id === actionId);
+    if (!action) {
+        const status = getStatusInfo(order.status).label.toLowerCase();
+        throw new Error(`This order is ${status} and cannot be changed that way`);
+    }
+    return action;
+}
+
+/**
+ * Timeline entries for an order, oldest first
+ * Uses order.statusHistory ([{ status, at, note }]) when the API provides it
+ * Returns [{ status, label, at, note, state: 'done' | 'current' | 'upcoming' | 'cancelled' }]
+ */
+export function getTimeline(order) {
+    const history = (order.statusHistory || [])
+        .map(entry => ({ ...entry, status: normalizeStatus(entry.status) }))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    if (history.length === 0) {
+        history.push({ status: 'PENDING', at: order.createdAt });
+        const current = normalizeStatus(order.status);
+        if (current !== 'PENDING') history.push({ status: current, at: order.updatedAt });
+    }
+
+    const current = normalizeStatus(order.status);
+    const reached = history.map(entry => ({
+        ...entry,
+        label: getStatusInfo(entry.status).label,
+        state: entry.status === 'CANCELLED' ? 'cancelled' : entry.status === current ? 'current' : 'done'
+    }));
+
+    if (current === 'CANCELLED' || current === 'COMPLETED') return reached;
+
+    // Remaining steps on the happy path
+    const upcoming = STATUS_FLOW.slice(STATUS_FLOW.indexOf(current) + 1).map(status => ({
+        status,
+        label: getStatusInfo(status).label,
+        at: null,
+        state: 'upcoming'
+    }));
+
+    return [...reached, ...upcoming];
+}
@@ -4,6 +4,18 @@
  * Industry-standard validation following ISO/IEC 7812-1
  */
 
+/**
+ * Where a payment stands (see services/payment.service.js)
+ */
+export const PAYMENT_STATUS = {
+    AUTHORIZED: 'authorized',
+    REQUIRES_ACTION: 'requires_action',
+    PENDING: 'pending',
+    CAPTURED: 'captured',
+    REFUNDED: 'refunded',
+    DECLINED: 'declined'
+};
+
 /**
  * Luhn Algorithm Implementation
  * Validates credit card numbers using checksum calculation
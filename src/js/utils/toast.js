@@ -0,0 +1,270 @@
+/**
+ * Toasts
+ * Queued, stacking notifications with optional action buttons
+ *
+ * Up to config.toasts.maxVisible toasts show at once; the rest wait their turn.
+ * How long each stays depends on its severity, and hovering or focusing a toast
+ * pauses its timer. Every toast is announced through a screen reader live region
+ * (errors assertively) and recorded in a short history for the history panel.
+ * Most code should call showNotification() from helpers.js.
+ */
+
+import { config } from '../config.js';
+
+export const TOAST_TYPES = {
+    success: { icon: '✅', label: 'Success' },
+    info: { icon: 'ℹ️', label: 'Info' },
+    warning: { icon: '⚠️', label: 'Warning' },
+    error: { icon: '⛔', label: 'Error' }
+};
+
+const visible = [];
+const queue = [];
+let history = [];
+const historyListeners = new Set();
+let nextId = 1;
+
+let stack = null;
+let politeRegion = null;
+let assertiveRegion = null;
+
+/**
+ * Create the toast stack and the live regions on first use
+ */
+function mount() {
+    if (stack) return;
+
+    stack = document.createElement('section');
+    stack.className = 'toast-stack';
+    stack.setAttribute('aria-label', 'Notifications');
+
+    politeRegion = createLiveRegion('status', 'polite');
+    assertiveRegion = createLiveRegion('alert', 'assertive');
+
+    document.body.append(stack, politeRegion, assertiveRegion);
+}
+
+/**
+ * Visually hidden region screen readers announce changes in
+ */
+function createLiveRegion(role, politeness) {
+    const region = document.createElement('div');
+    region.className = 'sr-only';
+    region.setAttribute('role', role);
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    return region;
+}
+
+/**
+ * Read a toast out; the region is cleared first so repeats are announced again
+ */
+function announce(toast) {
+    const region = toast.type === 'error' ? assertiveRegion : politeRegion;
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = `${TOAST_TYPES[toast.type].label}: ${toast.message}`;
+    }, 100);
+}
+
+/**
+ * How long a toast stays, in ms (0 = until dismissed)
+ * Toasts with actions stay long enough to reach the button
+ */
+function getDuration(type, actions) {
+    const duration = config.toasts.durations[type];
+    if (duration === 0) return 0;
+    return actions.length > 0 ? Math.max(duration, config.toasts.actionDuration) : duration;
+}
+
+/**
+ * Build the DOM for one toast
+ */
+function createElement(toast) {
+    const element = document.createElement('div');
+    element.className = `toast toast-${toast.type}`;
+    element.dataset.id = toast.id;
+    element.innerHTML = `
+        <span class="toast-icon" aria-hidden="true">${TOAST_TYPES[toast.type].icon}</span>
+        <div class="toast-body">
+            <p class="toast-message"></p>
+            <div class="toast-actions"></div>
+        </div>
+        <span class="toast-count" hidden></span>
+        <button type="button" class="toast-close" aria-label="Dismiss notification">✕</button>
+    `;
+
+    // Messages and labels are plain text, never HTML
+    element.querySelector('.toast-message').textContent = toast.message;
+
+    const actionsContainer = element.querySelector('.toast-actions');
+    toast.actions.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            dismissToast(toast.id);
+            try {
+                action.onClick();
+            } catch (error) {
+                console.error('Toast action failed:', error);
+            }
+        });
+        actionsContainer.appendChild(button);
+    });
+    if (toast.actions.length === 0) actionsContainer.remove();
+
+    element.querySelector('.toast-close').addEventListener('click', () => dismissToast(toast.id));
+
+    // Pause while the user is reading or tabbing through it
+    element.addEventListener('mouseenter', () => pauseTimer(toast));
+    element.addEventListener('mouseleave', () => resumeTimer(toast));
+    element.addEventListener('focusin', () => pauseTimer(toast));
+    element.addEventListener('focusout', (e) => {
+        if (!element.contains(e.relatedTarget)) resumeTimer(toast);
+    });
+
+    return element;
+}
+
+/**
+ * (Re)start a toast's dismiss timer
+ */
+function startTimer(toast, ms) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    if (!ms) return;
+
+    toast.remaining = ms;
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismissToast(toast.id), ms);
+}
+
+/**
+ * Stop the timer, keeping the time left
+ */
+function pauseTimer(toast) {
+    if (!toast.timer) return;
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+}
+
+/**
+ * Continue a paused timer
+ */
+function resumeTimer(toast) {
+    if (toast.timer || !toast.duration) return;
+    // Give a moment to move the pointer away and back without it vanishing
+    startTimer(toast, Math.max(toast.remaining, 1000));
+}
+
+/**
+ * Put a toast on screen
+ */
+function display(toast) {
+    mount();
+    toast.element = createElement(toast);
+    stack.appendChild(toast.element);
+    visible.push(toast);
+    announce(toast);
+    startTimer(toast, toast.duration);
+}
+
+/**
+ * Show queued toasts while there is room
+ */
+function showQueued() {
+    while (queue.length > 0 && visible.length < config.toasts.maxVisible) {
+        display(queue.shift());
+    }
+}
+
+/**
+ * Show a toast
+ * options: { type: 'success'|'info'|'warning'|'error', actions: [{ label, onClick }], duration }
+ * Returns the toast id for dismissToast()
+ */
+export function showToast(message, { type = 'info', actions = [], duration } = {}) {
+    const toastType = TOAST_TYPES[type] ? type : 'info';
+    const text = String(message ?? '');
+    const id = nextId++;
+
+    history = [{ id, message: text, type: toastType, createdAt: new Date().toISOString() }, ...history]
+        .slice(0, config.toasts.historySize);
+    historyListeners.forEach(listener => listener(history));
+
+    // The same message again (e.g. a repeated failure) bumps a counter instead of stacking
+    const duplicate = actions.length === 0 && visible.find(toast =>
+        toast.message === text && toast.type === toastType && toast.actions.length === 0
+    );
+    if (duplicate) {
+        duplicate.count += 1;
+        const count = duplicate.element.querySelector('.toast-count');
+        count.textContent = `×${duplicate.count}`;
+        count.hidden = false;
+        announce(duplicate);
+        startTimer(duplicate, duplicate.duration);
+        return duplicate.id;
+    }
+
+    const toast = {
+        id,
+        message: text,
+        type: toastType,
+        actions,
+        duration: duration ?? getDuration(toastType, actions),
+        count: 1,
+        element: null,
+        timer: null,
+        remaining: 0,
+        startedAt: 0
+    };
+
+    queue.push(toast);
+    showQueued();
+    return toast.id;
+}
+
+/**
+ * Remove a toast, whether showing or still queued
+ */
+export function dismissToast(id) {
+    const queuedIndex = queue.findIndex(toast => toast.id === id);
+    if (queuedIndex !== -1) {
+        queue.splice(queuedIndex, 1);
+        return;
+    }
+
+    const index = visible.findIndex(toast => toast.id === id);
+    if (index === -1) return;
+
+    const [toast] = visible.splice(index, 1);
+    clearTimeout(toast.timer);
+    toast.element.remove();
+    showQueued();
+}
+
+/**
+ * Past toasts, newest first: [{ id, message, type, createdAt }]
+ */
+export function getToastHistory() {
+    return history;
+}
+
+/**
+ * Forget past toasts
+ */
+export function clearToastHistory() {
+    history = [];
+    historyListeners.forEach(listener => listener(history));
+}
+
+/**
+ * Call listener(history) whenever the history changes; returns an unsubscribe function
+ */
+export function subscribeToastHistory(listener) {
+    historyListeners.add(listener);
+    return () => historyListeners.delete(listener);
+}
@@ -0,0 +1,67 @@
+/**
+ * Validation
+ * Declarative field schemas and a small validator
+ *
+ * A schema maps field names to rules:
+ *   { label, required, type: 'string' | 'number' | 'integer',
+ *     minLength, maxLength, min, max, exclusiveMin, pattern, oneOf, check, messages: { rule: 'text' } }
+ * check is a predicate for rules a regex cannot express (e.g. checksums)
+ * Form values may be strings; numbers are parsed before range checks.
+ */
+
+/**
+ * Default message for a failed rule
+ */
+function defaultMessage(rule, rules) {
+    const label = rules.label || 'This field';
+    switch (rule) {
+        case 'required': return `${label} is required`;
+        case 'type': return `${label} must be ${rules.type === 'integer' ? 'a whole number' : 'a number'}`;
+        case 'minLength': return `${label} must be at least ${rules.minLength} characters`;
+        case 'maxLength': return `${label} must be at most ${rules.maxLength} characters`;
+        case 'min': return `${label} must be at least ${rules.min}`;
+        case 'max': return `${label} must be at most ${rules.max}`;
+        case 'exclusiveMin': return `${label} must be more than ${rules.exclusiveMin}`;
+        case 'pattern': return `${label} is not in the expected format`;
+        case 'oneOf': return `Choose a valid ${label.toLowerCase()}`;
+        default: return `${label} is invalid`;
+    }
+}
+
+/**
+ * Validate one value; returns an error message or null
+ */
+export function validateField(value, rules) {
+    const fail = (rule) => rules.messages?.[rule] || defaultMessage(rule, rules);
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (text === '') return rules.required ? fail('required') : null;
+
+    if (rules.type === 'number' || rules.type === 'integer') {
+        const number = Number(text);
+        if (!Number.isFinite(number) || (rules.type === 'integer' && !Number.isInteger(number))) return fail('type');
+        if (rules.exclusiveMin !== undefined && number <= rules.exclusiveMin) return fail('exclusiveMin');
+        if (rules.min !== undefined && number < rules.min) return fail('min');
+        if (rules.max !== undefined && number > rules.max) return fail('max');
+        return null;
+    }
+
+    if (rules.minLength !== undefined && text.length < rules.minLength) return fail('minLength');
+    if (rules.maxLength !== undefined && text.length > rules.maxLength) return fail('maxLength');
+    if (rules.pattern && !rules.pattern.test(text)) return fail('pattern');
+    if (rules.oneOf && !rules.oneOf.includes(text)) return fail('oneOf');
+    if (rules.check && !rules.check(text)) return fail('check');
+    return null;
+}
+
+/**
+ * Validate every field in a schema
+ * Returns { field: message } for failing fields (empty when valid)
+ */
+export function validate(values, schema) {
+    return Object.entries(schema).reduce((errors, [field, rules]) => {
+        const error = validateField(values[field], rules);
+        if (error) errors[field] = error;
+        return errors;
+    }, {});
+}
@@ -0,0 +1,29 @@
+/**
+ * Wishlist Utilities
+ * What changed on a saved product since the user added it
+ *
+ * Item: { productId, product, savedPrice, savedQuantity, createdAt }
+ * savedPrice / savedQuantity are the product's price and stock when it was saved.
+ */
+
+/**
+ * Price drop (in dollars), back-in-stock and sold-out flags for a wishlist item
+ */
+export function getWishlistChanges({ product, savedPrice, savedQuantity }) {
+    if (!product) return { priceDrop: 0, backInStock: false, soldOut: false };
+
+    const drop = Math.round((parseFloat(savedPrice) - parseFloat(product.price)) * 100) / 100;
+    return {
+        priceDrop: drop > 0 ? drop : 0,
+        backInStock: savedQuantity === 0 && product.quantity > 0,
+        soldOut: product.quantity === 0
+    };
+}
+
+/**
+ * Check if an item got cheaper or came back in stock
+ */
+export function hasWishlistAlert(item) {
+    const { priceDrop, backInStock } = getWishlistChanges(item);
+    return priceDrop > 0 || backInStock;
+}
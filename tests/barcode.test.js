@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isValidEAN13, decodeEAN13 } from '../src/js/utils/barcode.js';
+
+// Module widths of each digit's L-code (space, bar, space, bar)
+const DIGIT_WIDTHS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Draw an EAN-13 symbol as RGBA ImageData-like pixels
+ */
+function renderEAN13(code, { moduleWidth = 3, height = 20, reversed = false } = {}) {
+    const digits = code.split('').map(Number);
+    const runs = [];
+    const push = (dark, widths) => widths.forEach((width, i) => runs.push({ dark: i % 2 === 0 ? dark : !dark, width }));
+
+    runs.push({ dark: false, width: 10 });
+    push(true, [1, 1, 1]);
+    digits.slice(1, 7).forEach((digit, i) => {
+        const widths = DIGIT_WIDTHS[digit];
+        push(false, FIRST_DIGIT_PARITY[digits[0]][i] === 'G' ? [...widths].reverse() : widths);
+    });
+    push(false, [1, 1, 1, 1, 1]);
+    digits.slice(7).forEach(digit => push(true, DIGIT_WIDTHS[digit]));
+    push(true, [1, 1, 1]);
+    runs.push({ dark: false, width: 10 });
+
+    let row = runs.flatMap(({ dark, width }) => new Array(width * moduleWidth).fill(dark ? 0 : 255));
+    if (reversed) row = row.reverse();
+
+    const width = row.length;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        row.forEach((value, x) => {
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        });
+    }
+    return { data, width, height };
+}
+
+test('isValidEAN13 checks length and check digit', () => {
+    assert.equal(isValidEAN13('9780306406157'), true);
+    assert.equal(isValidEAN13('9780306406158'), false);
+    assert.equal(isValidEAN13('978030640615'), false);
+});
+
+test('decodeEAN13 reads a rendered book barcode', () => {
+    assert.equal(decodeEAN13(renderEAN13('9780306406157')), '9780306406157');
+    assert.equal(decodeEAN13(renderEAN13('9781492052203', { moduleWidth: 2 })), '9781492052203');
+});
+
+test('decodeEAN13 reads an upside-down barcode', () => {
+    assert.equal(decodeEAN13(renderEAN13('9780306406157', { reversed: true })), '9780306406157');
+});
+
+test('decodeEAN13 returns null for an image without a barcode', () => {
+    const blank = { data: new Uint8ClampedArray(100 * 10 * 4).fill(255), width: 100, height: 10 };
+    assert.equal(decodeEAN13(blank), null);
+});
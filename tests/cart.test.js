@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getItemSeller,
+    getSellerName,
+    getLineTotal,
+    groupCartBySeller,
+    getAvailableQuantity,
+    getStockIssues
+} from '../src/js/utils/cart.js';
+
+const alice = { id: 'alice', firstName: 'Alice', lastName: 'Ng' };
+const bob = { id: 'bob', username: 'bob42' };
+
+const item = (productId, quantity, product) => ({ productId, quantity, product: { id: productId, ...product } });
+
+test('getItemSeller falls back to sellerId', () => {
+    assert.equal(getItemSeller(item('p1', 1, { seller: alice })), alice);
+    assert.deepEqual(getItemSeller(item('p1', 1, { sellerId: 'bob' })), { id: 'bob' });
+    assert.deepEqual(getItemSeller({ productId: 'p1', quantity: 1 }), { id: null });
+});
+
+test('getSellerName prefers the full name, then the username', () => {
+    assert.equal(getSellerName(alice), 'Alice Ng');
+    assert.equal(getSellerName(bob), '@bob42');
+    assert.equal(getSellerName({ id: 'x' }), 'Unknown seller');
+});
+
+test('getLineTotal multiplies price by quantity', () => {
+    assert.equal(getLineTotal(item('p1', 3, { price: '12.50' })), 37.5);
+    assert.equal(getLineTotal(item('p1', 2, {})), 0);
+});
+
+test('groupCartBySeller keeps sellers in first-seen order with subtotals', () => {
+    const cart = [
+        item('p1', 1, { price: 10, seller: alice }),
+        item('p2', 2, { price: 5, seller: bob }),
+        item('p3', 1, { price: 7, sellerId: 'alice' })
+    ];
+
+    const groups = groupCartBySeller(cart);
+    assert.deepEqual(groups.map(group => group.seller.id), ['alice', 'bob']);
+    assert.deepEqual(groups[0].items.map(entry => entry.productId), ['p1', 'p3']);
+    assert.equal(groups[0].subtotal, 17);
+    assert.equal(groups[1].subtotal, 10);
+});
+
+test('groupCartBySeller returns nothing for an empty cart', () => {
+    assert.deepEqual(groupCartBySeller([]), []);
+});
+
+test('getAvailableQuantity treats unknown stock as unlimited and never goes negative', () => {
+    assert.equal(getAvailableQuantity(item('p1', 1, { quantity: 3 })), 3);
+    assert.equal(getAvailableQuantity(item('p1', 1, { quantity: -2 })), 0);
+    assert.equal(getAvailableQuantity(item('p1', 1, {})), Infinity);
+});
+
+test('getStockIssues lists lines asking for more than is in stock', () => {
+    const cart = [
+        item('p1', 2, { quantity: 5 }),
+        item('p2', 3, { quantity: 1 }),
+        item('p3', 1, { quantity: 0 }),
+        item('p4', 4, {})
+    ];
+
+    assert.deepEqual(
+        getStockIssues(cart).map(({ item: line, available }) => [line.productId, available]),
+        [['p2', 1], ['p3', 0]]
+    );
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCSV, toCSV } from '../src/js/utils/csv.js';
+
+test('parseCSV splits plain rows with any line ending', () => {
+    assert.deepEqual(parseCSV('a,b\r\nc,d\ne,f'), [['a', 'b'], ['c', 'd'], ['e', 'f']]);
+});
+
+test('parseCSV handles quoted commas, escaped quotes and line breaks', () => {
+    const text = 'title,description\n"Calculus, 8th ed","Says ""like new""\nno marks"\n';
+    assert.deepEqual(parseCSV(text), [
+        ['title', 'description'],
+        ['Calculus, 8th ed', 'Says "like new"\nno marks']
+    ]);
+});
+
+test('parseCSV keeps empty fields and strips a byte order mark', () => {
+    assert.deepEqual(parseCSV('\uFEFFa,,c\n'), [['a', '', 'c']]);
+});
+
+test('toCSV quotes only fields that need it', () => {
+    assert.equal(toCSV([['plain', 'with, comma', 'say "hi"', null]]), 'plain,"with, comma","say ""hi""",\r\n');
+});
+
+test('toCSV output parses back to the same rows', () => {
+    const rows = [
+        ['title', 'price', 'notes'],
+        ['Lab coat, size M', '20', 'Worn once\r\nwashed'],
+        ['"Quoted" title', '', ''],
+        ['Émile Zola', '12.5', 'multi\nline']
+    ];
+    assert.deepEqual(parseCSV(toCSV(rows)), rows);
+});
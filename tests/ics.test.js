@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toICSDate, escapeICSText, buildICS } from '../src/js/utils/ics.js';
+
+test('toICSDate formats a UTC timestamp without separators or milliseconds', () => {
+    assert.equal(toICSDate('2025-01-15T17:30:45.123Z'), '20250115T173045Z');
+});
+
+test('escapeICSText escapes backslashes, separators and newlines', () => {
+    assert.equal(escapeICSText('a\\b; c, d\ne'), 'a\\\\b\\; c\\, d\\ne');
+    assert.equal(escapeICSText(null), '');
+});
+
+test('buildICS writes one event with CRLF line endings', () => {
+    const ics = buildICS({
+        uid: 'meetup-1@campusswap',
+        title: 'Pick up: Calculus',
+        location: 'Scott Library, front entrance',
+        start: '2025-01-15T17:30:00Z',
+        end: '2025-01-15T18:00:00Z'
+    });
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.match(ics, /\r\nDTSTART:20250115T173000Z\r\n/);
+    assert.match(ics, /\r\nDTEND:20250115T180000Z\r\n/);
+    assert.match(ics, /\r\nLOCATION:Scott Library\\, front entrance\r\n/);
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 1);
+});
+
+test('buildICS folds lines longer than 75 characters', () => {
+    const ics = buildICS({
+        uid: 'meetup-2@campusswap',
+        title: 'x'.repeat(200),
+        start: '2025-01-15T17:30:00Z',
+        end: '2025-01-15T18:00:00Z'
+    });
+
+    ics.split('\r\n').forEach(line => assert.ok(line.length <= 75, `line too long: ${line.length}`));
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.match(unfolded, new RegExp(`SUMMARY:${'x'.repeat(200)}\r\n`));
+});
+
+test('buildICS folds by UTF-8 octets without splitting characters', () => {
+    const title = 'Rendez-vous à la bibliothèque 📚 '.repeat(6);
+    const ics = buildICS({
+        uid: 'meetup-3@campusswap',
+        title,
+        start: '2025-01-15T17:30:00Z',
+        end: '2025-01-15T18:00:00Z'
+    });
+
+    const encoder = new TextEncoder();
+    ics.split('\r\n').forEach(line => {
+        assert.ok(encoder.encode(line).length <= 75, `line too long: ${encoder.encode(line).length} octets`);
+        // No lone surrogates from a split emoji
+        assert.ok(!/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(line));
+    });
+    assert.ok(ics.replace(/\r\n /g, '').includes(`SUMMARY:${title}\r\n`));
+});
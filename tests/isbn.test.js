@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cleanISBN, isValidISBN10, isValidISBN13, isValidISBN, toISBN13 } from '../src/js/utils/isbn.js';
+
+test('cleanISBN drops separators and keeps a trailing X', () => {
+    assert.equal(cleanISBN('0-8044-2957-x'), '080442957X');
+    assert.equal(cleanISBN(null), '');
+});
+
+test('isValidISBN10 checks the mod-11 checksum', () => {
+    assert.equal(isValidISBN10('0-306-40615-2'), true);
+    assert.equal(isValidISBN10('080442957X'), true);
+    assert.equal(isValidISBN10('0-306-40615-3'), false);
+    assert.equal(isValidISBN10('03064061'), false);
+});
+
+test('isValidISBN13 checks the checksum and the 978/979 prefix', () => {
+    assert.equal(isValidISBN13('978-0-306-40615-7'), true);
+    assert.equal(isValidISBN13('9780306406158'), false);
+    // Valid EAN-13, but not a book
+    assert.equal(isValidISBN13('4006381333931'), false);
+});
+
+test('isValidISBN accepts either length', () => {
+    assert.equal(isValidISBN('0306406152'), true);
+    assert.equal(isValidISBN('9780306406157'), true);
+    assert.equal(isValidISBN('12345'), false);
+});
+
+test('toISBN13 converts ISBN-10s and recomputes the check digit', () => {
+    assert.equal(toISBN13('0-306-40615-2'), '9780306406157');
+    assert.equal(toISBN13('080442957X'), '9780804429573');
+    assert.equal(toISBN13('9780306406157'), '9780306406157');
+    assert.equal(toISBN13('0306406153'), null);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    normalizeStatus,
+    getOrderRole,
+    getAvailableActions,
+    assertTransition,
+    getTimeline
+} from '../src/js/utils/order-status.js';
+
+const order = (status, extra = {}) => ({
+    id: 'o1',
+    status,
+    buyerId: 'buyer',
+    seller: { id: 'seller' },
+    createdAt: '2025-01-10T10:00:00Z',
+    updatedAt: '2025-01-11T10:00:00Z',
+    ...extra
+});
+
+const actionIds = (status, role) => getAvailableActions(order(status), role).map(action => action.id);
+
+test('normalizeStatus maps legacy and missing statuses', () => {
+    assert.equal(normalizeStatus('processing'), 'ACCEPTED');
+    assert.equal(normalizeStatus(undefined), 'PENDING');
+    assert.equal(normalizeStatus('completed'), 'COMPLETED');
+});
+
+test('getOrderRole tells buyer from seller', () => {
+    assert.equal(getOrderRole(order('PENDING'), 'buyer'), 'buyer');
+    assert.equal(getOrderRole(order('PENDING'), 'seller'), 'seller');
+    assert.equal(getOrderRole(order('PENDING'), 'someone-else'), null);
+    assert.equal(getOrderRole(order('PENDING'), null), null);
+});
+
+test('each status offers only its own transitions to each side', () => {
+    assert.deepEqual(actionIds('PENDING', 'seller'), ['accept', 'decline']);
+    assert.deepEqual(actionIds('PENDING', 'buyer'), ['cancel']);
+    assert.deepEqual(actionIds('ACCEPTED', 'seller'), ['ready']);
+    assert.deepEqual(actionIds('ACCEPTED', 'buyer'), []);
+    assert.deepEqual(actionIds('READY_FOR_MEETUP', 'seller'), ['handOver']);
+    assert.deepEqual(actionIds('HANDED_OVER', 'buyer'), ['confirmReceived']);
+    assert.deepEqual(actionIds('HANDED_OVER', 'seller'), []);
+    assert.deepEqual(actionIds('COMPLETED', 'seller'), []);
+    assert.deepEqual(actionIds('CANCELLED', 'buyer'), []);
+});
+
+test('assertTransition returns the allowed action', () => {
+    const action = assertTransition(order('PENDING'), 'accept', 'seller');
+    assert.equal(action.to, 'ACCEPTED');
+});
+
+test('assertTransition rejects skipped steps, wrong roles and finished orders', () => {
+    assert.throws(() => assertTransition(order('PENDING'), 'handOver', 'seller'), /pending/);
+    assert.throws(() => assertTransition(order('PENDING'), 'accept', 'buyer'));
+    assert.throws(() => assertTransition(order('HANDED_OVER'), 'confirmReceived', 'seller'));
+    assert.throws(() => assertTransition(order('CANCELLED'), 'cancel', 'buyer'), /cancelled/);
+});
+
+test('getTimeline lists reached steps, then the rest of the happy path', () => {
+    const timeline = getTimeline(order('ACCEPTED'));
+    assert.deepEqual(
+        timeline.map(entry => [entry.status, entry.state]),
+        [
+            ['PENDING', 'done'],
+            ['ACCEPTED', 'current'],
+            ['READY_FOR_MEETUP', 'upcoming'],
+            ['HANDED_OVER', 'upcoming'],
+            ['COMPLETED', 'upcoming']
+        ]
+    );
+});
+
+test('getTimeline stops at a cancellation and sorts the history', () => {
+    const timeline = getTimeline(order('CANCELLED', {
+        statusHistory: [
+            { status: 'CANCELLED', at: '2025-01-12T10:00:00Z' },
+            { status: 'PENDING', at: '2025-01-10T10:00:00Z' }
+        ]
+    }));
+    assert.deepEqual(
+        timeline.map(entry => [entry.status, entry.state]),
+        [['PENDING', 'done'], ['CANCELLED', 'cancelled']]
+    );
+});
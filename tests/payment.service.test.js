@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import paymentService, {
+    CashOnPickupProvider,
+    CardGatewayProvider,
+    ETransferProvider,
+    MockGatewayProvider,
+    MOCK_TEST_CARDS
+} from '../src/js/services/payment.service.js';
+import { PAYMENT_STATUS } from '../src/js/utils/payment.js';
+import { config } from '../src/js/config.js';
+
+const APPROVED = '4532015112830366';
+const DECLINED = '4000000000000002';
+const CHALLENGE = '4000000000003220';
+const TIMEOUT = '4000000000000119';
+
+const card = (number) => ({ number, cvv: '123', cardType: 'Visa', lastFourDigits: number.slice(-4) });
+
+test('the real card gateway is used unless the mock is asked for', () => {
+    assert.ok(paymentService.getProvider('card') instanceof CardGatewayProvider);
+    assert.ok(!(paymentService.getProvider('card') instanceof MockGatewayProvider));
+    assert.deepEqual(paymentService.getTestCards(), []);
+});
+
+test('getProvider rejects unknown methods', () => {
+    assert.throws(() => paymentService.getProvider('bitcoin'), /Unknown payment method/);
+});
+
+test('getMethods lists the configured methods in order', () => {
+    assert.deepEqual(paymentService.getMethods().map(method => method.id), config.payments.methods);
+});
+
+test('mock gateway authorizes, captures and partially refunds', async () => {
+    const gateway = new MockGatewayProvider({ latency: 0 });
+    const payment = await gateway.authorize({ amount: 50, details: card(APPROVED) });
+    assert.equal(payment.status, PAYMENT_STATUS.AUTHORIZED);
+    assert.match(payment.paymentId, /^mock_[0-9a-f-]{36}$/);
+
+    await assert.rejects(gateway.capture(payment, 60), /more than was authorized/);
+    assert.equal((await gateway.capture(payment, 40)).status, PAYMENT_STATUS.CAPTURED);
+
+    assert.equal((await gateway.refund(payment, 15)).status, PAYMENT_STATUS.CAPTURED);
+    await assert.rejects(gateway.refund(payment, 30), /more than was captured/);
+    assert.equal((await gateway.refund(payment, 25)).status, PAYMENT_STATUS.REFUNDED);
+});
+
+test('mock gateway releases an uncaptured authorization in full', async () => {
+    const gateway = new MockGatewayProvider({ latency: 0 });
+    const payment = await gateway.authorize({ amount: 20, details: card(APPROVED) });
+
+    assert.equal((await gateway.refund(payment, 20)).status, PAYMENT_STATUS.REFUNDED);
+    await assert.rejects(gateway.capture(payment, 20), /Only authorized payments/);
+});
+
+test('mock gateway declines the decline test card', async () => {
+    const gateway = new MockGatewayProvider({ latency: 0 });
+    const payment = await gateway.authorize({ amount: 20, details: card(DECLINED) });
+    assert.equal(payment.status, PAYMENT_STATUS.DECLINED);
+    assert.ok(payment.message);
+});
+
+test('mock gateway 3-D Secure challenge needs the right code', async () => {
+    const gateway = new MockGatewayProvider({ latency: 0 });
+    const code = MOCK_TEST_CARDS.find(entry => entry.outcome === 'challenge').label.match(/\d{6}/)[0];
+
+    const passed = await gateway.authorize({ amount: 20, details: card(CHALLENGE) });
+    assert.equal(passed.status, PAYMENT_STATUS.REQUIRES_ACTION);
+    assert.ok(passed.challenge.prompt);
+    assert.equal((await gateway.confirm(passed, code)).status, PAYMENT_STATUS.AUTHORIZED);
+    await assert.rejects(gateway.confirm(passed, code), /not waiting for verification/);
+
+    const failed = await gateway.authorize({ amount: 20, details: card(CHALLENGE) });
+    assert.equal((await gateway.confirm(failed, '000000')).status, PAYMENT_STATUS.DECLINED);
+});
+
+test('the payment service gives up on a gateway that never answers', async (t) => {
+    const gateway = new MockGatewayProvider({ latency: 0 });
+    paymentService.registerProvider(gateway);
+    t.after(() => paymentService.registerProvider(new CardGatewayProvider()));
+
+    const timeout = config.payments.timeout;
+    config.payments.timeout = 20;
+    t.after(() => { config.payments.timeout = timeout; });
+
+    await assert.rejects(
+        paymentService.authorize('card', { amount: 20, details: card(TIMEOUT) }),
+        /taking too long/
+    );
+});
+
+test('the payment service keeps full card numbers and CVVs out of the payment', async (t) => {
+    paymentService.registerProvider(new MockGatewayProvider({ latency: 0 }));
+    t.after(() => paymentService.registerProvider(new CardGatewayProvider()));
+
+    const payment = await paymentService.authorize('card', { amount: 20, details: card(APPROVED) });
+    assert.equal(payment.provider, 'card');
+    assert.equal(payment.method, 'CARD');
+    assert.equal(payment.details.number, undefined);
+    assert.equal(payment.details.cvv, undefined);
+    assert.equal(paymentService.describe(payment), 'Visa ending in 0366');
+    assert.ok(paymentService.getTestCards().length > 0);
+});
+
+test('cash on pickup waits for the meetup', async () => {
+    const cash = new CashOnPickupProvider();
+    const payment = await cash.authorize({ amount: 12.5 });
+    assert.equal(payment.status, PAYMENT_STATUS.PENDING);
+    assert.match(payment.instructions, /\$12\.50/);
+});
+
+test('e-Transfer references are short and unambiguous', () => {
+    const etransfer = new ETransferProvider({ recipient: 'payments@example.com' });
+    for (let i = 0; i < 50; i++) {
+        assert.match(etransfer.generateReference(), /^CS-[A-HJ-NP-Z2-9]{6}$/);
+    }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import searchService, { normalizeCourseCode, tokenize, editDistance } from '../src/js/services/search.service.js';
+
+const products = [
+    { id: 1, title: 'Calculus Early Transcendentals', courseCode: 'MATH 1013', courseName: 'Applied Calculus I', description: 'Some highlighting' },
+    { id: 2, title: 'Introduction to Algorithms', courseCode: 'EECS 3101', courseName: 'Design and Analysis of Algorithms', description: 'Hardcover' },
+    { id: 3, title: 'Graphing calculator', courseCode: '', courseName: '', description: 'Works with calculus courses' }
+];
+searchService.addProducts(products);
+
+test('normalizeCourseCode ignores case, spaces and punctuation', () => {
+    assert.equal(normalizeCourseCode('MATH 1013'), 'math1013');
+    assert.equal(normalizeCourseCode('math-1013'), normalizeCourseCode('Math1013'));
+    assert.equal(normalizeCourseCode(null), '');
+});
+
+test('tokenize lowercases and strips accents', () => {
+    assert.deepEqual(tokenize('Café Économie, 2nd ed.'), ['cafe', 'economie', '2nd', 'ed']);
+    assert.deepEqual(tokenize(undefined), []);
+});
+
+test('editDistance counts a transposition as one edit', () => {
+    assert.equal(editDistance('calculus', 'calculus'), 0);
+    assert.equal(editDistance('calcluus', 'calculus'), 1);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+});
+
+test('editDistance stops early past maxDistance', () => {
+    assert.equal(editDistance('a', 'abcdef', 2), 3);
+});
+
+test('search matches a course code however it is typed', () => {
+    const [first] = searchService.search('math1013');
+    assert.equal(first.product.id, 1);
+});
+
+test('search ranks course-code and title matches above description matches', () => {
+    const ids = searchService.search('calculus').map(result => result.product.id);
+    assert.deepEqual(ids, [1, 3]);
+});
+
+test('search tolerates typos in longer words', () => {
+    const ids = searchService.search('algoritms').map(result => result.product.id);
+    assert.deepEqual(ids, [2]);
+});
+
+test('search requires every query word to match', () => {
+    assert.deepEqual(searchService.search('calculus hardcover'), []);
+});
+
+test('suggest offers the closest known words', () => {
+    assert.deepEqual(searchService.suggest('calclus'), ['calculus']);
+});
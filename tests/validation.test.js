@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateField, validate } from '../src/js/utils/validation.js';
+import { listingSchema } from '../src/js/utils/listing-schema.js';
+
+test('validateField skips empty optional fields and flags empty required ones', () => {
+    assert.equal(validateField('', { label: 'Notes' }), null);
+    assert.equal(validateField('   ', { label: 'Title', required: true }), 'Title is required');
+});
+
+test('validateField parses numbers before range checks', () => {
+    const rules = { label: 'Quantity', type: 'integer', min: 1, max: 5 };
+    assert.equal(validateField('3', rules), null);
+    assert.equal(validateField('2.5', rules), 'Quantity must be a whole number');
+    assert.equal(validateField('abc', rules), 'Quantity must be a whole number');
+    assert.equal(validateField('0', rules), 'Quantity must be at least 1');
+    assert.equal(validateField('6', rules), 'Quantity must be at most 5');
+});
+
+test('validateField prefers custom messages', () => {
+    const rules = { label: 'Price', type: 'number', exclusiveMin: 0, messages: { exclusiveMin: 'Too cheap' } };
+    assert.equal(validateField('0', rules), 'Too cheap');
+});
+
+test('validateField runs length, pattern, oneOf and check rules on text', () => {
+    assert.match(validateField('ab', { label: 'Title', minLength: 3 }), /at least 3 characters/);
+    assert.match(validateField('x1', { label: 'Code', pattern: /^[a-z]+$/ }), /expected format/);
+    assert.equal(validateField('blue', { label: 'Colour', oneOf: ['red'] }), 'Choose a valid colour');
+    assert.equal(validateField('odd', { label: 'Value', check: value => value === 'even' }), 'Value is invalid');
+});
+
+test('listingSchema accepts a complete listing', () => {
+    assert.deepEqual(validate({
+        title: 'Calculus textbook',
+        price: '45.50',
+        quantity: '1',
+        categorySlug: 'textbooks',
+        courseCode: 'MATH 1013',
+        condition: 'GOOD',
+        isbn: '978-0-306-40615-7'
+    }, listingSchema), {});
+});
+
+test('listingSchema reports each bad field', () => {
+    const errors = validate({
+        title: 'Book',
+        price: '0',
+        quantity: '1',
+        categorySlug: 'nonsense',
+        courseCode: 'Calculus',
+        condition: 'GOOD',
+        isbn: '9780306406158'
+    }, listingSchema);
+
+    assert.deepEqual(Object.keys(errors).sort(), ['categorySlug', 'courseCode', 'isbn', 'price', 'title']);
+    assert.equal(errors.price, 'Price must be more than $0');
+});